@@ -0,0 +1,165 @@
+const crypto = require("crypto");
+const express = require("express");
+const { ApiError, route, middleware, bearerToken, handleApiError } = require("./api");
+const { historyLimitOf } = require("./history");
+const { sessionRef } = require("./sessionAccess");
+
+// Admin API for whoever runs the server, mounted at /api/admin.
+//
+// Requests send the ADMIN_TOKEN from the server's environment as a bearer
+// token; without one configured the admin API is disabled. Errors use the
+// same { error: { code, message } } format as the session API.
+//
+// Session codes are credentials, so they are never listed in full. Each
+// session is identified by its ref (a hash of its code, see sessionRef)
+// instead, which is all the actions below need. Logs use the same ref.
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+const maskCode = (code) => `${code.slice(0, 3)}…`;
+
+// `describeMembers`, `countConnections`, `expireSession`, `disconnectMember`
+// and `serverStats` come from server.js, which owns the sockets. They are
+// async, since the sockets may be spread over several server processes.
+// `failedGuesses` is its lockout tracker, so guessing the admin token counts
+// like guessing a session code.
+const createAdminRouter = ({
+  store,
+  adminToken,
+  failedGuesses,
+  describeMembers,
+  countConnections,
+  expireSession,
+  disconnectMember,
+  serverStats,
+}) => {
+  const router = express.Router();
+  const expectedHash = adminToken ? sha256(adminToken) : null;
+
+  router.use(
+    middleware(async (req, res) => {
+      if (!expectedHash) {
+        throw new ApiError(503, "admin_disabled", "Set ADMIN_TOKEN to enable the admin API");
+      }
+
+      const retryAfter = failedGuesses.lockedOut(req.ip);
+      if (retryAfter) {
+        res.set("Retry-After", String(retryAfter));
+        throw new ApiError(429, "rate_limited", "Too many bad admin tokens from this address");
+      }
+
+      const token = bearerToken(req);
+      if (!token || !crypto.timingSafeEqual(sha256(token), expectedHash)) {
+        failedGuesses.fail(req.ip);
+        throw new ApiError(401, "unauthorized", "Invalid admin token");
+      }
+    })
+  );
+
+  // `connections` comes from countConnections()
+  const summarize = (session, connections) => ({
+    ref: sessionRef(session.code),
+    code: maskCode(session.code),
+    createdAt: session.createdAt,
+    lastActivity: session.lastActivity,
+    members: Object.keys(session.members || {}).length,
+    connections: connections.get(session.code) || 0,
+    historyEntries: session.history?.length || 0,
+    historyLimit: historyLimitOf(session),
+    apiTokens: Object.keys(session.apiTokens || {}).length,
+    locked: !!session.locked,
+    requireApproval: !!session.requireApproval,
+    hasPassphrase: !!session.passphrase,
+  });
+
+  // Resolve a ref to the session's real code, or fail with 404
+  const findSession = async (ref) => {
+    const session = (await store.list()).find((s) => sessionRef(s.code) === ref);
+    if (!session) {
+      throw new ApiError(404, "not_found", "No such session");
+    }
+    return session;
+  };
+
+  router.get(
+    "/stats",
+    route(async (req, res) => {
+      const sessions = await store.list();
+      res.json({
+        ...(await serverStats()),
+        sessions: sessions.length,
+        members: sessions.reduce((sum, s) => sum + Object.keys(s.members || {}).length, 0),
+        historyEntries: sessions.reduce((sum, s) => sum + (s.history?.length || 0), 0),
+        store: store.name,
+      });
+    })
+  );
+
+  // Every session, most recently active first
+  router.get(
+    "/sessions",
+    route(async (req, res) => {
+      const [sessions, connections] = await Promise.all([store.list(), countConnections()]);
+      const summaries = sessions
+        .map((session) => summarize(session, connections))
+        .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+      res.json({ sessions: summaries });
+    })
+  );
+
+  // One session with its devices
+  router.get(
+    "/sessions/:ref",
+    route(async (req, res) => {
+      const session = await findSession(req.params.ref);
+      res.json({
+        session: {
+          ...summarize(session, await countConnections()),
+          devices: await describeMembers(session),
+        },
+      });
+    })
+  );
+
+  // Expire a session now: every device is disconnected and its history and
+  // files are deleted
+  router.delete(
+    "/sessions/:ref",
+    route(async (req, res) => {
+      const session = await findSession(req.params.ref);
+      await expireSession(session.code);
+      req.log.info("Admin expired session", { sessionCode: session.code });
+      res.json({ expired: req.params.ref });
+    })
+  );
+
+  // Disconnect a device. With ?remove=true its membership is revoked too,
+  // so it needs to pair or be approved again.
+  router.delete(
+    "/sessions/:ref/devices/:memberId",
+    route(async (req, res) => {
+      const session = await findSession(req.params.ref);
+      const { memberId } = req.params;
+      if (!Object.hasOwn(session.members || {}, memberId)) {
+        throw new ApiError(404, "not_found", "No such device");
+      }
+
+      const remove = req.query.remove === "true";
+      const disconnected = await disconnectMember(session.code, memberId, { remove });
+      req.log.info(remove ? "Admin removed device" : "Admin disconnected device", {
+        sessionCode: session.code,
+        memberId,
+      });
+      res.json({ disconnected, removed: remove });
+    })
+  );
+
+  router.use(() => {
+    throw new ApiError(404, "not_found", "No such admin API route");
+  });
+  router.use(handleApiError);
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
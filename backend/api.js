@@ -0,0 +1,346 @@
+const express = require("express");
+const { ItemTooLargeError, normalizeItem } = require("./clipboardItem");
+const { verifyApiToken, verifyIncomingWebhook } = require("./sessionAccess");
+const {
+  RecipientError,
+  normalizeRecipients,
+  pageHistory,
+  historySince,
+  latestItemFor,
+} = require("./history");
+const {
+  DEFAULT_CHANNEL,
+  ChannelError,
+  channelsOf,
+  normalizeChannel,
+  requireChannel,
+} = require("./channels");
+const { ExpiryError, normalizeExpiry } = require("./expiry");
+
+// HTTP API for scripts, CI jobs and other tools that don't speak Socket.IO.
+//
+// Every route is scoped to one session and authenticated with one of that
+// session's API tokens (created by the session owner in the app):
+//   Authorization: Bearer <token>
+//
+// Incoming webhooks are the exception: POST /hooks/:code/:token adds a clip,
+// with the token in the URL for services that can only be given a URL.
+//
+// Successful responses are JSON objects; failures always look like
+//   { error: { code: "unauthorized", message: "..." } }
+// The routes and codes are documented in the README.
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Express 4 doesn't catch rejected promises from route handlers
+const route = (handler) => (req, res, next) => handler(req, res).catch(next);
+
+// Same for middleware, which carries on to the next handler when it resolves
+const middleware = (handler) => (req, res, next) =>
+  handler(req, res).then(() => next(), next);
+
+const bearerToken = (req) => {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  return scheme?.toLowerCase() === "bearer" && token ? token : null;
+};
+
+// Turn any error raised while handling an API request into the JSON error
+// format. server.js also mounts it on /api at app level: request bodies are
+// parsed before routing reaches the API, so malformed or oversized bodies
+// would otherwise get Express's HTML error page.
+const handleApiError = (err, req, res, next) => {
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
+
+  let apiError = err;
+  if (err.type === "entity.too.large") {
+    apiError = new ApiError(413, "item_too_large", "Request body is too large");
+  } else if (err.type === "entity.parse.failed") {
+    apiError = new ApiError(400, "invalid_json", "Request body is not valid JSON");
+  } else if (!(err instanceof ApiError)) {
+    // req.path can hold a session code, so it is left out
+    req.log.error("API error", { method: req.method, err });
+    apiError = new ApiError(500, "server_error", "Server error, please try again");
+  }
+
+  res.status(apiError.status).json({
+    error: { code: apiError.code, message: apiError.message },
+  });
+};
+
+// The channel named by ?channel=, or the default one. An ApiError for a
+// channel the session doesn't have.
+const channelParam = (session, req) => {
+  try {
+    return requireChannel(session, normalizeChannel(req.query.channel));
+  } catch (err) {
+    if (!(err instanceof ChannelError)) throw err;
+    throw new ApiError(400, "invalid_channel", err.message);
+  }
+};
+
+// `publishClip`, `readEntry`, `deleteHistoryEntry` and `clearSessionHistory`
+// are the same functions the socket handlers use, so HTTP clients and devices see exactly
+// the same behaviour and broadcasts. `maxItemBytes` is the configured item
+// size limit.
+const createApiRouter = ({
+  store,
+  publishClip,
+  readEntry,
+  deleteHistoryEntry,
+  clearSessionHistory,
+  maxItemBytes,
+}) => {
+  const router = express.Router();
+
+  // Unknown sessions and bad tokens get the same answer so the API can't be
+  // used to find out which session codes exist
+  router.use(
+    "/sessions/:code",
+    middleware(async (req, res) => {
+      const { code } = req.params;
+      const session = await store.get(code);
+      const tokenId = session && verifyApiToken(session, bearerToken(req));
+      if (!tokenId) {
+        throw new ApiError(401, "unauthorized", "Invalid session or API token");
+      }
+
+      await store.update(code, (s) => {
+        if (!s.apiTokens?.[tokenId]) return false;
+        s.apiTokens[tokenId].lastUsed = new Date();
+      });
+
+      res.locals.sessionCode = code;
+      res.locals.session = session;
+      res.locals.tokenId = tokenId;
+    })
+  );
+
+  // Publish a clip from a request body: { item: { types, data } } with an
+  // encrypted envelope like the app sends, or { text } for plain text. An
+  // optional clipId makes retries safe; sensitive: true marks it as
+  // sensitive, like the app does, `to` sends it to those members only and
+  // `channel` to a channel other than `defaultChannel`. Resolves to
+  // publishClip's result, or null for an unknown session.
+  const publishFromBody = async (sessionCode, body, { origin, defaultChannel = DEFAULT_CHANNEL }) => {
+    let item;
+    try {
+      item = normalizeItem(body, { maxBytes: maxItemBytes });
+    } catch (err) {
+      if (!(err instanceof ItemTooLargeError)) throw err;
+      throw new ApiError(413, "item_too_large", err.message);
+    }
+    if (!item) {
+      throw new ApiError(400, "empty_item", "Send a non-empty item or text");
+    }
+
+    let expiry;
+    try {
+      expiry = normalizeExpiry(body.expiry);
+    } catch (err) {
+      if (!(err instanceof ExpiryError)) throw err;
+      throw new ApiError(400, "invalid_expiry", err.message);
+    }
+
+    try {
+      return await publishClip(sessionCode, item, {
+        clipId: typeof body.clipId === "string" ? body.clipId : undefined,
+        expiry,
+        sensitive: body.sensitive === true,
+        recipients: normalizeRecipients(body.to),
+        channel: body.channel ? normalizeChannel(body.channel) : defaultChannel,
+        origin,
+      });
+    } catch (err) {
+      if (err instanceof RecipientError) {
+        throw new ApiError(400, "invalid_recipients", err.message);
+      }
+      if (err instanceof ChannelError) {
+        throw new ApiError(400, "invalid_channel", err.message);
+      }
+      throw err;
+    }
+  };
+
+  // Add a clip, see publishFromBody
+  router.post(
+    "/sessions/:code/clips",
+    route(async (req, res) => {
+      const { sessionCode, tokenId } = res.locals;
+      const result = await publishFromBody(sessionCode, req.body, {
+        origin: (s) => ({
+          apiTokenId: tokenId,
+          name: s.apiTokens?.[tokenId]?.name || null,
+        }),
+      });
+      if (!result) {
+        throw new ApiError(401, "unauthorized", "Invalid session or API token");
+      }
+
+      res
+        .status(result.duplicate ? 200 : 201)
+        .json({ entry: result.entry, duplicate: result.duplicate });
+    })
+  );
+
+  // Incoming webhook: add a clip to the hook's channel. Takes the same JSON
+  // body as POST /sessions/:code/clips, or a text/* body sent as plain text.
+  router.post(
+    "/hooks/:code/:token",
+    express.text({ type: "text/*", limit: maxItemBytes * 1.2 + 64e3 }),
+    route(async (req, res) => {
+      const { code, token } = req.params;
+      const session = await store.get(code);
+      const hookId = session && verifyIncomingWebhook(session, token);
+      if (!hookId) {
+        throw new ApiError(401, "unauthorized", "Invalid session or webhook URL");
+      }
+
+      await store.update(code, (s) => {
+        if (!s.incomingWebhooks?.[hookId]) return false;
+        s.incomingWebhooks[hookId].lastUsed = new Date();
+      });
+
+      const body = typeof req.body === "string" ? { text: req.body } : req.body || {};
+      const result = await publishFromBody(code, body, {
+        defaultChannel: session.incomingWebhooks[hookId].channel,
+        origin: (s) => ({
+          webhookId: hookId,
+          name: s.incomingWebhooks?.[hookId]?.name || null,
+        }),
+      });
+      if (!result) {
+        throw new ApiError(401, "unauthorized", "Invalid session or webhook URL");
+      }
+
+      res
+        .status(result.duplicate ? 200 : 201)
+        .json({ entry: result.entry, duplicate: result.duplicate });
+    })
+  );
+
+  // The session's channels
+  router.get(
+    "/sessions/:code/channels",
+    route(async (req, res) => {
+      res.json({ channels: channelsOf(res.locals.session) });
+    })
+  );
+
+  // The session's devices, for sending a clip `to` some of them
+  router.get(
+    "/sessions/:code/devices",
+    route(async (req, res) => {
+      const { session } = res.locals;
+      res.json({
+        devices: Object.entries(session.members || {}).map(([memberId, member]) => ({
+          memberId,
+          name: member.name || null,
+          platform: member.platform || null,
+        })),
+      });
+    })
+  );
+
+  // The most recent clipboard item, of the default channel or ?channel=.
+  // Fetching one item counts as reading it for items that expire after a
+  // number of reads.
+  router.get(
+    "/sessions/:code/clips/latest",
+    route(async (req, res) => {
+      const { session, sessionCode, tokenId } = res.locals;
+      const latest = latestItemFor(session, `api:${tokenId}`, channelParam(session, req));
+      // Items stored before history entries existed are bare strings
+      const entry = latest?.id
+        ? await readEntry(sessionCode, latest.id, `api:${tokenId}`)
+        : latest;
+      if (!entry) {
+        throw new ApiError(404, "not_found", "The session has no clipboard item yet");
+      }
+      res.json({ entry });
+    })
+  );
+
+  // History, newest first: ?offset=&limit= for a page, or ?since=<seq> for
+  // everything added after a sequence number. Every channel's, or just
+  // ?channel='s.
+  router.get(
+    "/sessions/:code/clips",
+    route(async (req, res) => {
+      const { session, tokenId } = res.locals;
+      const { offset, limit, since } = req.query;
+      const viewer = `api:${tokenId}`;
+      const channels = req.query.channel !== undefined ? [channelParam(session, req)] : undefined;
+
+      res.json(
+        since !== undefined
+          ? historySince(session, since, { viewer, channels })
+          : pageHistory(session, { offset, limit, viewer, channels })
+      );
+    })
+  );
+
+  router.get(
+    "/sessions/:code/clips/:id",
+    route(async (req, res) => {
+      const { sessionCode, tokenId } = res.locals;
+      const entry = await readEntry(sessionCode, req.params.id, `api:${tokenId}`);
+      if (!entry) {
+        throw new ApiError(404, "not_found", "No such history entry");
+      }
+      res.json({ entry });
+    })
+  );
+
+  router.delete(
+    "/sessions/:code/clips/:id",
+    route(async (req, res) => {
+      const { sessionCode, tokenId } = res.locals;
+      const removed = await deleteHistoryEntry(sessionCode, req.params.id, `api:${tokenId}`);
+      if (!removed) {
+        throw new ApiError(404, "not_found", "No such history entry");
+      }
+      res.json({ deleted: removed.id });
+    })
+  );
+
+  // Clear the history, or just ?channel='s. Pinned entries stay unless
+  // ?keepPinned=false.
+  router.delete(
+    "/sessions/:code/clips",
+    route(async (req, res) => {
+      const { session, sessionCode, tokenId } = res.locals;
+      const removed = await clearSessionHistory(sessionCode, {
+        keepPinned: req.query.keepPinned !== "false",
+        channel: req.query.channel !== undefined ? channelParam(session, req) : undefined,
+        viewer: `api:${tokenId}`,
+      });
+      res.json({ deleted: removed.length });
+    })
+  );
+
+  router.use(() => {
+    throw new ApiError(404, "not_found", "No such API route");
+  });
+  router.use(handleApiError);
+
+  return router;
+};
+
+module.exports = {
+  ApiError,
+  route,
+  middleware,
+  bearerToken,
+  createApiRouter,
+  handleApiError,
+};
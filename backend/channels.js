@@ -0,0 +1,74 @@
+// Named channels within a session, e.g. "default", "links", "code". Each
+// has its own current item and history: entries carry their channel (none
+// means the default one) and the history limit applies per channel.
+//
+// session.channels lists the session's channels besides the default one.
+// Devices subscribe to some of them (members[id].channels; none means all)
+// and only get items, and history, from those. Any device can add a
+// channel; only the owner can delete one.
+
+const DEFAULT_CHANNEL = "default";
+const MAX_CHANNELS = 20;
+const CHANNEL_NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+class ChannelError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ChannelError";
+  }
+}
+
+// Every channel of the session, the default one first
+const channelsOf = (session) => [DEFAULT_CHANNEL, ...(session.channels || [])];
+
+const channelOf = (entry) => entry?.channel || DEFAULT_CHANNEL;
+
+// Check a channel a client named: lower case letters, digits, - and _.
+// Returns the name, the default channel for none, or throws ChannelError.
+const normalizeChannel = (name) => {
+  if (name === undefined || name === null || name === "") return DEFAULT_CHANNEL;
+  const channel = typeof name === "string" ? name.trim().toLowerCase() : "";
+  if (!CHANNEL_NAME.test(channel)) {
+    throw new ChannelError(
+      "Channel names are up to 32 letters, digits, - and _, starting with a letter or digit"
+    );
+  }
+  return channel;
+};
+
+// The channel must exist in the session
+const requireChannel = (session, channel) => {
+  if (!channelsOf(session).includes(channel)) {
+    throw new ChannelError(`There is no channel "${channel}" in this session`);
+  }
+  return channel;
+};
+
+// Add a channel. Returns false if it already exists.
+const addChannel = (session, channel) => {
+  if (channelsOf(session).includes(channel)) return false;
+  if (channelsOf(session).length >= MAX_CHANNELS) {
+    throw new ChannelError(`A session can have up to ${MAX_CHANNELS} channels`);
+  }
+  session.channels = [...(session.channels || []), channel];
+  return true;
+};
+
+// The channels a member gets items from
+const subscriptionOf = (session, memberId) => {
+  const chosen = session.members?.[memberId]?.channels;
+  const all = channelsOf(session);
+  return chosen ? all.filter((channel) => chosen.includes(channel)) : all;
+};
+
+module.exports = {
+  DEFAULT_CHANNEL,
+  MAX_CHANNELS,
+  ChannelError,
+  channelsOf,
+  channelOf,
+  normalizeChannel,
+  requireChannel,
+  addChannel,
+  subscriptionOf,
+};
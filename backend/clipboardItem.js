@@ -0,0 +1,78 @@
+// Clipboard items as carried over the socket and stored in session history.
+//
+// Clients encrypt the full item (all of its MIME representations) into a
+// single opaque envelope, so the server only ever sees:
+//   { types: ["image/png", "text/plain"], data: "e2e1:...", size: 1234 }
+//
+// Clients also send a hash of the content, keyed with the session secret so
+// it says nothing about the content to the server. Encrypting the same
+// content twice gives different envelopes; the hash is how the server tells
+// that two items are the same.
+
+// Largest item accepted by default, measured on the encrypted payload. The
+// server passes its configured limit (limits.maxItemBytes).
+const MAX_ITEM_BYTES = 10e6; // 10 MB
+
+const MAX_TYPES = 8;
+const HASH = /^[A-Za-z0-9:_-]{1,128}$/;
+
+class ItemTooLargeError extends Error {
+  constructor(size, limit = MAX_ITEM_BYTES) {
+    super(
+      `Clipboard item is too large (${(size / 1e6).toFixed(1)} MB). The limit is ${
+        limit / 1e6
+      } MB per item.`
+    );
+    this.name = "ItemTooLargeError";
+    this.size = size;
+    this.limit = limit;
+  }
+}
+
+// Build a stored item from a `copy-text` payload. Accepts the typed form
+// ({ item: { types, data } }) as well as the original bare string
+// ({ text }) so older clients keep working. Resolves to null for empty or
+// malformed payloads and throws ItemTooLargeError when over `maxBytes`.
+const normalizeItem = ({ item, text } = {}, { maxBytes = MAX_ITEM_BYTES } = {}) => {
+  let types = ["text/plain"];
+  let data = text;
+  let hash;
+
+  if (item && typeof item === "object") {
+    data = item.data;
+    if (typeof item.hash === "string" && HASH.test(item.hash)) {
+      hash = item.hash;
+    }
+    if (Array.isArray(item.types)) {
+      types = item.types
+        .filter((type) => typeof type === "string" && type.length < 100)
+        .slice(0, MAX_TYPES);
+    }
+  }
+
+  if (typeof data !== "string" || data.trim() === "") {
+    return null;
+  }
+
+  const size = Buffer.byteLength(data);
+  if (size > maxBytes) {
+    throw new ItemTooLargeError(size, maxBytes);
+  }
+
+  return { types, data, size, ...(hash && { hash }) };
+};
+
+// Items are compared on their content hash when both have one, otherwise on
+// their payload; the type list is only metadata
+const isSameItem = (a, b) => {
+  if (!a || !b) return false;
+  if (a.hash && b.hash) return a.hash === b.hash;
+  return (a.data ?? a) === (b.data ?? b);
+};
+
+module.exports = {
+  MAX_ITEM_BYTES,
+  ItemTooLargeError,
+  normalizeItem,
+  isSameItem,
+};
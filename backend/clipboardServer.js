@@ -0,0 +1,2598 @@
+const cluster = require("cluster");
+const crypto = require("crypto");
+const express = require("express");
+const os = require("os");
+const { Server } = require("socket.io");
+const cors = require("cors");
+const { createStore } = require("./store");
+const {
+  ItemTooLargeError,
+  normalizeItem,
+  isSameItem,
+} = require("./clipboardItem");
+const { MAX_CHUNK_BYTES, TransferError, createTransferStore } = require("./fileTransfer");
+const {
+  ROLE_OWNER,
+  hashPassphrase,
+  verifyPassphrase,
+  sanitizeDevice,
+  createMember,
+  verifyMemberToken,
+  createApiToken,
+  describeApiTokens,
+  createIncomingWebhook,
+  describeIncomingWebhooks,
+  createPairingToken,
+  prunePairingTokens,
+  consumePairingToken,
+  publicSettings,
+  SENSITIVE_POLICIES,
+} = require("./sessionAccess");
+const {
+  RecipientError,
+  normalizeRecipients,
+  canSee,
+  visibleEntry,
+  createEntry,
+  addEntry,
+  findEntry,
+  findClip,
+  findEcho,
+  removeEntry,
+  removeExpired,
+  clearHistory,
+  setHistoryLimit,
+  pageHistory,
+  historySince,
+  currentItem,
+  latestItemFor,
+  historyLimitOf,
+} = require("./history");
+const {
+  DEFAULT_CHANNEL,
+  ChannelError,
+  channelsOf,
+  channelOf,
+  normalizeChannel,
+  requireChannel,
+  addChannel,
+  subscriptionOf,
+} = require("./channels");
+const { createApiRouter, bearerToken, handleApiError } = require("./api");
+const { createAdminRouter } = require("./admin");
+const { createPairingCodes } = require("./pairingCodes");
+const { createRateLimiter, createFailureTracker } = require("./rateLimit");
+const { connectAdapter, createInstances } = require("./instances");
+const { createLogger } = require("./logger");
+const { createMetrics } = require("./metrics");
+const {
+  ExpiryError,
+  normalizeExpiry,
+  capExpiry,
+  isExpired,
+  recordRead,
+  nextExpiry,
+} = require("./expiry");
+const {
+  MAX_WEBHOOKS,
+  WebhookError,
+  normalizeWebhook,
+  createWebhook,
+  describeWebhooks,
+  clipEventData,
+  createWebhookDispatcher,
+} = require("./webhooks");
+const { resolveConfig } = require("./config");
+
+// The clipboard relay as a component another Node app can mount:
+//
+//   const clipboard = createClipboardServer({ store: { type: "file" } });
+//   app.use("/clipboard", clipboard.router);
+//   clipboard.io.attach(httpServer);
+//   await clipboard.start();
+//
+// Options are the settings config.js describes, nested the same way (limits,
+// ttl, store, webhooks, ...) and checked by resolveConfig, plus:
+//
+//   io         a Socket.IO Server to use; by default one is created, and the
+//              caller attaches it to an HTTP server
+//   namespace  Socket.IO namespace devices connect to, "/" by default
+//   store      store settings, or a session store object (see
+//              store/index.js) that the caller inits and closes
+//   logger     a logger like logger.js's
+//   auth       hooks that can turn requests down:
+//                createSession(req)  resolves to false to refuse a new session
+//                connect(socket)     resolves to false to refuse a connection
+//
+// Throws ConfigError for bad settings. server.js runs it standalone.
+
+// Options that aren't settings
+const OWN_OPTIONS = ["io", "namespace", "logger", "auth"];
+
+const isStore = (store) => typeof store?.update === "function";
+
+const createClipboardServer = (options = {}) => {
+  const settings = Object.fromEntries(
+    Object.entries(options).filter(
+      ([key, value]) => !OWN_OPTIONS.includes(key) && !(key === "store" && isStore(value))
+    )
+  );
+  const auth = options.auth || {};
+  const ownsStore = !isStore(options.store);
+
+  const config = resolveConfig(settings);
+
+  // Served at /metrics; gauges are registered further down, next to the state
+  // they read
+  const metrics = createMetrics();
+  const counters = {
+    clipsRelayed: metrics.counter(
+      "clipboard_clips_relayed_total",
+      "Clipboard items stored and sent to devices, by source"
+    ),
+    bytesRelayed: metrics.counter(
+      "clipboard_bytes_relayed_total",
+      "Bytes of clipboard items and file chunks relayed"
+    ),
+    errors: metrics.counter("clipboard_errors_total", "Errors logged by the server"),
+    joinFailures: metrics.counter(
+      "clipboard_join_failures_total",
+      "Refused attempts to join a session or pair a device, by reason"
+    ),
+    webhookDeliveries: metrics.counter(
+      "clipboard_webhook_deliveries_total",
+      "Webhook delivery attempts, by outcome"
+    ),
+  };
+
+  // JSON lines without clipboard contents or credentials; see logger.js. A
+  // logger passed in doesn't feed clipboard_errors_total.
+  const logger =
+    options.logger ||
+    createLogger({
+      level: config.logLevel,
+      onLog: (level) => {
+        if (level === "error") counters.errors.inc();
+      },
+    });
+
+  const router = express.Router();
+  // CORS_ORIGINS limits which sites may use the server; "*" allows any
+  const corsOrigin = config.corsOrigins.includes("*") ? "*" : config.corsOrigins;
+
+  // Without a Server passed in, the caller attaches this one to its HTTP
+  // server with io.attach(httpServer)
+  const io =
+    options.io ||
+    new Server({
+      cors: {
+        origin: corsOrigin,
+        methods: ["GET", "POST"],
+        credentials: true,
+        allowedHeaders: ["*"],
+      },
+      // Allow much larger payloads for clipboard data. The per-item limit is
+      // enforced in copy-text; the extra headroom here means a slightly
+      // oversized item gets a proper error instead of a dropped connection.
+      // File chunks have their own limit, so the buffer always fits one.
+      maxHttpBufferSize: Math.max(config.limits.maxItemBytes, MAX_CHUNK_BYTES) * 1.2 + 64e3,
+    });
+  const namespace = io.of(options.namespace || "/");
+
+  // Other server processes serving the same sessions, reached through the
+  // Socket.IO adapter; see instances.js and cluster.js
+  const adapterType = config.cluster.adapter || (cluster.isWorker ? "cluster" : "none");
+  const instances = createInstances({ namespace, shared: adapterType !== "none", logger });
+  let closeAdapter = async () => {};
+
+  // Behind a reverse proxy, set TRUST_PROXY so rate limits on socket events
+  // apply to the client address from X-Forwarded-For instead of the proxy's.
+  // HTTP requests go by req.ip, which follows the app's "trust proxy" setting.
+  const TRUST_PROXY = config.trustProxy;
+
+  router.use(cors({ origin: corsOrigin }));
+
+  // Every request gets an ID, sent back as X-Request-Id and added to its log
+  // lines. Paths are logged as their route pattern because they can contain
+  // session codes.
+  router.use((req, res, next) => {
+    const header = req.get("x-request-id");
+    req.id = header && /^[\w-]{1,64}$/.test(header) ? header : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set("X-Request-Id", req.id);
+
+    const started = Date.now();
+    res.on("finish", () => {
+      req.log.info("HTTP request", {
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+        status: res.statusCode,
+        ms: Date.now() - started,
+      });
+    });
+    next();
+  });
+
+  // Leave room for JSON overhead around an item posted to the HTTP API
+  router.use(express.json({ limit: config.limits.maxItemBytes * 1.2 + 64e3 }));
+
+  // Clipboard data lives in a pluggable store (memory, file, mongo or redis)
+  // so sessions can survive restarts and several processes can share them.
+  // Active connections are per-process socket state and always stay in
+  // memory: each process only tracks its own sockets, keyed by session code.
+  const store = ownsStore
+    ? createStore({ ...config.store, redisUrl: config.redisUrl, logger })
+    : options.store;
+  const activeConnections = {};
+
+  // Signed HTTP callbacks for session events; see webhooks.js
+  const webhooks = createWebhookDispatcher({
+    store,
+    logger,
+    ...config.webhooks,
+    onDelivery: (outcome) => counters.webhookDeliveries.inc({ outcome }),
+  });
+
+  // Webhooks are sent in the background and never hold up what fired them
+  const fireWebhooks = (sessionCode, event, data, session) => {
+    webhooks.fire(sessionCode, event, data, session).catch((err) => {
+      logger.error("Failed to send webhooks", { sessionCode, event, err });
+    });
+  };
+
+  // What device.joined and device.left say about a member
+  const deviceEventData = (memberId, member, extra) => ({
+    memberId,
+    name: member?.name || null,
+    platform: member?.platform || null,
+    ...extra,
+  });
+
+  // Work that stop() waits for before closing the store, such as recording
+  // when disconnected devices were last seen
+  const settling = new Set();
+  const settleBeforeStop = (promise) => {
+    const settled = promise.catch(() => {}).then(() => settling.delete(settled));
+    settling.add(settled);
+  };
+
+  // Devices connected to this process waiting for an existing member to
+  // approve their join request, keyed by session code and then socket ID
+  const pendingJoins = {};
+
+  // Timers that remove expiring history entries, one per session set for its
+  // soonest expiry (see scheduleExpiry)
+  const expiryTimers = new Map();
+
+  // Short-lived codes devices exchange for a session's ID and a member token
+  const pairingCodes = createPairingCodes({ ttl: config.ttl.pairingCode });
+
+  // Rate limits per client IP, plus per socket for socket events
+  const MINUTE = 60 * 1000;
+  const limits = {
+    createSession: createRateLimiter({ limit: 10, windowMs: MINUTE }),
+    // Inactive sessions are cleaned up after SESSION_TTL, so this caps how many
+    // sessions one address can keep around
+    sessionsPerIp: createRateLimiter({ limit: 50, windowMs: 24 * 60 * MINUTE }),
+    checkSession: createRateLimiter({ limit: 30, windowMs: MINUTE }),
+    pair: createRateLimiter({ limit: 10, windowMs: MINUTE }),
+    join: createRateLimiter({ limit: 30, windowMs: MINUTE }),
+    joinPerSocket: createRateLimiter({ limit: 10, windowMs: MINUTE }),
+    copy: createRateLimiter({ limit: 100, windowMs: 10 * 1000 }),
+    copyPerSocket: createRateLimiter({ limit: 30, windowMs: 10 * 1000 }),
+    // Starting file transfers and sending their chunks
+    files: createRateLimiter({ limit: 400, windowMs: 10 * 1000 }),
+    filesPerSocket: createRateLimiter({ limit: 200, windowMs: 10 * 1000 }),
+  };
+
+  // Addresses that keep presenting unknown session codes, pairing codes or
+  // passphrases are locked out for longer and longer
+  const failedGuesses = createFailureTracker({
+    threshold: 5,
+    baseMs: 30 * 1000,
+    maxMs: 15 * MINUTE,
+    forgetMs: 15 * MINUTE,
+  });
+
+  const LOCKED_OUT_MESSAGE = "Too many wrong codes or passphrases from this address";
+
+  // Sessions one connection can be in, or waiting to join, at the same time
+  const MAX_SESSIONS_PER_SOCKET = 10;
+
+  const socketIp = (socket) =>
+    (TRUST_PROXY && socket.handshake.headers["x-forwarded-for"]?.split(",")[0].trim()) ||
+    socket.handshake.address;
+
+  // Count an attempt against several limits at once. Resolves to the seconds
+  // to wait before trying again, or null if it is allowed.
+  const checkLimits = (...checks) => {
+    const waits = checks.map(([limiter, key]) => limiter.hit(key)).filter(Boolean);
+    return waits.length > 0 ? Math.max(...waits) : null;
+  };
+
+  // Refuse an HTTP request that went over a limit
+  const tooManyRequests = (res, retryAfter, message) => {
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({ error: message, retryAfter });
+  };
+
+  // Refuse a socket event that went over a limit. The app shows the
+  // rate-limited event; requests with an ack also get the error there.
+  const rateLimited = (socket, event, callback, retryAfter, message) => {
+    socket.data.log.info("Rate limited", { event, ip: socketIp(socket), retryAfter });
+    socket.emit("rate-limited", { event, message, retryAfter });
+    if (typeof callback === "function") {
+      callback({ error: message, retryAfter });
+    }
+  };
+
+  // Encrypted file chunks are kept on disk until their session expires
+  const transfers = createTransferStore({
+    dir: config.transferDir,
+    maxFileBytes: config.limits.maxFileBytes,
+    maxSessionBytes: config.limits.maxSessionFileBytes,
+  });
+
+  // Reply to a file transfer request that failed
+  const transferFailed = (err, callback) => {
+    if (err instanceof TransferError) {
+      callback({ error: err.message });
+      return;
+    }
+
+    logger.error("File transfer error", { err });
+    callback({ error: "Server error, please try again" });
+  };
+
+  // Report a failed request through its acknowledgement, or as an error event
+  // for clients that didn't ask for one
+  const replyError = (socket, callback, message) => {
+    if (typeof callback === "function") {
+      callback({ error: message });
+    } else {
+      socket.emit("error", message);
+    }
+  };
+
+  // Member ID a socket was admitted to a session as, or null
+  const membershipOf = (socket, sessionCode) =>
+    socket.data.memberships?.[sessionCode] || null;
+
+  // Whether a socket's device subscribes to a channel of the session
+  const subscribedTo = (socket, sessionCode, channel) =>
+    !!socket.data.channels?.[sessionCode]?.includes(channel);
+
+  // Settings shared with every device in the session
+  const sessionSettings = (session) => ({
+    ...publicSettings(session),
+    channels: channelsOf(session),
+    historyLimit: historyLimitOf(session),
+    maxHistoryLimit: config.limits.maxHistoryLimit,
+    maxItemBytes: config.limits.maxItemBytes,
+  });
+
+  // Who added a history entry, kept with the entry so it still shows a name
+  // after the device leaves
+  const originOf = (session, memberId) => ({
+    memberId,
+    name: session.members?.[memberId]?.name || null,
+  });
+
+  // Number of open sockets per member in a session, on every process
+  const onlineMembers = async (sessionCode) => {
+    const online = new Map();
+    (await instances.run("online-members", sessionCode)).forEach((counts) => {
+      counts?.forEach(([memberId, count]) => {
+        online.set(memberId, (online.get(memberId) || 0) + count);
+      });
+    });
+    return online;
+  };
+
+  const connectionsOf = async (sessionCode) =>
+    [...(await onlineMembers(sessionCode)).values()].reduce((sum, count) => sum + count, 0);
+
+  // Open connections per session code, on every process
+  const countConnections = async () => {
+    const counts = new Map();
+    (await instances.run("count-connections")).forEach((answer) => {
+      answer?.forEach(([sessionCode, count]) => {
+        counts.set(sessionCode, (counts.get(sessionCode) || 0) + count);
+      });
+    });
+    return counts;
+  };
+
+  // Send an event about a history entry to the devices that can see it: those
+  // subscribed to its channel, and only the recipients and sender of an entry
+  // sent to particular devices. `except` is the ID of a socket to leave out.
+  const emitForEntry = (sessionCode, entry, event, payload, except = null) =>
+    instances.run("emit-for-entry", { sessionCode, entry, event, payload, except });
+
+  // Bring the channel subscriptions the session's sockets route by up to date,
+  // after channels or a member's choice of them changed
+  const refreshSubscriptions = (sessionCode, session) =>
+    instances.run("refresh-subscriptions", {
+      sessionCode,
+      subscriptions: Object.fromEntries(
+        Object.keys(session.members || {}).map((memberId) => [
+          memberId,
+          subscriptionOf(session, memberId),
+        ])
+      ),
+    });
+
+  // Device roster for session-update: every member with its name, platform,
+  // whether it is online (`online` comes from onlineMembers) and when it was
+  // last seen
+  const describeMembers = (session, online) =>
+    Object.entries(session.members || {}).map(([memberId, member]) => ({
+      memberId,
+      name: member.name,
+      platform: member.platform,
+      role: member.role,
+      online: online.has(memberId),
+      connections: online.get(memberId) || 0,
+      lastSeen: member.lastSeen,
+      channels: subscriptionOf(session, memberId),
+    }));
+
+  // Record that a member was just seen, optionally refreshing its device details
+  const touchMember = (sessionCode, memberId, device) =>
+    store.update(sessionCode, (s) => {
+      const member = s.members?.[memberId];
+      if (!member) return false;
+
+      if (device) {
+        Object.entries(device).forEach(([field, value]) => {
+          if (value) member[field] = value;
+        });
+      }
+      member.lastSeen = new Date();
+    });
+
+  // Tell every device in a session who is connected and how it is configured.
+  // Resolves to the number of connections.
+  const broadcastSessionUpdate = async (sessionCode) => {
+    let connections = 0;
+
+    try {
+      const [session, online] = await Promise.all([
+        store.get(sessionCode),
+        onlineMembers(sessionCode),
+      ]);
+      online.forEach((count) => {
+        connections += count;
+      });
+      namespace.to(sessionCode).emit("session-update", {
+        sessionCode,
+        connections,
+        members: session ? describeMembers(session, online) : [],
+        settings: session ? sessionSettings(session) : null,
+      });
+    } catch (err) {
+      logger.error("Failed to send update", { sessionCode, err });
+    }
+
+    return connections;
+  };
+
+  // Put a socket into a session room once it has been admitted as a member.
+  // A reconnecting device passes the last sequence number it has seen.
+  const admitSocket = async (
+    socket,
+    sessionCode,
+    memberId,
+    memberToken,
+    device,
+    lastSeq
+  ) => {
+    const session = await touchMember(sessionCode, memberId, device);
+    if (!session) {
+      socket.emit("error", "Invalid session code");
+      return;
+    }
+
+    const wasOnline = (await onlineMembers(sessionCode)).has(memberId);
+    socket.join(sessionCode);
+    socket.data.memberships[sessionCode] = memberId;
+    socket.data.channels[sessionCode] = subscriptionOf(session, memberId);
+
+    // Track connection in session
+    if (!activeConnections[sessionCode]) {
+      activeConnections[sessionCode] = new Set();
+    }
+    activeConnections[sessionCode].add(socket.id);
+
+    socket.emit("session-joined", {
+      sessionCode,
+      memberId,
+      role: session.members?.[memberId]?.role,
+      // Only sent when the device was just admitted; it keeps it for next time
+      memberToken,
+      settings: sessionSettings(session),
+      channels: socket.data.channels[sessionCode],
+      lastSeq: session.lastSeq || 0,
+    });
+
+    // Send the most recent clipboard item of each channel to the new member if
+    // the device doesn't have it yet, oldest first. Anything else it missed
+    // comes from get-history with since.
+    socket.data.channels[sessionCode]
+      .map((channel) => latestItemFor(session, memberId, channel))
+      .filter((latest) => latest && !(latest.seq <= lastSeq))
+      .sort((a, b) => (a.seq || 0) - (b.seq || 0))
+      .forEach((latest) =>
+        socket.emit("paste-text", { ...visibleEntry(latest, memberId), sessionCode })
+      );
+
+    // Let the new member help with any join requests still waiting
+    (await instances.run("join-requests", sessionCode)).forEach((requests) => {
+      requests?.forEach((request) => {
+        socket.emit("join-request", { sessionCode, ...request });
+      });
+    });
+
+    // A device counts as joined when its first connection comes in
+    if (!wasOnline) {
+      fireWebhooks(
+        sessionCode,
+        "device.joined",
+        deviceEventData(memberId, session.members?.[memberId], { newDevice: !!memberToken }),
+        session
+      );
+    }
+
+    // Notify all clients in the session about the number of connections
+    const connectionCount = await broadcastSessionUpdate(sessionCode);
+    socket.data.log.info("Joined session", { sessionCode, memberId, connections: connectionCount });
+  };
+
+  // Record a new member and resolve to its ID and token, or null if the session
+  // doesn't exist. A device that lost its token replaces its old entry instead
+  // of showing up twice in the roster.
+  const registerMember = async (sessionCode, device) => {
+    const { memberId, token, member } = createMember({ device });
+    let replaced = [];
+
+    const session = await store.update(sessionCode, (s) => {
+      if (!s.members) {
+        s.members = {};
+      }
+
+      replaced = Object.keys(s.members).filter((otherId) => {
+        const other = s.members[otherId];
+        return !!member.deviceId && other.deviceId === member.deviceId && other.role !== ROLE_OWNER;
+      });
+      replaced.forEach((otherId) => delete s.members[otherId]);
+
+      s.members[memberId] = member;
+    });
+    if (!session) return null;
+
+    // Any socket still attached to a replaced entry is stale
+    if (replaced.length > 0) {
+      await evictMembers(sessionCode, replaced, "This device joined again from another connection");
+    }
+
+    return { memberId, token };
+  };
+
+  // Record a new member for the socket and admit it
+  const addMember = async (socket, sessionCode, device) => {
+    const registered = await registerMember(sessionCode, device);
+    if (!registered) {
+      socket.emit("error", "Invalid session code");
+      return;
+    }
+
+    const { memberId, token } = registered;
+    socket.data.log.info("Admitted new member", { sessionCode, memberId });
+    await admitSocket(socket, sessionCode, memberId, token);
+  };
+
+  // Take a socket on this process out of a session room and tell it why
+  const evictSocket = (socket, sessionCode, reason) => {
+    socket.leave(sessionCode);
+    delete socket.data.memberships[sessionCode];
+    delete socket.data.channels[sessionCode];
+    activeConnections[sessionCode]?.delete(socket.id);
+    socket.emit("removed-from-session", { sessionCode, reason });
+  };
+
+  // Take a socket out of a session it left or disconnected from. Resolves once
+  // the device's last-seen time is saved and the others know it's gone.
+  const departSocket = (socket, sessionCode, reason) => {
+    const memberId = membershipOf(socket, sessionCode);
+    socket.leave(sessionCode);
+    delete socket.data.memberships[sessionCode];
+    delete socket.data.channels[sessionCode];
+    activeConnections[sessionCode]?.delete(socket.id);
+
+    // Update remaining clients about connection count and when this device
+    // was last seen
+    const leaving = (memberId ? touchMember(sessionCode, memberId) : Promise.resolve())
+      .then(async (session) => {
+        // A device counts as gone when its last connection is
+        if (session && !(await onlineMembers(sessionCode)).has(memberId)) {
+          fireWebhooks(
+            sessionCode,
+            "device.left",
+            deviceEventData(memberId, session.members?.[memberId], { reason }),
+            session
+          );
+        }
+      })
+      .catch((err) => {
+        socket.data.log.error("Failed to update last seen", { sessionCode, memberId, err });
+      })
+      .then(() => broadcastSessionUpdate(sessionCode));
+    settleBeforeStop(leaving);
+
+    socket.data.log.info("Left session", {
+      sessionCode,
+      connections: activeConnections[sessionCode]?.size || 0,
+    });
+    return leaving;
+  };
+
+  // Withdraw a join request made on this process
+  const removePendingJoin = (sessionCode, socketId) => {
+    const pending = pendingJoins[sessionCode];
+    if (!pending || !pending.delete(socketId)) return false;
+
+    if (pending.size === 0) {
+      delete pendingJoins[sessionCode];
+    }
+    const requester = namespace.sockets.get(socketId);
+    if (requester) {
+      delete requester.data.pendingDevices[sessionCode];
+    }
+    // Dismiss the approval prompt on every device
+    namespace.to(sessionCode).emit("join-request-resolved", {
+      sessionCode,
+      requestId: socketId,
+    });
+    return true;
+  };
+
+  // Disconnect every socket of a member. With `remove`, the member is deleted
+  // as well and its devices are told they were removed, so its token stops
+  // working. Resolves to the number of sockets disconnected.
+  const disconnectMember = async (sessionCode, memberId, { remove = false, reason } = {}) => {
+    let removed = null;
+    if (remove) {
+      await store.update(sessionCode, (s) => {
+        removed = s.members?.[memberId] || null;
+        if (!removed) return false;
+        delete s.members[memberId];
+      });
+    }
+    if (removed) {
+      fireWebhooks(
+        sessionCode,
+        "device.left",
+        deviceEventData(memberId, removed, { reason: "removed" })
+      );
+    }
+
+    const disconnected = await evictMembers(
+      sessionCode,
+      [memberId],
+      remove ? reason || "You were removed from this session" : null
+    );
+
+    await broadcastSessionUpdate(sessionCode);
+    return disconnected;
+  };
+
+  // Evict the sockets of some members from a session with a reason, or
+  // disconnect them without one, on every process. Resolves to how many there
+  // were.
+  const evictMembers = async (sessionCode, memberIds, reason) =>
+    (await instances.run("evict-members", { sessionCode, memberIds, reason })).reduce(
+      (sum, count) => sum + (count || 0),
+      0
+    );
+
+  // Forget everything kept for a deleted session outside the store and tell
+  // its devices, and any still waiting to join, why they were dropped
+  const forgetSession = async (sessionCode, reason) => {
+    await instances.run("forget-session", { sessionCode, reason });
+  };
+
+  // Settle a join request, wherever the waiting device is connected:
+  // { approved } or { reason } it was declined for. Resolves to false if it
+  // wasn't pending.
+  const resolveJoinRequest = async (sessionCode, requestId, outcome) =>
+    (await instances.run("resolve-join", { sessionCode, requestId, ...outcome })).some(Boolean);
+
+  // A member has one pairing code at a time, whichever process issued it
+  const issuePairingCode = async (sessionCode, memberId) => {
+    await instances.run("revoke-pairing-codes", { sessionCode, memberId });
+    return pairingCodes.issue(sessionCode, memberId);
+  };
+
+  const countPendingJoins = () =>
+    Object.values(pendingJoins).reduce((sum, pending) => sum + pending.size, 0);
+
+  // What this process can tell about itself, for the admin API and /metrics
+  const processStats = () => ({
+    hostname: os.hostname(),
+    // Workers of the same cluster.js share an address and their metrics
+    primary: cluster.isWorker ? process.ppid : null,
+    sockets: namespace.sockets.size,
+    pendingJoins: countPendingJoins(),
+    memory: process.memoryUsage().rss,
+    counters: metrics.snapshot(),
+  });
+
+  // Commands each process runs for its own sockets; see instances.js
+
+  instances.handle("online-members", (sessionCode) => {
+    const online = new Map();
+    activeConnections[sessionCode]?.forEach((socketId) => {
+      const memberId = membershipOf(namespace.sockets.get(socketId), sessionCode);
+      if (memberId) online.set(memberId, (online.get(memberId) || 0) + 1);
+    });
+    return [...online];
+  });
+
+  instances.handle("count-connections", () =>
+    Object.entries(activeConnections).map(([sessionCode, sockets]) => [sessionCode, sockets.size])
+  );
+
+  instances.handle("emit-for-entry", ({ sessionCode, entry, event, payload, except }) => {
+    activeConnections[sessionCode]?.forEach((socketId) => {
+      const other = namespace.sockets.get(socketId);
+      if (
+        other &&
+        socketId !== except &&
+        subscribedTo(other, sessionCode, channelOf(entry)) &&
+        canSee(entry, membershipOf(other, sessionCode))
+      ) {
+        other.emit(event, payload);
+      }
+    });
+  });
+
+  instances.handle("refresh-subscriptions", ({ sessionCode, subscriptions }) => {
+    activeConnections[sessionCode]?.forEach((socketId) => {
+      const other = namespace.sockets.get(socketId);
+      const memberId = other && membershipOf(other, sessionCode);
+      if (memberId && subscriptions[memberId]) {
+        other.data.channels[sessionCode] = subscriptions[memberId];
+      }
+    });
+  });
+
+  instances.handle("evict-members", ({ sessionCode, memberIds, reason }) => {
+    let count = 0;
+    activeConnections[sessionCode]?.forEach((socketId) => {
+      const target = namespace.sockets.get(socketId);
+      if (!target || !memberIds.includes(membershipOf(target, sessionCode))) return;
+
+      count += 1;
+      if (reason) {
+        evictSocket(target, sessionCode, reason);
+      } else {
+        target.disconnect(true);
+      }
+    });
+    return count;
+  });
+
+  instances.handle("forget-session", async ({ sessionCode, reason }) => {
+    activeConnections[sessionCode]?.forEach((socketId) => {
+      const target = namespace.sockets.get(socketId);
+      if (target) evictSocket(target, sessionCode, reason);
+    });
+    pendingJoins[sessionCode]?.forEach((request, socketId) => {
+      namespace.sockets.get(socketId)?.emit("join-rejected", { sessionCode, reason });
+    });
+
+    delete activeConnections[sessionCode];
+    delete pendingJoins[sessionCode];
+    clearTimeout(expiryTimers.get(sessionCode));
+    expiryTimers.delete(sessionCode);
+    pairingCodes.removeSession(sessionCode);
+    // Every process drops the transfers it has cached; the first one to get
+    // here deletes the files
+    await transfers.removeSession(sessionCode);
+  });
+
+  instances.handle("join-requests", (sessionCode) => [
+    ...(pendingJoins[sessionCode]?.values() || []),
+  ]);
+
+  instances.handle("resolve-join", async ({ sessionCode, requestId, approved, reason }) => {
+    const target = namespace.sockets.get(requestId);
+    const device = target?.data.pendingDevices[sessionCode];
+    if (!removePendingJoin(sessionCode, requestId)) return false;
+    if (!target) return true;
+
+    if (!approved) {
+      target.emit("join-rejected", { sessionCode, reason });
+      return true;
+    }
+    try {
+      await addMember(target, sessionCode, device);
+    } catch (err) {
+      target.data.log.error("Failed to admit approved device", { sessionCode, err });
+      target.emit("error", "Server error, please try again");
+    }
+    return true;
+  });
+
+  instances.handle("reject-joins", ({ sessionCode, reason }) => {
+    [...(pendingJoins[sessionCode]?.keys() || [])].forEach((requestId) => {
+      removePendingJoin(sessionCode, requestId);
+      namespace.sockets.get(requestId)?.emit("join-rejected", { sessionCode, reason });
+    });
+  });
+
+  instances.handle("revoke-pairing-codes", ({ sessionCode, memberId }) => {
+    pairingCodes.removeSession(sessionCode, memberId);
+  });
+
+  instances.handle("redeem-pairing-code", (pairingCode) => pairingCodes.redeem(pairingCode));
+
+  instances.handle("process-stats", processStats);
+
+  // Delete a session right away, e.g. from the admin API
+  const expireSession = async (sessionCode) => {
+    const session = await store.get(sessionCode);
+    await store.delete(sessionCode);
+    if (session) {
+      fireWebhooks(sessionCode, "session.expired", { reason: "closed" }, session);
+    }
+    await forgetSession(sessionCode, "This session was closed by the server administrator");
+  };
+
+  // Resolves to the session if the socket is its owner
+  const ownedSession = async (socket, sessionCode) => {
+    const memberId = membershipOf(socket, sessionCode);
+    if (!memberId) return null;
+
+    const session = await store.get(sessionCode);
+    return session?.members?.[memberId]?.role === ROLE_OWNER ? session : null;
+  };
+
+  // Store a clip in a session and relay it to the session's devices. Shared by
+  // copy-text and the HTTP API so both behave the same. `item` comes from
+  // normalizeItem and `expiry` from normalizeExpiry; `sensitive` marks an item
+  // the sender's device classified as sensitive, which expires soon whatever
+  // the expiry. `recipients` (from normalizeRecipients) sends it to those
+  // members only; RecipientError if one isn't a member. `channel` is the
+  // channel it goes to; ChannelError if the session has no such channel.
+  // `origin(session)` describes who sent it. When a socket sent it, that socket gets
+  // history-added instead of paste-text.
+  //
+  // Resending a clipId, the item that is already current, or an item the
+  // sender just got from another device (see findEcho) doesn't add it again.
+  // Resolves to { entry, duplicate }, or null if the session is gone.
+  const publishClip = async (
+    sessionCode,
+    item,
+    { clipId, expiry, sensitive, recipients, channel = DEFAULT_CHANNEL, origin, socket } = {}
+  ) => {
+    const safeClipId = typeof clipId === "string" ? clipId.slice(0, 64) : undefined;
+    const fields = sensitive
+      ? { ...capExpiry(expiry, config.ttl.sensitiveItem), sensitive: true }
+      : expiry;
+    let existing = null;
+    let refused = null;
+    let entry;
+    let evicted = [];
+
+    // The store applies updates to a session one at a time, so sequence numbers
+    // follow the order items arrive in
+    const session = await store.update(sessionCode, (s) => {
+      refused = null;
+      evicted = [];
+      // Items for particular devices are sent again on purpose
+      existing =
+        findClip(s, safeClipId) ||
+        (!recipients &&
+          findEcho(s, item, {
+            memberId: origin(s)?.memberId,
+            channel,
+            window: config.ttl.echoWindow,
+          })) ||
+        null;
+      // Don't process if it's the exact same item as before
+      if (!existing && !recipients && isSameItem(currentItem(s, channel), item)) {
+        existing = currentItem(s, channel);
+      }
+      if (existing) return false;
+      try {
+        requireChannel(s, channel);
+      } catch (err) {
+        refused = err;
+        return false;
+      }
+      if (recipients && !recipients.every((memberId) => s.members?.[memberId])) {
+        refused = new RecipientError("Some of those devices are not in this session");
+        return false;
+      }
+
+      // Store the latest item in session and add it to history. Items for
+      // particular devices don't become everyone's current item.
+      entry = createEntry(
+        {
+          ...item,
+          clipId: safeClipId,
+          ...fields,
+          ...(recipients && { recipients }),
+          ...(channel !== DEFAULT_CHANNEL && { channel }),
+        },
+        origin(s)
+      );
+      const added = addEntry(s, entry);
+      if (!added) {
+        existing = s.history.find((e) => channelOf(e) === channel);
+        return false;
+      }
+      evicted = added;
+      if (!recipients && channel === DEFAULT_CHANNEL) {
+        s.text = entry;
+      }
+
+      s.lastActivity = new Date();
+    });
+
+    if (!session) return null;
+    if (refused) throw refused;
+
+    if (existing) {
+      logger.debug("Duplicate item ignored", { sessionCode, seq: existing.seq });
+      return { entry: existing, duplicate: true };
+    }
+    if (entry.expiresAt) {
+      scheduleExpiry(sessionCode, session);
+    }
+
+    if (socket) {
+      // Broadcast to all devices in the session (or the recipients) EXCEPT the
+      // sender. The sender gets the stored entry for its own history list
+      // instead.
+      await emitForEntry(
+        sessionCode,
+        entry,
+        "paste-text",
+        { ...visibleEntry(entry), sessionCode },
+        socket.id
+      );
+      socket.emit("history-added", { sessionCode, entry });
+    } else {
+      await emitForEntry(sessionCode, entry, "paste-text", { ...visibleEntry(entry), sessionCode });
+    }
+    await dropEvicted(sessionCode, evicted);
+    fireWebhooks(sessionCode, "clip.created", clipEventData(entry), session);
+    counters.clipsRelayed.inc({ source: socket ? "socket" : "api" });
+    counters.bytesRelayed.inc({ kind: "clip" }, entry.size);
+    (socket?.data.log || logger).info("Item broadcast", {
+      sessionCode,
+      seq: entry.seq,
+      size: entry.size,
+      devices: namespace.adapter.rooms.get(sessionCode)?.size || 0,
+      recipients: entry.recipients?.length,
+      channel: entry.channel,
+    });
+
+    return { entry, duplicate: false };
+  };
+
+  // Delete the files of removed file entries from the server
+  const removeFiles = async (sessionCode, entries) => {
+    for (const entry of entries) {
+      if (entry.kind === "file") {
+        await transfers.remove(sessionCode, entry.transferId);
+      }
+    }
+  };
+
+  // Delete one history entry (and its file, for file entries) on every device.
+  // `viewer` can only delete entries it can see. Resolves to the removed
+  // entry, or null if there was none.
+  const deleteHistoryEntry = async (sessionCode, id, viewer) => {
+    let removed = null;
+    await store.update(sessionCode, (s) => {
+      const entry = findEntry(s, id);
+      removed = null;
+      if (!entry || !canSee(entry, viewer)) return false;
+      removed = removeEntry(s, id);
+    });
+    if (!removed) return null;
+
+    await removeFiles(sessionCode, [removed]);
+
+    logger.info("History entry deleted", { sessionCode, id });
+    emitForEntry(sessionCode, removed, "history-removed", { sessionCode, id });
+    return removed;
+  };
+
+  // Clear the history, or one channel's, on every device. `viewer` only
+  // clears the entries it can see. Resolves to the removed entries.
+  const clearSessionHistory = async (sessionCode, { keepPinned = true, channel, viewer } = {}) => {
+    let removed = [];
+    await store.update(sessionCode, (s) => {
+      removed = clearHistory(s, { keepPinned, channel, viewer });
+    });
+
+    await removeFiles(sessionCode, removed);
+
+    logger.info("History cleared", { sessionCode, entries: removed.length });
+    namespace.to(sessionCode).emit("history-changed", { sessionCode });
+    return removed;
+  };
+
+  // Remove entries the history limit pushed out from every device, and their
+  // files from the server. The entry that pushed them out is already stored,
+  // so failing to delete a file is only logged.
+  const dropEvicted = async (sessionCode, entries) => {
+    entries.forEach((entry) => {
+      emitForEntry(sessionCode, entry, "history-removed", { sessionCode, id: entry.id });
+    });
+    await removeFiles(sessionCode, entries).catch((err) => {
+      logger.error("Failed to delete evicted files", { sessionCode, err });
+    });
+  };
+
+  // Devices replace expired entries with a placeholder rather than just
+  // dropping them, hence the reason
+  const announceExpired = (sessionCode, entries) => {
+    entries.forEach((entry) => {
+      emitForEntry(sessionCode, entry, "history-removed", {
+        sessionCode,
+        id: entry.id,
+        reason: "expired",
+      });
+    });
+    if (entries.length > 0) {
+      logger.info("History entries expired", { sessionCode, entries: entries.length });
+    }
+  };
+
+  // Remove the session's expired entries on every device. Resolves to them.
+  const purgeExpired = async (sessionCode) => {
+    let expired = [];
+    const session = await store.update(sessionCode, (s) => {
+      expired = removeExpired(s);
+      if (expired.length === 0) return false;
+    });
+
+    announceExpired(sessionCode, expired);
+    scheduleExpiry(sessionCode, session);
+    return expired;
+  };
+
+  // Set the session's expiry timer for its soonest expiring entry, or clear it
+  // when there is none
+  const scheduleExpiry = (sessionCode, session) => {
+    clearTimeout(expiryTimers.get(sessionCode));
+    expiryTimers.delete(sessionCode);
+
+    const at = session ? nextExpiry(session) : null;
+    if (at === null) return;
+
+    const timer = setTimeout(() => {
+      expiryTimers.delete(sessionCode);
+      purgeExpired(sessionCode).catch((err) => {
+        logger.error("Failed to remove expired history entries", { sessionCode, err });
+      });
+    }, Math.max(0, at - Date.now()));
+    timer.unref();
+    expiryTimers.set(sessionCode, timer);
+  };
+
+  // Count a read (a copy) of an entry by a member, or "api:<tokenId>". An
+  // entry that reaches its read limit is removed on every device; otherwise
+  // devices get the new reader list. Resolves to the entry, or null if there
+  // is no such entry, the reader can't see it or it has expired.
+  const readEntry = async (sessionCode, id, readerId) => {
+    let entry = null;
+    let counted = false;
+    await store.update(sessionCode, (s) => {
+      entry = findEntry(s, id);
+      counted = false;
+      if (!entry || !canSee(entry, readerId) || isExpired(entry)) {
+        entry = null;
+        return false;
+      }
+
+      counted = recordRead(entry, readerId);
+      if (!counted) return false;
+      if (isExpired(entry)) {
+        removeEntry(s, id);
+      }
+    });
+    if (!counted) return entry;
+
+    if (isExpired(entry)) {
+      announceExpired(sessionCode, [entry]);
+    } else {
+      emitForEntry(sessionCode, entry, "history-updated", {
+        sessionCode,
+        id,
+        changes: { readBy: entry.readBy },
+      });
+    }
+    return entry;
+  };
+
+  // Sessions are identified by an unguessable ID. It is still called the
+  // session code in events and routes; people share pairing codes instead.
+  const generateSessionId = async () => {
+    const id = crypto.randomBytes(16).toString("hex");
+    return (await store.exists(id)) ? generateSessionId() : id;
+  };
+
+  // Create a session. The caller becomes its owner and gets a token to prove
+  // it when joining, plus a first pairing code to show other devices.
+  const createSession = async (req, res, { passphrase, requireApproval } = {}) => {
+    const retryAfter = checkLimits(
+      [limits.createSession, req.ip],
+      [limits.sessionsPerIp, req.ip]
+    );
+    if (retryAfter) {
+      tooManyRequests(res, retryAfter, "Too many new sessions from this address");
+      return;
+    }
+
+    try {
+      if (auth.createSession && !(await auth.createSession(req))) {
+        res.status(403).json({ error: "Not allowed to create sessions" });
+        return;
+      }
+
+      const sessionCode = await generateSessionId();
+      const owner = createMember({ role: ROLE_OWNER });
+
+      await store.create(sessionCode, {
+        text: "", // Most recent clipboard item
+        history: [], // Store clipboard history
+        historyLimit: config.limits.historyLimit,
+        createdAt: new Date(),
+        lastActivity: new Date(),
+        passphrase: await hashPassphrase(passphrase),
+        requireApproval: !!requireApproval,
+        locked: false,
+        members: { [owner.memberId]: owner.member },
+      });
+
+      const { pairingCode, expiresAt } = pairingCodes.issue(sessionCode, owner.memberId);
+
+      req.log.info("Session created", { sessionCode });
+      res.json({
+        sessionCode,
+        ownerToken: owner.token,
+        pairingCode,
+        pairingCodeExpiresAt: expiresAt,
+      });
+    } catch (err) {
+      req.log.error("Failed to create session", { err });
+      res.status(500).json({ error: "Failed to create session" });
+    }
+  };
+
+  // Endpoint to get a new session code
+  router.get("/new-session", (req, res) => createSession(req, res));
+
+  // Create a session with access settings: { passphrase, requireApproval }
+  router.post("/new-session", (req, res) => createSession(req, res, req.body));
+
+  // Check if session exists
+  router.get("/check-session/:code", async (req, res) => {
+    const { code } = req.params;
+
+    const lockedOut = failedGuesses.lockedOut(req.ip);
+    const retryAfter = lockedOut || checkLimits([limits.checkSession, req.ip]);
+    if (retryAfter) {
+      tooManyRequests(
+        res,
+        retryAfter,
+        lockedOut ? LOCKED_OUT_MESSAGE : "Too many session checks from this address"
+      );
+      return;
+    }
+
+    try {
+      const sessionExists = await store.exists(code);
+      if (!sessionExists) {
+        failedGuesses.fail(req.ip);
+      }
+
+      res.json({
+        exists: sessionExists,
+        connections: sessionExists ? await connectionsOf(code) : 0,
+      });
+    } catch (err) {
+      req.log.error("Failed to check session", { sessionCode: code, err });
+      res.status(500).json({ error: "Failed to check session" });
+    }
+  });
+
+  // Exchange a pairing code for the session ID and a member token:
+  // { pairingCode, passphrase, device }. The code was shown by a member, so
+  // the new device doesn't need approval, but a passphrase still applies. The
+  // code is used up by the first attempt, right or wrong.
+  router.post("/pair", async (req, res) => {
+    const { pairingCode, passphrase, device } = req.body || {};
+
+    const lockedOut = failedGuesses.lockedOut(req.ip);
+    const retryAfter = lockedOut || checkLimits([limits.pair, req.ip]);
+    if (retryAfter) {
+      tooManyRequests(
+        res,
+        retryAfter,
+        lockedOut ? LOCKED_OUT_MESSAGE : "Too many pairing attempts from this address"
+      );
+      return;
+    }
+
+    try {
+      // Pairing codes live on the process that issued them
+      const pairing = (await instances.run("redeem-pairing-code", pairingCode)).find(Boolean);
+      const session = pairing && (await store.get(pairing.sessionCode));
+      if (!session) {
+        failedGuesses.fail(req.ip);
+        counters.joinFailures.inc({ reason: "pairing_code" });
+        res.status(404).json({ error: "Invalid or expired pairing code" });
+        return;
+      }
+
+      const { sessionCode } = pairing;
+      // Whoever shows the code can tell it has been used and get a new one
+      namespace.to(sessionCode).emit("pairing-code-used", {
+        sessionCode,
+        pairingCode: pairing.pairingCode,
+      });
+
+      if (session.locked) {
+        counters.joinFailures.inc({ reason: "locked" });
+        res.status(403).json({ error: "This session is locked and not accepting new devices" });
+        return;
+      }
+      if (!(await verifyPassphrase(session.passphrase, passphrase))) {
+        failedGuesses.fail(req.ip);
+        counters.joinFailures.inc({ reason: "passphrase" });
+        res.status(403).json({ error: "Incorrect session passphrase" });
+        return;
+      }
+
+      const registered = await registerMember(sessionCode, sanitizeDevice(device));
+      if (!registered) {
+        res.status(404).json({ error: "Invalid or expired pairing code" });
+        return;
+      }
+
+      req.log.info("Paired new device", { sessionCode, memberId: registered.memberId });
+      res.json({ sessionCode, memberToken: registered.token });
+    } catch (err) {
+      req.log.error("Failed to pair device", { err });
+      res.status(500).json({ error: "Failed to pair device" });
+    }
+  });
+
+  // Admin API for the server operator, enabled by setting ADMIN_TOKEN
+  const startedAt = new Date();
+  router.use(
+    "/api/admin",
+    createAdminRouter({
+      store,
+      adminToken: config.adminToken,
+      failedGuesses,
+      describeMembers: async (session) =>
+        describeMembers(session, await onlineMembers(session.code)),
+      countConnections,
+      expireSession,
+      disconnectMember,
+      serverStats: async () => {
+        const stats = (await instances.run("process-stats")).filter(Boolean);
+        const total = (key) => stats.reduce((sum, other) => sum + other[key], 0);
+        return {
+          startedAt,
+          uptime: Math.round((Date.now() - startedAt) / 1000),
+          instances: stats.length,
+          sockets: total("sockets"),
+          pendingJoins: total("pendingJoins"),
+          memory: total("memory"),
+        };
+      },
+    })
+  );
+
+  // Workers of one cluster.js share an address, so a scrape reaches any one
+  // of them and has to speak for all of them. Separate instances are scraped
+  // one by one and only report themselves.
+  const siblingStats = async () => {
+    if (!cluster.isWorker) return [processStats()];
+    const self = processStats();
+    return (await instances.run("process-stats")).filter(
+      (other) => other && other.hostname === self.hostname && other.primary === self.primary
+    );
+  };
+
+  metrics.gauge(
+    "clipboard_sessions_active",
+    "Sessions in the store",
+    async () => (await store.list()).length
+  );
+  metrics.gauge("clipboard_sockets_connected", "Connected sockets", async () =>
+    (await siblingStats()).reduce((sum, other) => sum + other.sockets, 0)
+  );
+  metrics.gauge(
+    "clipboard_pending_joins",
+    "Devices waiting for a member to approve their join request",
+    async () => (await siblingStats()).reduce((sum, other) => sum + other.pendingJoins, 0)
+  );
+
+  // Prometheus scrape endpoint. Set METRICS_TOKEN to require it as a bearer
+  // token; the metrics hold no session codes or contents either way.
+  const metricsTokenHash = config.metricsToken
+    ? crypto.createHash("sha256").update(config.metricsToken).digest()
+    : null;
+  router.get("/metrics", async (req, res) => {
+    if (metricsTokenHash) {
+      const token = bearerToken(req) || "";
+      const tokenHash = crypto.createHash("sha256").update(token).digest();
+      if (!crypto.timingSafeEqual(tokenHash, metricsTokenHash)) {
+        res.status(401).json({ error: "Invalid metrics token" });
+        return;
+      }
+    }
+
+    try {
+      // siblingStats() starts with this process, whose counters are rendered
+      // as they are; the other workers' are added from their snapshots
+      const others = (await siblingStats()).slice(1).map((other) => other.counters);
+      res.type("text/plain; version=0.0.4").send(await metrics.render(others));
+    } catch (err) {
+      req.log.error("Failed to render metrics", { err });
+      res.status(500).json({ error: "Failed to render metrics" });
+    }
+  });
+
+  // HTTP API for scripts and other tools, authenticated with API tokens
+  router.use(
+    "/api",
+    createApiRouter({
+      store,
+      publishClip,
+      readEntry,
+      deleteHistoryEntry,
+      clearSessionHistory,
+      maxItemBytes: config.limits.maxItemBytes,
+    })
+  );
+  router.use("/api", handleApiError);
+
+  // Connections the auth.connect hook turns down never get to join anything
+  if (auth.connect) {
+    namespace.use(async (socket, next) => {
+      try {
+        next((await auth.connect(socket)) ? undefined : new Error("Not allowed to connect"));
+      } catch (err) {
+        logger.error("Connection check failed", { err });
+        next(new Error("Server error, please try again"));
+      }
+    });
+  }
+
+  // Socket connection handling
+  namespace.on("connection", (socket) => {
+    socket.data.log = logger.child({ socketId: socket.id });
+    const log = socket.data.log;
+    log.info("Socket connected", { ip: socketIp(socket) });
+
+    // Sessions this socket has been admitted to, mapped to its member ID, and
+    // the channels it gets items from in each. A device can be in several
+    // sessions at once over one connection.
+    socket.data.memberships = {};
+    socket.data.channels = {};
+    // Session -> the device asking to join it, while it waits for approval
+    socket.data.pendingDevices = {};
+
+    // Handle a client event. A failure is logged and reported to the client
+    // instead of becoming an unhandled rejection, which would take down the
+    // app the server runs in.
+    const guard = (event, handler) => async (payload, callback) => {
+      try {
+        await handler(payload, callback);
+      } catch (err) {
+        log.error("Socket event failed", { event, err });
+        replyError(socket, callback, "Server error, please try again");
+      }
+    };
+
+    // Handle a client event whose payload is an object; anything else counts
+    // as an empty one. Clients may send just an acknowledgement callback.
+    const on = (event, handler) =>
+      socket.on(
+        event,
+        guard(event, (payload, callback) => {
+          if (typeof payload === "function") return handler({}, payload);
+          return handler(payload !== null && typeof payload === "object" ? payload : {}, callback);
+        })
+      );
+
+    // Send immediate connection confirmation
+    socket.emit("connected", { socketId: socket.id });
+
+    // Join a specific session
+    socket.on(
+      "join-session",
+      guard("join-session", async (request) => {
+        // Older clients send just the code
+        const { sessionCode, passphrase, memberToken, pairingToken, name, lastSeq } =
+          typeof request === "string" ? { sessionCode: request } : request || {};
+        // Older clients only send a name
+        const device = sanitizeDevice(request?.device || { name });
+        const ip = socketIp(socket);
+
+        const lockedOut = failedGuesses.lockedOut(ip);
+        const retryAfter =
+          lockedOut || checkLimits([limits.join, ip], [limits.joinPerSocket, socket.id]);
+        if (retryAfter) {
+          counters.joinFailures.inc({ reason: lockedOut ? "locked_out" : "rate_limited" });
+          rateLimited(
+            socket,
+            "join-session",
+            null,
+            retryAfter,
+            lockedOut ? LOCKED_OUT_MESSAGE : "Too many join attempts"
+          );
+          return;
+        }
+        log.debug("Joining session", { sessionCode });
+
+        let session;
+        try {
+          // Update session activity timestamp
+          session = await store.update(sessionCode, (s) => {
+            s.lastActivity = new Date();
+          });
+        } catch (err) {
+          log.error("Failed to load session", { sessionCode, err });
+          socket.emit("error", "Server error, please try again");
+          return;
+        }
+
+        if (!session) {
+          log.info("Join refused: invalid session", { sessionCode });
+          counters.joinFailures.inc({ reason: "invalid_session" });
+          failedGuesses.fail(ip);
+          socket.emit("error", "Invalid session code");
+          return;
+        }
+
+        // Sessions this socket is already in stay joined; rejoining one of them
+        // just refreshes the membership
+        const joined = new Set([
+          ...Object.keys(socket.data.memberships),
+          ...Object.keys(socket.data.pendingDevices),
+        ]);
+        if (!joined.has(sessionCode) && joined.size >= MAX_SESSIONS_PER_SOCKET) {
+          socket.emit("join-rejected", {
+            sessionCode,
+            reason: `A device can be in at most ${MAX_SESSIONS_PER_SOCKET} sessions at once`,
+          });
+          return;
+        }
+
+        try {
+          // Returning devices present their member token and skip the
+          // passphrase and approval checks
+          const memberId = verifyMemberToken(session, memberToken);
+          if (memberId) {
+            await admitSocket(socket, sessionCode, memberId, undefined, device, lastSeq);
+            return;
+          }
+
+          if (session.locked) {
+            log.info("Join refused: session locked", { sessionCode });
+            counters.joinFailures.inc({ reason: "locked" });
+            socket.emit("join-rejected", {
+              sessionCode,
+              reason: "This session is locked and not accepting new devices",
+            });
+            return;
+          }
+
+          // A one-time join link lets the device in without the passphrase or
+          // approval, once
+          if (pairingToken) {
+            let paired = false;
+            await store.update(sessionCode, (s) => {
+              paired = consumePairingToken(s, pairingToken);
+            });
+
+            if (!paired) {
+              log.info("Join refused: unusable pairing token", { sessionCode });
+              counters.joinFailures.inc({ reason: "pairing_token" });
+              failedGuesses.fail(ip);
+              socket.emit("join-rejected", {
+                sessionCode,
+                reason: "This join link has already been used or has expired",
+              });
+              return;
+            }
+
+            await addMember(socket, sessionCode, device);
+            return;
+          }
+
+          if (!(await verifyPassphrase(session.passphrase, passphrase))) {
+            log.info("Join refused: wrong passphrase", { sessionCode });
+            counters.joinFailures.inc({ reason: "passphrase" });
+            failedGuesses.fail(ip);
+            socket.emit("join-rejected", {
+              sessionCode,
+              reason: "Incorrect session passphrase",
+            });
+            return;
+          }
+
+          if (session.requireApproval) {
+            // Hold the socket until an existing member approves it
+            if (!pendingJoins[sessionCode]) {
+              pendingJoins[sessionCode] = new Map();
+            }
+            const joinRequest = {
+              requestId: socket.id,
+              name: device.name,
+              platform: device.platform,
+              requestedAt: new Date(),
+            };
+            pendingJoins[sessionCode].set(socket.id, joinRequest);
+            socket.data.pendingDevices[sessionCode] = device;
+
+            log.info("Waiting for approval", { sessionCode });
+            namespace.to(sessionCode).emit("join-request", { sessionCode, ...joinRequest });
+            socket.emit("join-pending", { sessionCode });
+            return;
+          }
+
+          await addMember(socket, sessionCode, device);
+        } catch (err) {
+          log.error("Failed to join session", { sessionCode, err });
+          socket.emit("error", "Server error, please try again");
+        }
+      })
+    );
+
+    // Leave one session and stay in the others. Acknowledges with {} once the
+    // other devices have been told.
+    on("leave-session", async ({ sessionCode }, callback) => {
+      const wasPending = removePendingJoin(sessionCode, socket.id);
+      if (!membershipOf(socket, sessionCode)) {
+        if (wasPending) log.info("Withdrew join request", { sessionCode });
+        callback?.({});
+        return;
+      }
+
+      await departSocket(socket, sessionCode, "left");
+      callback?.({});
+    });
+
+    // Create a pairing code for another device to type in. Any member can
+    // invite; a new code replaces the member's previous one.
+    on("create-pairing-code", async ({ sessionCode }, callback) => {
+      if (typeof callback !== "function") return;
+
+      const memberId = membershipOf(socket, sessionCode);
+      if (!memberId) {
+        callback({ error: "Join the session first" });
+        return;
+      }
+
+      try {
+        callback(await issuePairingCode(sessionCode, memberId));
+      } catch (err) {
+        log.error("Failed to create pairing code", { sessionCode, err });
+        callback({ error: "Server error, please try again" });
+      }
+    });
+
+    // Create a one-time pairing token for a join link. Any member can invite.
+    on("create-pairing-token", async ({ sessionCode }, callback) => {
+      if (typeof callback !== "function") return;
+
+      const memberId = membershipOf(socket, sessionCode);
+      if (!memberId) {
+        callback({ error: "Join the session first" });
+        return;
+      }
+
+      try {
+        const { tokenId, token, record } = createPairingToken(memberId, config.ttl.pairingToken);
+        await store.update(sessionCode, (s) => {
+          prunePairingTokens(s);
+          if (!s.pairingTokens) {
+            s.pairingTokens = {};
+          }
+          s.pairingTokens[tokenId] = record;
+        });
+
+        callback({ token, expiresAt: record.expiresAt });
+      } catch (err) {
+        log.error("Failed to create pairing token", { sessionCode, err });
+        callback({ error: "Server error, please try again" });
+      }
+    });
+
+    // Approve a pending join request. Any member of the session can approve.
+    on("approve-join", async ({ sessionCode, requestId }) => {
+      if (!membershipOf(socket, sessionCode)) {
+        socket.emit("error", "Join the session first");
+        return;
+      }
+
+      try {
+        if (!(await resolveJoinRequest(sessionCode, requestId, { approved: true }))) {
+          socket.emit("error", "That join request is no longer pending");
+          return;
+        }
+        log.info("Approved join request", { sessionCode, requestId });
+      } catch (err) {
+        log.error("Failed to approve join request", { sessionCode, requestId, err });
+        socket.emit("error", "Server error, please try again");
+      }
+    });
+
+    // Decline a pending join request
+    on("reject-join", async ({ sessionCode, requestId }) => {
+      if (!membershipOf(socket, sessionCode)) {
+        socket.emit("error", "Join the session first");
+        return;
+      }
+
+      try {
+        const declined = await resolveJoinRequest(sessionCode, requestId, {
+          reason: "Your request to join was declined",
+        });
+        if (declined) {
+          log.info("Declined join request", { sessionCode, requestId });
+        }
+      } catch (err) {
+        log.error("Failed to decline join request", { sessionCode, requestId, err });
+      }
+    });
+
+    // Rename this device or change its platform label
+    on("update-device", async ({ sessionCode, device }) => {
+      const memberId = membershipOf(socket, sessionCode);
+      if (!memberId) {
+        socket.emit("error", "Join the session first");
+        return;
+      }
+
+      try {
+        const { name, platform } = sanitizeDevice(device);
+        await touchMember(sessionCode, memberId, { name, platform });
+        await broadcastSessionUpdate(sessionCode);
+      } catch (err) {
+        log.error("Failed to update device", { sessionCode, err });
+        socket.emit("error", "Server error, please try again");
+      }
+    });
+
+    // Remove a device from the session (owner only). Its token is revoked and
+    // any of its sockets are evicted.
+    on("remove-device", async ({ sessionCode, memberId }) => {
+      try {
+        const session = await ownedSession(socket, sessionCode);
+        if (!session) {
+          socket.emit("error", "Only the session owner can remove devices");
+          return;
+        }
+        if (memberId === membershipOf(socket, sessionCode)) {
+          socket.emit("error", "You can't remove your own device");
+          return;
+        }
+
+        await disconnectMember(sessionCode, memberId, { remove: true });
+        log.info("Member removed", { sessionCode, memberId });
+      } catch (err) {
+        log.error("Failed to remove device", { sessionCode, err });
+        socket.emit("error", "Server error, please try again");
+      }
+    });
+
+    // Change access settings (owner only): { locked, requireApproval, passphrase }.
+    // An empty passphrase removes it.
+    on("update-session-settings", async (payload) => {
+      const { sessionCode } = payload;
+
+      try {
+        if (!(await ownedSession(socket, sessionCode))) {
+          socket.emit("error", "Only the session owner can change its settings");
+          return;
+        }
+
+        const passphrase =
+          "passphrase" in payload ? await hashPassphrase(payload.passphrase) : undefined;
+
+        await store.update(sessionCode, (s) => {
+          if (typeof payload.locked === "boolean") s.locked = payload.locked;
+          if (typeof payload.requireApproval === "boolean") {
+            s.requireApproval = payload.requireApproval;
+          }
+          if (passphrase !== undefined) s.passphrase = passphrase;
+          if (SENSITIVE_POLICIES.includes(payload.sensitivePolicy)) {
+            s.sensitivePolicy = payload.sensitivePolicy;
+          }
+        });
+
+        // A lock refuses everyone still waiting as well
+        if (payload.locked) {
+          await instances.run("reject-joins", {
+            sessionCode,
+            reason: "This session is locked and not accepting new devices",
+          });
+        }
+
+        log.info("Settings updated", { sessionCode });
+        await broadcastSessionUpdate(sessionCode);
+      } catch (err) {
+        log.error("Failed to update settings", { sessionCode, err });
+        socket.emit("error", "Server error, please try again");
+      }
+    });
+
+    // Copy an item to all devices in the session. Clients pass an
+    // acknowledgement callback and a clipId; the ack carries the entry's ID and
+    // sequence number, and resending a clipId after a reconnect is answered
+    // with the entry already stored instead of adding it twice.
+    on("copy-text", async (payload, callback) => {
+      const { sessionCode } = payload;
+
+      const retryAfter = checkLimits(
+        [limits.copy, socketIp(socket)],
+        [limits.copyPerSocket, socket.id]
+      );
+      if (retryAfter) {
+        rateLimited(socket, "copy-text", callback, retryAfter, "Sending too fast");
+        return;
+      }
+
+      let item;
+      try {
+        item = normalizeItem(payload, { maxBytes: config.limits.maxItemBytes });
+      } catch (err) {
+        if (!(err instanceof ItemTooLargeError)) throw err;
+        log.info("Item too large", { sessionCode, size: err.size });
+        replyError(socket, callback, err.message);
+        return;
+      }
+
+      // Prevent empty items from being processed
+      if (!item) {
+        callback?.({ error: "Nothing to send" });
+        return;
+      }
+
+      let expiry;
+      let recipients;
+      let channel;
+      try {
+        expiry = normalizeExpiry(payload.expiry);
+        recipients = normalizeRecipients(payload.to);
+        channel = normalizeChannel(payload.channel);
+      } catch (err) {
+        if (![ExpiryError, RecipientError, ChannelError].some((type) => err instanceof type)) {
+          throw err;
+        }
+        replyError(socket, callback, err.message);
+        return;
+      }
+
+      if (!membershipOf(socket, sessionCode)) {
+        replyError(socket, callback, "Join the session first");
+        return;
+      }
+
+      // Clients encrypt before sending, so the item data is an opaque
+      // ciphertext envelope. The logger redacts it anyway.
+      log.debug("Received item", { sessionCode, size: item.size, types: item.types });
+
+      let result;
+      try {
+        result = await publishClip(sessionCode, item, {
+          clipId: payload.clipId,
+          expiry,
+          sensitive: payload.sensitive === true,
+          recipients,
+          channel,
+          origin: (s) => originOf(s, membershipOf(socket, sessionCode)),
+          socket,
+        });
+      } catch (err) {
+        if (err instanceof RecipientError || err instanceof ChannelError) {
+          replyError(socket, callback, err.message);
+          return;
+        }
+        log.error("Failed to store item", { sessionCode, err });
+        replyError(socket, callback, "Server error, please try again");
+        return;
+      }
+
+      if (!result) {
+        log.info("Item for unknown session", { sessionCode });
+        replyError(socket, callback, "Invalid session code");
+        return;
+      }
+
+      const { entry, duplicate } = result;
+      callback?.({ id: entry.id, seq: entry.seq, duplicate });
+    });
+
+    // Get one page of clipboard history for a session: { offset, limit }. With
+    // { since } it returns everything added after that sequence number instead.
+    on("get-history", async (request, callback) => {
+      const { sessionCode, offset, limit, since, channel } = request;
+      if (typeof callback !== "function") return;
+
+      if (!membershipOf(socket, sessionCode)) {
+        callback({ error: "Join the session first" });
+        return;
+      }
+
+      let session;
+      try {
+        session = await store.get(sessionCode);
+      } catch (err) {
+        log.error("Failed to load history", { sessionCode, err });
+        callback({ error: "Server error, please try again" });
+        return;
+      }
+
+      if (!session) {
+        callback({ error: "Invalid session code" });
+        return;
+      }
+
+      // The subscribed channels, or just `channel` if it is one of them
+      const viewer = membershipOf(socket, sessionCode);
+      const channels = (socket.data.channels[sessionCode] || []).filter(
+        (subscribed) => channel === undefined || subscribed === channel
+      );
+      callback(
+        since !== undefined
+          ? historySince(session, since, { viewer, channels })
+          : pageHistory(session, { offset, limit, viewer, channels })
+      );
+    });
+
+    // Delete one history entry on every device
+    on("delete-history-item", async ({ sessionCode, id }) => {
+      if (!membershipOf(socket, sessionCode)) {
+        socket.emit("error", "Join the session first");
+        return;
+      }
+
+      try {
+        await deleteHistoryEntry(sessionCode, id, membershipOf(socket, sessionCode));
+      } catch (err) {
+        log.error("Failed to delete history entry", { sessionCode, err });
+        socket.emit("error", "Server error, please try again");
+      }
+    });
+
+    // The device copied an entry. Only entries that expire after a number of
+    // reads keep count; their data only comes in the acknowledgement, as
+    // { entry }.
+    on("item-read", async ({ sessionCode, id }, callback) => {
+      const memberId = membershipOf(socket, sessionCode);
+      if (!memberId) {
+        replyError(socket, callback, "Join the session first");
+        return;
+      }
+
+      try {
+        const entry = await readEntry(sessionCode, id, memberId);
+        if (typeof callback === "function") {
+          callback(entry ? { entry } : { error: "That item is no longer available" });
+        }
+      } catch (err) {
+        log.error("Failed to record read", { sessionCode, err });
+        replyError(socket, callback, "Server error, please try again");
+      }
+    });
+
+    // Pin or unpin a history entry. Pinned entries are exempt from the limit.
+    on("pin-history-item", async ({ sessionCode, id, pinned }) => {
+      const memberId = membershipOf(socket, sessionCode);
+      if (!memberId) {
+        socket.emit("error", "Join the session first");
+        return;
+      }
+
+      try {
+        let evicted = [];
+        let found = null;
+        await store.update(sessionCode, (s) => {
+          const entry = findEntry(s, id);
+          found = null;
+          if (!entry || !canSee(entry, memberId)) return false;
+
+          found = entry;
+          entry.pinned = !!pinned;
+          // Unpinning can push the history over its limit again
+          evicted = setHistoryLimit(s, historyLimitOf(s), config.limits.maxHistoryLimit);
+        });
+        if (!found) return;
+
+        emitForEntry(sessionCode, found, "history-updated", {
+          sessionCode,
+          id,
+          changes: { pinned: !!pinned },
+        });
+        await dropEvicted(sessionCode, evicted);
+      } catch (err) {
+        log.error("Failed to pin history entry", { sessionCode, err });
+        socket.emit("error", "Server error, please try again");
+      }
+    });
+
+    // Clear the history on every device, keeping pinned entries unless
+    // keepPinned is false. With `channel`, only that channel's. Entries sent
+    // to other devices stay.
+    on("clear-history", async ({ sessionCode, keepPinned = true, channel }) => {
+      const memberId = membershipOf(socket, sessionCode);
+      if (!memberId) {
+        socket.emit("error", "Join the session first");
+        return;
+      }
+
+      try {
+        await clearSessionHistory(sessionCode, {
+          keepPinned,
+          channel: typeof channel === "string" ? channel : undefined,
+          viewer: memberId,
+        });
+      } catch (err) {
+        log.error("Failed to clear history", { sessionCode, err });
+        socket.emit("error", "Server error, please try again");
+      }
+    });
+
+    // Change how many unpinned entries the session keeps (owner only)
+    on("set-history-limit", async ({ sessionCode, limit }) => {
+      try {
+        if (!(await ownedSession(socket, sessionCode))) {
+          socket.emit("error", "Only the session owner can change the history length");
+          return;
+        }
+        if (!Number.isInteger(limit)) {
+          socket.emit("error", "History length must be a whole number");
+          return;
+        }
+
+        let evicted = [];
+        await store.update(sessionCode, (s) => {
+          evicted = setHistoryLimit(s, limit, config.limits.maxHistoryLimit);
+        });
+
+        await removeFiles(sessionCode, evicted);
+        namespace.to(sessionCode).emit("history-changed", { sessionCode });
+        await broadcastSessionUpdate(sessionCode);
+      } catch (err) {
+        log.error("Failed to set history length", { sessionCode, err });
+        socket.emit("error", "Server error, please try again");
+      }
+    });
+
+    // Add a channel to the session. Devices subscribed to every channel get
+    // it too; the device that added it is subscribed to it either way.
+    on("create-channel", async ({ sessionCode, name }, callback) => {
+      const memberId = membershipOf(socket, sessionCode);
+      if (!memberId) {
+        replyError(socket, callback, "Join the session first");
+        return;
+      }
+
+      let refused = null;
+      try {
+        const channel = normalizeChannel(name);
+        const session = await store.update(sessionCode, (s) => {
+          refused = null;
+          try {
+            if (!addChannel(s, channel)) return false;
+          } catch (err) {
+            refused = err;
+            return false;
+          }
+          const member = s.members?.[memberId];
+          if (member?.channels) {
+            member.channels = [...member.channels, channel];
+          }
+        });
+        if (refused) throw refused;
+        if (!session) {
+          replyError(socket, callback, "Invalid session code");
+          return;
+        }
+
+        log.info("Channel created", { sessionCode, channel });
+        refreshSubscriptions(sessionCode, session);
+        await broadcastSessionUpdate(sessionCode);
+        callback?.({ channel });
+      } catch (err) {
+        if (err instanceof ChannelError) {
+          replyError(socket, callback, err.message);
+          return;
+        }
+        log.error("Failed to create channel", { sessionCode, err });
+        replyError(socket, callback, "Server error, please try again");
+      }
+    });
+
+    // Delete a channel and its history on every device (owner only). The
+    // default channel stays.
+    on("delete-channel", async ({ sessionCode, name }) => {
+      try {
+        if (!(await ownedSession(socket, sessionCode))) {
+          socket.emit("error", "Only the session owner can delete channels");
+          return;
+        }
+        if (name === DEFAULT_CHANNEL) {
+          socket.emit("error", "The default channel can't be deleted");
+          return;
+        }
+
+        let removed = [];
+        const session = await store.update(sessionCode, (s) => {
+          removed = [];
+          if (!s.channels?.includes(name)) return false;
+
+          s.channels = s.channels.filter((channel) => channel !== name);
+          Object.values(s.members || {}).forEach((member) => {
+            if (member.channels) {
+              member.channels = member.channels.filter((channel) => channel !== name);
+            }
+          });
+          removed = clearHistory(s, { keepPinned: false, channel: name });
+        });
+        if (!session) return;
+
+        log.info("Channel deleted", { sessionCode, channel: name, entries: removed.length });
+        refreshSubscriptions(sessionCode, session);
+        namespace.to(sessionCode).emit("history-changed", { sessionCode });
+        await broadcastSessionUpdate(sessionCode);
+      } catch (err) {
+        log.error("Failed to delete channel", { sessionCode, err });
+        socket.emit("error", "Server error, please try again");
+      }
+    });
+
+    // Choose the channels this device gets items from. The default channel is
+    // always one of them; it is where files and older items are.
+    on("set-channels", async ({ sessionCode, channels }, callback) => {
+      const memberId = membershipOf(socket, sessionCode);
+      if (!memberId) {
+        replyError(socket, callback, "Join the session first");
+        return;
+      }
+      if (!Array.isArray(channels) || !channels.every((channel) => typeof channel === "string")) {
+        replyError(socket, callback, "Channels must be a list of channel names");
+        return;
+      }
+
+      try {
+        const session = await store.update(sessionCode, (s) => {
+          const member = s.members?.[memberId];
+          if (!member) return false;
+
+          const all = channelsOf(s);
+          member.channels = all.every((channel) => channels.includes(channel))
+            ? undefined
+            : all.filter((channel) => channel === DEFAULT_CHANNEL || channels.includes(channel));
+        });
+        if (!session) {
+          replyError(socket, callback, "Invalid session code");
+          return;
+        }
+
+        refreshSubscriptions(sessionCode, session);
+        await broadcastSessionUpdate(sessionCode);
+        callback?.({ channels: socket.data.channels[sessionCode] });
+      } catch (err) {
+        log.error("Failed to set channels", { sessionCode, err });
+        replyError(socket, callback, "Server error, please try again");
+      }
+    });
+
+    // Create an API token for the HTTP API (owner only). This is the only time
+    // the token itself is sent; the server keeps just its hash.
+    on("create-api-token", async ({ sessionCode, name }, callback) => {
+      if (typeof callback !== "function") return;
+
+      try {
+        if (!(await ownedSession(socket, sessionCode))) {
+          callback({ error: "Only the session owner can manage API tokens" });
+          return;
+        }
+
+        const { tokenId, token, record } = createApiToken(name);
+        await store.update(sessionCode, (s) => {
+          if (!s.apiTokens) {
+            s.apiTokens = {};
+          }
+          s.apiTokens[tokenId] = record;
+        });
+
+        log.info("API token created", { sessionCode, tokenId });
+        callback({ tokenId, token, name: record.name });
+      } catch (err) {
+        log.error("Failed to create API token", { sessionCode, err });
+        callback({ error: "Server error, please try again" });
+      }
+    });
+
+    // List a session's API tokens without the tokens themselves (owner only)
+    on("list-api-tokens", async ({ sessionCode }, callback) => {
+      if (typeof callback !== "function") return;
+
+      try {
+        const session = await ownedSession(socket, sessionCode);
+        if (!session) {
+          callback({ error: "Only the session owner can manage API tokens" });
+          return;
+        }
+
+        callback({ tokens: describeApiTokens(session) });
+      } catch (err) {
+        log.error("Failed to list API tokens", { sessionCode, err });
+        callback({ error: "Server error, please try again" });
+      }
+    });
+
+    // Revoke an API token (owner only). Requests using it fail from now on.
+    on("revoke-api-token", async ({ sessionCode, tokenId }, callback) => {
+      if (typeof callback !== "function") return;
+
+      try {
+        if (!(await ownedSession(socket, sessionCode))) {
+          callback({ error: "Only the session owner can manage API tokens" });
+          return;
+        }
+
+        await store.update(sessionCode, (s) => {
+          if (!s.apiTokens?.[tokenId]) return false;
+          delete s.apiTokens[tokenId];
+        });
+
+        log.info("API token revoked", { sessionCode, tokenId });
+        callback({ revoked: tokenId });
+      } catch (err) {
+        log.error("Failed to revoke API token", { sessionCode, err });
+        callback({ error: "Server error, please try again" });
+      }
+    });
+
+    // Register an outgoing webhook (owner only): { url, events, channel }. The
+    // reply is the only time its signing secret is sent.
+    on("create-webhook", async (payload, callback) => {
+      if (typeof callback !== "function") return;
+      const { sessionCode } = payload;
+
+      try {
+        const session = await ownedSession(socket, sessionCode);
+        if (!session) {
+          callback({ error: "Only the session owner can manage webhooks" });
+          return;
+        }
+
+        let webhook;
+        try {
+          webhook = normalizeWebhook(payload, { allowPrivate: config.webhooks.allowPrivate });
+          if (webhook.channel) requireChannel(session, webhook.channel);
+        } catch (err) {
+          if (!(err instanceof WebhookError || err instanceof ChannelError)) throw err;
+          callback({ error: err.message });
+          return;
+        }
+
+        const { webhookId, secret, record } = createWebhook(webhook);
+        let full = false;
+        await store.update(sessionCode, (s) => {
+          if (!s.webhooks) {
+            s.webhooks = {};
+          }
+          full = Object.keys(s.webhooks).length >= MAX_WEBHOOKS;
+          if (full) return false;
+          s.webhooks[webhookId] = record;
+        });
+        if (full) {
+          callback({ error: `A session can have up to ${MAX_WEBHOOKS} webhooks` });
+          return;
+        }
+
+        log.info("Webhook created", { sessionCode, webhookId, events: record.events });
+        callback({ webhookId, secret });
+      } catch (err) {
+        log.error("Failed to create webhook", { sessionCode, err });
+        callback({ error: "Server error, please try again" });
+      }
+    });
+
+    // Outgoing and incoming webhooks, without secrets, and the latest
+    // deliveries (owner only)
+    on("list-webhooks", async ({ sessionCode }, callback) => {
+      if (typeof callback !== "function") return;
+
+      try {
+        const session = await ownedSession(socket, sessionCode);
+        if (!session) {
+          callback({ error: "Only the session owner can manage webhooks" });
+          return;
+        }
+
+        callback({
+          webhooks: describeWebhooks(session),
+          incoming: describeIncomingWebhooks(session),
+          deliveries: session.webhookDeliveries || [],
+        });
+      } catch (err) {
+        log.error("Failed to list webhooks", { sessionCode, err });
+        callback({ error: "Server error, please try again" });
+      }
+    });
+
+    on("delete-webhook", async ({ sessionCode, webhookId }, callback) => {
+      if (typeof callback !== "function") return;
+
+      try {
+        if (!(await ownedSession(socket, sessionCode))) {
+          callback({ error: "Only the session owner can manage webhooks" });
+          return;
+        }
+
+        await store.update(sessionCode, (s) => {
+          if (!s.webhooks?.[webhookId]) return false;
+          delete s.webhooks[webhookId];
+        });
+
+        log.info("Webhook deleted", { sessionCode, webhookId });
+        callback({ deleted: webhookId });
+      } catch (err) {
+        log.error("Failed to delete webhook", { sessionCode, err });
+        callback({ error: "Server error, please try again" });
+      }
+    });
+
+    // Send a ping event to a webhook (owner only). The outcome shows up in the
+    // delivery log.
+    on("test-webhook", async ({ sessionCode, webhookId }, callback) => {
+      if (typeof callback !== "function") return;
+
+      try {
+        if (!(await ownedSession(socket, sessionCode))) {
+          callback({ error: "Only the session owner can manage webhooks" });
+          return;
+        }
+
+        if (!(await webhooks.ping(sessionCode, webhookId))) {
+          callback({ error: "No such webhook" });
+          return;
+        }
+        callback({ sent: webhookId });
+      } catch (err) {
+        log.error("Failed to test webhook", { sessionCode, err });
+        callback({ error: "Server error, please try again" });
+      }
+    });
+
+    // Create an incoming webhook (owner only): { name, channel }. The reply is
+    // the only time its token, which goes in its URL, is sent.
+    on("create-incoming-webhook", async ({ sessionCode, name, channel }, callback) => {
+      if (typeof callback !== "function") return;
+
+      try {
+        const session = await ownedSession(socket, sessionCode);
+        if (!session) {
+          callback({ error: "Only the session owner can manage webhooks" });
+          return;
+        }
+
+        let target;
+        try {
+          target = requireChannel(session, normalizeChannel(channel));
+        } catch (err) {
+          if (!(err instanceof ChannelError)) throw err;
+          callback({ error: err.message });
+          return;
+        }
+
+        const { hookId, token, record } = createIncomingWebhook(name, target);
+        await store.update(sessionCode, (s) => {
+          if (!s.incomingWebhooks) {
+            s.incomingWebhooks = {};
+          }
+          s.incomingWebhooks[hookId] = record;
+        });
+
+        log.info("Incoming webhook created", { sessionCode, hookId });
+        callback({ hookId, token, name: record.name, channel: record.channel });
+      } catch (err) {
+        log.error("Failed to create incoming webhook", { sessionCode, err });
+        callback({ error: "Server error, please try again" });
+      }
+    });
+
+    // Delete an incoming webhook (owner only); posts to its URL fail from now on
+    on("delete-incoming-webhook", async ({ sessionCode, hookId }, callback) => {
+      if (typeof callback !== "function") return;
+
+      try {
+        if (!(await ownedSession(socket, sessionCode))) {
+          callback({ error: "Only the session owner can manage webhooks" });
+          return;
+        }
+
+        await store.update(sessionCode, (s) => {
+          if (!s.incomingWebhooks?.[hookId]) return false;
+          delete s.incomingWebhooks[hookId];
+        });
+
+        log.info("Incoming webhook deleted", { sessionCode, hookId });
+        callback({ deleted: hookId });
+      } catch (err) {
+        log.error("Failed to delete incoming webhook", { sessionCode, err });
+        callback({ error: "Server error, please try again" });
+      }
+    });
+
+    // Start a chunked file transfer, or resume one after a reconnect. The
+    // reply lists the chunks the server already has so the sender can skip them.
+    on("file-start", async (payload, callback) => {
+      if (typeof callback !== "function") return;
+      const { sessionCode, transferId, meta, size, totalChunks } = payload;
+
+      const retryAfter = checkLimits(
+        [limits.files, socketIp(socket)],
+        [limits.filesPerSocket, socket.id]
+      );
+      if (retryAfter) {
+        rateLimited(socket, "file-start", callback, retryAfter, "Sending files too fast");
+        return;
+      }
+
+      if (!membershipOf(socket, sessionCode)) {
+        callback({ error: "Join the session first" });
+        return;
+      }
+
+      try {
+        if (!(await store.exists(sessionCode))) {
+          callback({ error: "Invalid session code" });
+          return;
+        }
+
+        const isNew = !(await transfers.get(sessionCode, transferId));
+        const transfer = await transfers.start(sessionCode, {
+          transferId,
+          meta,
+          size,
+          totalChunks,
+        });
+
+        if (isNew) {
+          log.info("File transfer started", { sessionCode, transferId, size, totalChunks });
+          socket.to(sessionCode).emit("file-incoming", {
+            sessionCode,
+            transferId,
+            meta,
+            size,
+            totalChunks,
+          });
+        }
+
+        callback({
+          transferId,
+          received: [...transfer.received],
+          complete: transfer.complete,
+        });
+      } catch (err) {
+        transferFailed(err, callback);
+      }
+    });
+
+    // Receive one encrypted chunk. Each chunk is acknowledged individually.
+    on("file-chunk", async (payload, callback) => {
+      if (typeof callback !== "function") return;
+      const { sessionCode, transferId, index, data, hash } = payload;
+
+      const retryAfter = checkLimits(
+        [limits.files, socketIp(socket)],
+        [limits.filesPerSocket, socket.id]
+      );
+      if (retryAfter) {
+        rateLimited(socket, "file-chunk", callback, retryAfter, "Sending files too fast");
+        return;
+      }
+
+      if (!membershipOf(socket, sessionCode)) {
+        callback({ error: "Join the session first" });
+        return;
+      }
+
+      try {
+        const transfer = await transfers.get(sessionCode, transferId);
+        if (!transfer) {
+          callback({ error: "Unknown transfer" });
+          return;
+        }
+
+        const wasComplete = transfer.complete;
+        await transfers.writeChunk(transfer, index, data, hash);
+        counters.bytesRelayed.inc({ kind: "file" }, Buffer.byteLength(data));
+
+        socket.to(sessionCode).emit("file-progress", {
+          sessionCode,
+          transferId,
+          received: transfer.received.size,
+          totalChunks: transfer.totalChunks,
+        });
+
+        if (transfer.complete && !wasComplete) {
+          // Completed files become history entries that stay downloadable
+          // until the session expires
+          let entry;
+          let evicted = [];
+          await store.update(sessionCode, (s) => {
+            entry = createEntry(
+              {
+                kind: "file",
+                types: ["application/octet-stream"],
+                transferId,
+                data: transfer.meta,
+                size: transfer.size,
+                totalChunks: transfer.totalChunks,
+              },
+              originOf(s, membershipOf(socket, sessionCode))
+            );
+            evicted = addEntry(s, entry) || [];
+            s.lastActivity = new Date();
+          });
+
+          // Everyone, including the sender, adds it to their history
+          namespace.to(sessionCode).emit("file-complete", { ...entry, sessionCode });
+          await dropEvicted(sessionCode, evicted);
+          log.info("File transfer complete", { sessionCode, transferId });
+        }
+
+        callback({ received: transfer.received.size, complete: transfer.complete });
+      } catch (err) {
+        transferFailed(err, callback);
+      }
+    });
+
+    // Download one chunk of a file
+    on("file-get-chunk", async (payload, callback) => {
+      if (typeof callback !== "function") return;
+      const { sessionCode, transferId, index } = payload;
+
+      if (!membershipOf(socket, sessionCode)) {
+        callback({ error: "Join the session first" });
+        return;
+      }
+
+      try {
+        const transfer = await transfers.get(sessionCode, transferId);
+        if (!transfer || !(await store.exists(sessionCode))) {
+          callback({ error: "Unknown transfer" });
+          return;
+        }
+
+        callback(await transfers.readChunk(transfer, index));
+      } catch (err) {
+        transferFailed(err, callback);
+      }
+    });
+
+    // Handle disconnections
+    socket.on("disconnect", () => {
+      log.info("Socket disconnected");
+
+      // Withdraw any join requests this socket was waiting on
+      Object.keys(pendingJoins).forEach((sessionCode) => {
+        removePendingJoin(sessionCode, socket.id);
+      });
+
+      // Remove this connection from all sessions it was part of
+      Object.keys(socket.data.memberships).forEach((sessionCode) => {
+        departSocket(socket, sessionCode, "disconnected");
+      });
+    });
+  });
+
+  // Clean up sessions inactive for longer than SESSION_TTL; start() runs this
+  // every CLEANUP_INTERVAL
+  const cleanUpInactive = async () => {
+    const cutoff = new Date(Date.now() - config.ttl.session);
+
+    try {
+      // Sessions with webhooks are looked up first: once deleted, their
+      // webhooks are gone too
+      const withWebhooks = new Map(
+        (await store.list())
+          .filter((session) => session.webhooks && Object.keys(session.webhooks).length > 0)
+          .map((session) => [session.code, session])
+      );
+      const expired = await store.deleteInactive(cutoff);
+      for (const sessionCode of expired) {
+        logger.info("Cleaning up inactive session", { sessionCode });
+        if (withWebhooks.has(sessionCode)) {
+          fireWebhooks(
+            sessionCode,
+            "session.expired",
+            { reason: "inactive" },
+            withWebhooks.get(sessionCode)
+          );
+        }
+        await forgetSession(sessionCode, "This session expired after a period without activity");
+      }
+    } catch (err) {
+      logger.error("Failed to clean up inactive sessions", { err });
+    }
+  };
+  let cleanupTimer = null;
+
+  // Get the store and file transfers ready and connect the adapter, then
+  // start cleaning up after inactive sessions. Resolves once devices can
+  // connect.
+  const start = async () => {
+    if (ownsStore) {
+      await store.init();
+    }
+    await transfers.init();
+    await transfers.prune((sessionCode) => store.exists(sessionCode));
+    // Entries that expired while the server was down go now, and the rest
+    // get their timers
+    for (const session of await store.list()) {
+      if (nextExpiry(session) !== null) {
+        await purgeExpired(session.code);
+      }
+    }
+    closeAdapter = await connectAdapter(io, {
+      type: adapterType,
+      redisUrl: config.redisUrl,
+      logger,
+    });
+    cleanupTimer = setInterval(cleanUpInactive, config.ttl.cleanupInterval);
+    logger.info("Session store ready", { store: store.name, adapter: adapterType });
+  };
+
+  // Shut down gracefully: this process's devices get a server-shutdown
+  // event with the reason, telling them to reconnect shortly, and are
+  // disconnected. Resolves once what they left behind is saved and the store
+  // is closed. Other processes sharing the sessions carry on.
+  const stop = async ({ reason = "The server is restarting" } = {}) => {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+
+    namespace.local.emit("server-shutdown", { reason });
+    namespace.local.disconnectSockets();
+    await Promise.all([...settling]);
+
+    expiryTimers.forEach((timer) => clearTimeout(timer));
+    expiryTimers.clear();
+    Object.values(limits).forEach((limiter) => limiter.close());
+    failedGuesses.close();
+    webhooks.close();
+    // Other processes stop waiting for answers from this one
+    await namespace.adapter.close();
+    await closeAdapter();
+    if (ownsStore) {
+      await store.close();
+    }
+    logger.info("Clipboard server stopped");
+  };
+
+  return { router, io, namespace, store, logger, start, stop };
+};
+
+module.exports = { createClipboardServer };
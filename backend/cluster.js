@@ -0,0 +1,123 @@
+const cluster = require("cluster");
+const http = require("http");
+const path = require("path");
+const { setupMaster } = require("@socket.io/sticky");
+const { setupPrimary } = require("@socket.io/cluster-adapter");
+const { createStore } = require("./store");
+const { serveClusterStore } = require("./store/clusterStore");
+const { createLogger } = require("./logger");
+const { ConfigError, loadConfig } = require("./config");
+
+// Runs the server as several worker processes on one machine:
+//
+//   CLUSTER_WORKERS=4 node cluster.js
+//
+// This primary process listens on PORT and hands every connection to a
+// worker, keeping a client on the worker it first reached (Socket.IO's
+// long-polling requests must all reach the same process). Workers relay
+// broadcasts to each other through the cluster adapter, and share the
+// memory or file store kept here; the mongo and redis stores they reach
+// themselves.
+
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  if (!(err instanceof ConfigError)) throw err;
+  createLogger().error("Invalid configuration", { problems: err.problems });
+  process.exit(1);
+}
+
+const logger = createLogger({ level: config.logLevel }).child({ process: "primary" });
+
+// A worker exiting this soon after the last restart means workers are
+// crashing in a loop, and the server stops instead of starting another
+const RESTART_BACKOFF = 1000;
+
+const sharesStore = config.store.type === "memory" || config.store.type === "file";
+const store = sharesStore ? createStore({ ...config.store, logger }) : null;
+
+const server = http.createServer();
+setupMaster(server, { loadBalancingMethod: "least-connection" });
+setupPrimary();
+cluster.setupPrimary({
+  exec: path.join(__dirname, "server.js"),
+  // Keeps buffers and dates intact over IPC
+  serialization: "advanced",
+});
+
+let shuttingDown = false;
+let lastRestart = 0;
+const ready = new Set();
+
+const fork = () => {
+  const worker = cluster.fork();
+  worker.on("message", (message) => {
+    if (message?.type !== "clipboard:ready") return;
+
+    ready.add(worker.id);
+    logger.info("Worker started", { worker: worker.id, pid: worker.process.pid });
+    if (ready.size === config.cluster.workers && !server.listening) {
+      server.listen(config.port, config.host, () => {
+        logger.info("Server running", {
+          port: config.port,
+          url: `http://localhost:${config.port}`,
+          workers: config.cluster.workers,
+        });
+      });
+    }
+  });
+};
+
+cluster.on("exit", (worker, code, signal) => {
+  ready.delete(worker.id);
+  if (shuttingDown) return;
+
+  logger.error("Worker exited", { worker: worker.id, code, signal });
+  if (Date.now() - lastRestart < RESTART_BACKOFF) {
+    logger.error("Workers keep exiting, shutting down");
+    process.exitCode = 1;
+    shutdown();
+    return;
+  }
+  lastRestart = Date.now();
+  fork();
+});
+
+// Workers shut down gracefully (see server.js) while they can still reach
+// the store kept here, which is closed once they are gone
+const shutdown = () => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info("Shutting down");
+
+  server.close();
+  const exited = Object.values(cluster.workers).map(
+    (worker) =>
+      new Promise((resolve) => {
+        worker.once("exit", resolve);
+        worker.process.kill("SIGTERM");
+      })
+  );
+  Promise.all(exited)
+    .then(() => store?.close())
+    .catch((err) => logger.error("Failed to close session store", { err }))
+    .finally(() => process.exit(process.exitCode ?? 0));
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
+Promise.resolve(store?.init())
+  .then(() => {
+    if (store) {
+      serveClusterStore(store, { logger });
+      logger.info("Session store ready", { store: store.name });
+    }
+    for (let i = 0; i < config.cluster.workers; i++) {
+      fork();
+    }
+  })
+  .catch((err) => {
+    logger.error("Failed to start server", { err });
+    process.exit(1);
+  });
@@ -0,0 +1,270 @@
+const cluster = require("cluster");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const dotenv = require("dotenv");
+
+// Runtime configuration for the server, read once at startup.
+//
+// Every option can come from an environment variable (including a .env file
+// next to this one) or from a JSON config file, and the environment wins.
+// The config file is CONFIG_FILE, or config.json next to this file if it
+// exists, and uses the nested keys below:
+//
+//   { "port": 5000, "corsOrigins": ["https://clip.example.com"],
+//     "limits": { "maxItemBytes": "5MB" }, "ttl": { "session": "12h" } }
+//
+// Sizes take a unit (500KB, 10MB, 1GB) or a number of bytes; durations take
+// a unit (500ms, 30s, 2m, 24h, 7d) or a number of milliseconds. Bad values
+// fail startup with a ConfigError listing every problem.
+//
+// Code embedding the server (see clipboardServer.js) passes the same nested
+// keys as options instead, checked by resolveConfig.
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  ${problems.join("\n  ")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+const SIZE_UNITS = { b: 1, kb: 1e3, mb: 1e6, gb: 1e9 };
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Parsers turn a raw value into the config value or throw a message saying
+// what was expected
+
+const withUnit = (units, expected) => (value) => {
+  if (typeof value === "number" && Number.isFinite(value) && value > 0) {
+    return value;
+  }
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(String(value));
+  const unit = match && (match[2].toLowerCase() || Object.keys(units)[0]);
+  if (!match || !units[unit] || Number(match[1]) <= 0) {
+    throw new Error(`expected ${expected}`);
+  }
+  return Math.round(Number(match[1]) * units[unit]);
+};
+
+const size = withUnit(SIZE_UNITS, "a size such as 10MB");
+const duration = withUnit(DURATION_UNITS, "a duration such as 30s, 10m or 24h");
+
+const integer = (min, max) => (value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`expected a whole number from ${min} to ${max}`);
+  }
+  return number;
+};
+
+const oneOf = (...choices) => (value) => {
+  if (!choices.includes(value)) {
+    throw new Error(`expected one of ${choices.join(", ")}`);
+  }
+  return value;
+};
+
+const boolean = (value) => {
+  if (typeof value === "boolean") return value;
+  if (/^(1|true|yes|on)$/i.test(String(value))) return true;
+  if (/^(0|false|no|off|)$/i.test(String(value))) return false;
+  throw new Error("expected true or false");
+};
+
+const string = (value) => {
+  if (typeof value !== "string" || value === "") {
+    throw new Error("expected a non-empty string");
+  }
+  return value;
+};
+
+// "*" or origins such as https://clip.example.com, as a list or separated
+// by commas
+const origins = (value) => {
+  const list = (Array.isArray(value) ? value : String(value).split(","))
+    .map((origin) => String(origin).trim().replace(/\/$/, ""))
+    .filter(Boolean);
+  if (list.length === 0) {
+    throw new Error('expected "*" or a list of origins');
+  }
+  list.forEach((origin) => {
+    if (origin !== "*" && !/^https?:\/\/[^/\s]+$/.test(origin)) {
+      throw new Error(`"${origin}" is not an origin such as https://clip.example.com`);
+    }
+  });
+  return list.includes("*") ? ["*"] : list;
+};
+
+// [config file key, environment variable, parser, default]
+const OPTIONS = [
+  ["port", "PORT", integer(0, 65535), 5000],
+  ["host", "HOST", string, "0.0.0.0"],
+  ["corsOrigins", "CORS_ORIGINS", origins, ["*"]],
+  ["trustProxy", "TRUST_PROXY", boolean, false],
+  ["logLevel", "LOG_LEVEL", oneOf("debug", "info", "warn", "error"), "info"],
+  ["adminToken", "ADMIN_TOKEN", string, null],
+  ["metricsToken", "METRICS_TOKEN", string, null],
+  ["frontendDir", "FRONTEND_DIR", string, null],
+  ["redisUrl", "REDIS_URL", string, null],
+
+  ["store.type", "SESSION_STORE", oneOf("memory", "file", "mongo", "redis"), "memory"],
+  ["store.filePath", "SESSION_STORE_FILE", string, path.join(__dirname, "data", "sessions.json")],
+  ["store.mongoUri", "MONGODB_URI", string, null],
+  ["transferDir", "TRANSFER_DIR", string, path.join(__dirname, "data", "transfers")],
+
+  ["limits.maxItemBytes", "MAX_ITEM_BYTES", size, 10e6],
+  ["limits.maxFileBytes", "MAX_FILE_BYTES", size, 500e6],
+  ["limits.maxSessionFileBytes", "MAX_SESSION_FILE_BYTES", size, 1e9],
+  ["limits.historyLimit", "HISTORY_LIMIT", integer(1, 1000), 10],
+  ["limits.maxHistoryLimit", "MAX_HISTORY_LIMIT", integer(1, 1000), 100],
+
+  ["ttl.session", "SESSION_TTL", duration, 24 * DURATION_UNITS.h],
+  ["ttl.cleanupInterval", "CLEANUP_INTERVAL", duration, DURATION_UNITS.h],
+  ["ttl.pairingCode", "PAIRING_CODE_TTL", duration, 2 * DURATION_UNITS.m],
+  ["ttl.pairingToken", "PAIRING_TOKEN_TTL", duration, 10 * DURATION_UNITS.m],
+  ["ttl.sensitiveItem", "SENSITIVE_ITEM_TTL", duration, 5 * DURATION_UNITS.m],
+  ["ttl.echoWindow", "ECHO_WINDOW", duration, 30 * DURATION_UNITS.s],
+
+  ["webhooks.allowPrivate", "WEBHOOK_ALLOW_PRIVATE", boolean, false],
+  ["webhooks.timeout", "WEBHOOK_TIMEOUT", duration, 10 * DURATION_UNITS.s],
+  ["webhooks.maxAttempts", "WEBHOOK_MAX_ATTEMPTS", integer(1, 20), 6],
+  ["webhooks.retryDelay", "WEBHOOK_RETRY_DELAY", duration, 10 * DURATION_UNITS.s],
+
+  ["cluster.workers", "CLUSTER_WORKERS", integer(1, 256), os.availableParallelism()],
+  // "cluster" in workers started by cluster.js and "none" otherwise, unless set
+  ["cluster.adapter", "CLUSTER_ADAPTER", oneOf("none", "cluster", "redis"), null],
+];
+
+const getPath = (object, key) =>
+  key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), object);
+
+const setPath = (object, key, value) => {
+  const parts = key.split(".");
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => (node[part] ??= {}), object);
+  parent[last] = value;
+};
+
+const isSection = (key) => OPTIONS.some(([option]) => option.startsWith(`${key}.`));
+
+// Keys in the config file that no option reads, e.g. typos
+const unknownKeys = (file, prefix = "") =>
+  Object.entries(file).flatMap(([name, value]) => {
+    const key = `${prefix}${name}`;
+    if (OPTIONS.some(([option]) => option === key)) return [];
+    if (isSection(key) && value && typeof value === "object" && !Array.isArray(value)) {
+      return unknownKeys(value, `${key}.`);
+    }
+    return [key];
+  });
+
+const readConfigFile = (filePath, required) => {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT" && !required) return {};
+    throw new ConfigError([`Cannot read config file ${filePath}: ${err.message}`]);
+  }
+
+  try {
+    const file = JSON.parse(raw);
+    if (!file || typeof file !== "object" || Array.isArray(file)) {
+      throw new Error("expected a JSON object");
+    }
+    return file;
+  } catch (err) {
+    throw new ConfigError([`Config file ${filePath} is not valid: ${err.message}`]);
+  }
+};
+
+// Parse every option from what `lookup(key, envName)` finds for it,
+// { raw, source } with `source` naming where it came from for problems, and
+// check the result. Throws ConfigError listing the problems, `problems`
+// being any found already.
+const buildConfig = (lookup, problems) => {
+  const config = {};
+
+  OPTIONS.forEach(([key, envName, parse, fallback]) => {
+    const { raw, source } = lookup(key, envName);
+    if (raw === undefined || raw === null) {
+      setPath(config, key, fallback);
+      return;
+    }
+
+    try {
+      setPath(config, key, parse(raw));
+    } catch (err) {
+      problems.push(`${source}: ${err.message} (got ${JSON.stringify(raw)})`);
+    }
+  });
+
+  if (problems.length === 0) {
+    if (config.limits.historyLimit > config.limits.maxHistoryLimit) {
+      problems.push("HISTORY_LIMIT: must not be more than MAX_HISTORY_LIMIT");
+    }
+    if (config.limits.maxFileBytes > config.limits.maxSessionFileBytes) {
+      problems.push("MAX_FILE_BYTES: must not be more than MAX_SESSION_FILE_BYTES");
+    }
+    if (config.store.type === "mongo" && !config.store.mongoUri) {
+      problems.push("MONGODB_URI: required for the mongo session store");
+    }
+    if (config.store.type === "redis" && !config.redisUrl) {
+      problems.push("REDIS_URL: required for the redis session store");
+    }
+    if (config.cluster.adapter === "redis" && !config.redisUrl) {
+      problems.push("REDIS_URL: required for the redis adapter");
+    }
+    if (config.cluster.adapter === "cluster" && !cluster.isWorker) {
+      problems.push("CLUSTER_ADAPTER: cluster only works in workers started by cluster.js");
+    }
+    if (config.frontendDir && !fs.existsSync(path.join(config.frontendDir, "index.html"))) {
+      problems.push(`FRONTEND_DIR: no index.html in ${config.frontendDir}; build the app first`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return config;
+};
+
+// Read and check the configuration. Throws ConfigError when anything is
+// wrong.
+const loadConfig = ({ env = process.env, loadEnvFile = true } = {}) => {
+  if (loadEnvFile) {
+    // Variables already set in the environment take precedence
+    dotenv.config({ path: path.join(__dirname, ".env") });
+  }
+
+  const filePath = env.CONFIG_FILE
+    ? path.resolve(env.CONFIG_FILE)
+    : path.join(__dirname, "config.json");
+  const file = readConfigFile(filePath, !!env.CONFIG_FILE);
+
+  const problems = unknownKeys(file).map(
+    (key) => `${key} in ${path.basename(filePath)}: unknown option`
+  );
+  return buildConfig((key, envName) => {
+    const fromEnv = env[envName] !== undefined && env[envName] !== "";
+    return fromEnv
+      ? { raw: env[envName], source: envName }
+      : { raw: getPath(file, key), source: `${key} in ${path.basename(filePath)}` };
+  }, problems);
+};
+
+// Check options given in code, nested like the config file, and fill in the
+// defaults. Already parsed values, such as loadConfig's result, pass as
+// they are. Throws ConfigError.
+const resolveConfig = (options = {}) =>
+  buildConfig(
+    (key) => ({ raw: getPath(options, key), source: key }),
+    unknownKeys(options).map((key) => `${key}: unknown option`)
+  );
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  resolveConfig,
+};
@@ -0,0 +1,107 @@
+// Clipboard items that expire, as chosen by the sender. The entry carries
+//   expiresAt - it is removed at this time
+//   maxReads  - it is removed once this many devices other than the sender
+//               have read (copied) it; 1 is burn after read
+//   readBy    - the readers so far: member IDs, or "api:<tokenId>" for
+//               reads through the HTTP API
+// Items the sender marked as sensitive always expire soon (ttl.sensitiveItem
+// in config.js), whatever expiry was asked for.
+// server.js removes expired entries from the session's text and history and
+// tells every device with history-removed.
+
+const MAX_EXPIRY_MINUTES = 7 * 24 * 60; // a week
+const MAX_READS = 100;
+
+class ExpiryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ExpiryError";
+  }
+}
+
+// Check the expiry a client asked for, { minutes, reads }, either or both.
+// Returns the fields to store on the entry ({} for none) or throws
+// ExpiryError.
+const normalizeExpiry = (expiry, now = Date.now()) => {
+  if (expiry === undefined || expiry === null) return {};
+  if (typeof expiry !== "object") {
+    throw new ExpiryError("Invalid expiry");
+  }
+
+  const fields = {};
+  const { minutes, reads } = expiry;
+  if (minutes !== undefined && minutes !== null) {
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_EXPIRY_MINUTES) {
+      throw new ExpiryError(`Expiry must be 1 to ${MAX_EXPIRY_MINUTES} minutes`);
+    }
+    fields.expiresAt = new Date(now + minutes * 60 * 1000);
+  }
+  if (reads !== undefined && reads !== null) {
+    if (!Number.isInteger(reads) || reads < 1 || reads > MAX_READS) {
+      throw new ExpiryError(`Expiry must be after 1 to ${MAX_READS} reads`);
+    }
+    fields.maxReads = reads;
+    fields.readBy = [];
+  }
+  return fields;
+};
+
+// Expiry fields for a sensitive item: the requested expiry, but no later
+// than `ttl` ms from now
+const capExpiry = (fields, ttl, now = Date.now()) => {
+  const latest = new Date(now + ttl);
+  return {
+    ...fields,
+    expiresAt: fields?.expiresAt && fields.expiresAt < latest ? fields.expiresAt : latest,
+  };
+};
+
+const isExpired = (entry, now = Date.now()) =>
+  !!entry &&
+  ((!!entry.expiresAt && new Date(entry.expiresAt).getTime() <= now) ||
+    (!!entry.maxReads && (entry.readBy?.length || 0) >= entry.maxReads));
+
+// Whether `readerId` sent the entry; the sender's own reads don't count.
+// Nobody is the sender of an entry without an origin, and a missing reader
+// is nobody.
+const isSender = (entry, readerId) => {
+  const origin = entry.origin;
+  if (!readerId || !origin) return false;
+  return (
+    (!!origin.memberId && readerId === origin.memberId) ||
+    (!!origin.apiTokenId && readerId === `api:${origin.apiTokenId}`)
+  );
+};
+
+// Count a read of a read-limited entry. Returns true if it was counted,
+// false for entries without a read limit, the sender and repeat readers.
+const recordRead = (entry, readerId) => {
+  if (!entry.maxReads || isSender(entry, readerId)) return false;
+  if (!entry.readBy) {
+    entry.readBy = [];
+  }
+  if (entry.readBy.includes(readerId)) return false;
+
+  entry.readBy.push(readerId);
+  return true;
+};
+
+// The soonest time an entry in the session expires, or null
+const nextExpiry = (session) =>
+  (session.history || []).reduce((soonest, entry) => {
+    if (!entry.expiresAt) return soonest;
+    const at = new Date(entry.expiresAt).getTime();
+    return soonest === null || at < soonest ? at : soonest;
+  }, null);
+
+module.exports = {
+  MAX_EXPIRY_MINUTES,
+  MAX_READS,
+  ExpiryError,
+  normalizeExpiry,
+  capExpiry,
+  isExpired,
+  isSender,
+  recordRead,
+  nextExpiry,
+};
@@ -0,0 +1,263 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Chunked file transfers between devices in a session.
+//
+// Chunks are encrypted by the sending client and stored on disk exactly as
+// received, one file per chunk:
+//   <dir>/<sessionCode>/<transferId>/meta.json
+//   <dir>/<sessionCode>/<transferId>/<index>.chunk
+// Keeping the metadata next to the chunks lets a transfer resume even after
+// the server restarts. The metadata also counts the bytes stored, which the
+// per-session quota adds up.
+
+const MAX_FILE_BYTES = 500e6; // 500 MB unless configured (limits.maxFileBytes)
+// Stored chunks per session, 1 GB unless configured (limits.maxSessionFileBytes)
+const MAX_SESSION_BYTES = 1e9;
+const MAX_CHUNK_BYTES = 2e6; // 2 MB of encrypted data per chunk
+// The chunk count is capped as if chunks were this small
+const MIN_CHUNK_BYTES = 256e3;
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const SESSION_PATTERN = /^[A-Za-z0-9]{1,64}$/;
+
+class TransferError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TransferError";
+  }
+}
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+const createTransferStore = ({
+  dir,
+  maxFileBytes = MAX_FILE_BYTES,
+  maxSessionBytes = MAX_SESSION_BYTES,
+}) => {
+  const maxChunks = Math.ceil(maxFileBytes / MIN_CHUNK_BYTES);
+  // Both keyed by cacheKey: transfer IDs are chosen by clients, so two
+  // sessions can use the same one
+  const transfers = new Map();
+  const metaWrites = new Map();
+
+  const cacheKey = (sessionCode, transferId) => `${sessionCode}/${transferId}`;
+
+  const transferDir = (sessionCode, transferId) =>
+    path.join(dir, sessionCode, transferId);
+
+  const chunkPath = (transfer, index) =>
+    path.join(transferDir(transfer.sessionCode, transfer.id), `${index}.chunk`);
+
+  // Metadata writes for one transfer are chained so concurrent chunk writes
+  // can't interleave and leave a corrupt meta.json
+  const saveMeta = (transfer) => {
+    const key = cacheKey(transfer.sessionCode, transfer.id);
+    const previous = metaWrites.get(key) || Promise.resolve();
+    const next = previous.then(() =>
+      fs.promises.writeFile(
+        path.join(transferDir(transfer.sessionCode, transfer.id), "meta.json"),
+        JSON.stringify({ ...transfer, received: [...transfer.received] })
+      )
+    );
+    metaWrites.set(key, next.catch(() => {}));
+    return next;
+  };
+
+  // Look up a transfer, falling back to its metadata on disk
+  const load = async (sessionCode, transferId) => {
+    if (!SESSION_PATTERN.test(sessionCode || "")) return null;
+    if (!ID_PATTERN.test(transferId || "")) return null;
+
+    const cached = transfers.get(cacheKey(sessionCode, transferId));
+    if (cached) return cached;
+
+    try {
+      const raw = await fs.promises.readFile(
+        path.join(transferDir(sessionCode, transferId), "meta.json"),
+        "utf8"
+      );
+      const transfer = JSON.parse(raw);
+      transfer.received = new Set(transfer.received);
+      transfers.set(cacheKey(sessionCode, transferId), transfer);
+      return transfer;
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+
+  // Bytes of chunks stored for a session's transfers
+  const usage = async (sessionCode) => {
+    let transferIds = [];
+    try {
+      transferIds = await fs.promises.readdir(path.join(dir, sessionCode));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+
+    let total = 0;
+    for (const transferId of transferIds) {
+      total += (await load(sessionCode, transferId))?.bytes || 0;
+    }
+    return total;
+  };
+
+  const quotaError = () =>
+    new TransferError(
+      `Files in a session are limited to ${maxSessionBytes / 1e6} MB in total; delete some first`
+    );
+
+  return {
+    async init() {
+      await fs.promises.mkdir(dir, { recursive: true });
+    },
+
+    get: load,
+
+    // Start a new transfer, or return the existing one so the sender can
+    // resume from the chunks the server already has
+    async start(sessionCode, { transferId, meta, size, totalChunks }) {
+      const existing = await load(sessionCode, transferId);
+      if (existing) return existing;
+
+      if (
+        !SESSION_PATTERN.test(sessionCode || "") ||
+        !ID_PATTERN.test(transferId || "")
+      ) {
+        throw new TransferError("Invalid transfer ID");
+      }
+      if (typeof meta !== "string" || meta.length === 0 || meta.length > 10e3) {
+        throw new TransferError("Invalid file metadata");
+      }
+      if (!Number.isInteger(size) || size < 0 || size > maxFileBytes) {
+        throw new TransferError(
+          `Files are limited to ${maxFileBytes / 1e6} MB`
+        );
+      }
+      if (
+        !Number.isInteger(totalChunks) ||
+        totalChunks < 1 ||
+        totalChunks > maxChunks
+      ) {
+        throw new TransferError("Invalid chunk count");
+      }
+      if ((await usage(sessionCode)) + size > maxSessionBytes) {
+        throw quotaError();
+      }
+
+      const transfer = {
+        id: transferId,
+        sessionCode,
+        meta,
+        size,
+        totalChunks,
+        received: new Set(),
+        bytes: 0,
+        complete: false,
+        createdAt: new Date(),
+      };
+
+      await fs.promises.mkdir(transferDir(sessionCode, transferId), {
+        recursive: true,
+      });
+      await saveMeta(transfer);
+      transfers.set(cacheKey(sessionCode, transferId), transfer);
+      return transfer;
+    },
+
+    // Store one chunk after checking it against the sender's hash and the
+    // session's quota. Writing the same index twice is harmless, which makes
+    // retries safe.
+    async writeChunk(transfer, index, data, hash) {
+      if (!Number.isInteger(index) || index < 0 || index >= transfer.totalChunks) {
+        throw new TransferError("Invalid chunk index");
+      }
+      if (typeof data !== "string" || data.length > MAX_CHUNK_BYTES) {
+        throw new TransferError("Invalid chunk data");
+      }
+      if (sha256(data) !== hash) {
+        throw new TransferError("Chunk hash mismatch");
+      }
+
+      const replaced = transfer.received.has(index)
+        ? (await fs.promises.stat(chunkPath(transfer, index))).size
+        : 0;
+      const bytes = Buffer.byteLength(data);
+      if ((await usage(transfer.sessionCode)) - replaced + bytes > maxSessionBytes) {
+        throw quotaError();
+      }
+
+      await fs.promises.writeFile(chunkPath(transfer, index), data);
+      transfer.bytes = (transfer.bytes || 0) - replaced + bytes;
+      transfer.received.add(index);
+      transfer.complete = transfer.received.size === transfer.totalChunks;
+      await saveMeta(transfer);
+      return transfer;
+    },
+
+    async readChunk(transfer, index) {
+      if (!transfer.received.has(index)) {
+        throw new TransferError("Chunk not available");
+      }
+
+      const data = await fs.promises.readFile(chunkPath(transfer, index), "utf8");
+      return { data, hash: sha256(data) };
+    },
+
+    // Delete one transfer and its chunks
+    async remove(sessionCode, transferId) {
+      const transfer = await load(sessionCode, transferId);
+      if (!transfer) return;
+
+      transfers.delete(cacheKey(sessionCode, transferId));
+      metaWrites.delete(cacheKey(sessionCode, transferId));
+      await fs.promises.rm(transferDir(sessionCode, transferId), {
+        recursive: true,
+        force: true,
+      });
+    },
+
+    // Delete every transfer belonging to a session
+    async removeSession(sessionCode) {
+      if (!SESSION_PATTERN.test(sessionCode || "")) return;
+
+      transfers.forEach((transfer, key) => {
+        if (transfer.sessionCode === sessionCode) {
+          transfers.delete(key);
+          metaWrites.delete(key);
+        }
+      });
+      await fs.promises.rm(path.join(dir, sessionCode), {
+        recursive: true,
+        force: true,
+      });
+    },
+
+    // Delete transfers whose session no longer exists, e.g. after a restart
+    // with the in-memory store
+    async prune(isLiveSession) {
+      let entries = [];
+      try {
+        entries = await fs.promises.readdir(dir);
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+
+      for (const sessionCode of entries) {
+        if (!(await isLiveSession(sessionCode))) {
+          await this.removeSession(sessionCode);
+        }
+      }
+    },
+  };
+};
+
+module.exports = {
+  MAX_FILE_BYTES,
+  MAX_SESSION_BYTES,
+  MAX_CHUNK_BYTES,
+  TransferError,
+  createTransferStore,
+};
@@ -0,0 +1,297 @@
+const crypto = require("crypto");
+const { isSameItem } = require("./clipboardItem");
+const { isExpired, isSender } = require("./expiry");
+const { DEFAULT_CHANNEL, channelOf } = require("./channels");
+
+// Clipboard history entries: a stored item plus metadata.
+//
+//   { id, seq, types, data, size, origin: { memberId, name }, createdAt, pinned }
+//
+// File entries additionally carry kind: "file", transferId and totalChunks.
+// Clips sent by a client carry its clipId so a resend can be recognised.
+// History is newest first. Each channel (see channels.js) keeps up to the
+// session's history limit; pinned entries don't count towards it and are
+// never evicted. Clips in channels other than the default one carry channel.
+//
+// seq is assigned when an entry is stored and increases by one for every
+// entry in the session (session.lastSeq holds the latest). It is the order
+// every device agrees on: when two devices copy at once, the higher seq is
+// the newer item.
+//
+// Entries can also expire (expiresAt, maxReads; see expiry.js). Expired
+// entries are removed by server.js and never served in the meantime, pinned
+// or not.
+//
+// Only the sender gets the data of an entry that expires after a number of
+// reads with the rest of it (see visibleEntry). Other devices get it marked
+// withheld and fetch the data through a path that counts the read.
+//
+// A clip sent to particular devices carries recipients, their member IDs.
+// Only they and the sender see it, in history as well as live; it never
+// becomes a channel's current item, which every device gets on join.
+// Viewers are member IDs, or "api:<tokenId>" for API tokens.
+
+const DEFAULT_HISTORY_LIMIT = 10;
+const MAX_HISTORY_LIMIT = 100;
+const MAX_PAGE_SIZE = 50;
+const MAX_RECIPIENTS = 50;
+
+class RecipientError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RecipientError";
+  }
+}
+
+// Check the devices a client asked to send to: a list of member IDs.
+// Returns them without repeats, or undefined to send to everyone. Throws
+// RecipientError. Whether they are members is checked when storing.
+const normalizeRecipients = (to) => {
+  if (to === undefined || to === null) return undefined;
+  if (
+    !Array.isArray(to) ||
+    to.length === 0 ||
+    to.length > MAX_RECIPIENTS ||
+    !to.every((id) => typeof id === "string" && id.length > 0 && id.length <= 64)
+  ) {
+    throw new RecipientError(`Send to 1 to ${MAX_RECIPIENTS} devices of the session`);
+  }
+  return [...new Set(to)];
+};
+
+const canSee = (entry, viewer) =>
+  !entry.recipients || entry.recipients.includes(viewer) || isSender(entry, viewer);
+
+// An entry as `viewer` gets it in history listings and broadcasts, where
+// `viewer` is undefined when it goes to several devices at once
+const visibleEntry = (entry, viewer) => {
+  if (!entry?.maxReads || isSender(entry, viewer)) return entry;
+  const { data, ...rest } = entry;
+  return { ...rest, withheld: true };
+};
+
+const createEntry = (item, origin) => ({
+  id: crypto.randomBytes(9).toString("base64url"),
+  ...item,
+  origin: origin || null,
+  createdAt: new Date(),
+  pinned: false,
+});
+
+const historyLimitOf = (session) => session.historyLimit || DEFAULT_HISTORY_LIMIT;
+
+// Drop the oldest unpinned entries beyond the session's limit, in every
+// channel. Returns the removed entries.
+const enforceLimit = (session) => {
+  const limit = historyLimitOf(session);
+  const unpinned = new Map();
+  const removed = [];
+
+  session.history = session.history.filter((entry) => {
+    if (entry.pinned) return true;
+    const count = (unpinned.get(channelOf(entry)) || 0) + 1;
+    unpinned.set(channelOf(entry), count);
+    if (count <= limit) return true;
+    removed.push(entry);
+    return false;
+  });
+
+  return removed;
+};
+
+// Add an entry and give it the next sequence number, unless it repeats the
+// most recent one in its channel. Returns the entries the history limit
+// pushed out to make room, or null for a duplicate.
+const addEntry = (session, entry) => {
+  if (!session.history) {
+    session.history = [];
+  }
+
+  // Sending to particular devices repeats an item on purpose
+  const previous = session.history.find((e) => channelOf(e) === channelOf(entry));
+  if (
+    previous &&
+    !previous.recipients &&
+    !entry.recipients &&
+    isSameItem(previous, entry)
+  ) {
+    return null;
+  }
+
+  session.lastSeq = (session.lastSeq || 0) + 1;
+  entry.seq = session.lastSeq;
+  session.history.unshift(entry);
+  return enforceLimit(session);
+};
+
+// Newest clip (not a file) in a channel sent to everyone
+const newestClip = (history, channel) =>
+  (history || []).find(
+    (entry) => channelOf(entry) === channel && entry.kind !== "file" && !entry.recipients
+  ) || null;
+
+const findEntry = (session, id) =>
+  (session.history || []).find((entry) => entry.id === id) || null;
+
+// Entry stored for a client's clip, if it was already received
+const findClip = (session, clipId) =>
+  (clipId && (session.history || []).find((entry) => entry.clipId === clipId)) ||
+  null;
+
+// An item a device sends back right after getting it from another device,
+// e.g. because writing it to the clipboard looked like a new copy there.
+// Returns the entry it repeats: one in the same channel with the same
+// content hash, from another sender, that `memberId` could see and that is
+// less than `window` ms old. Two devices copying at once would otherwise
+// get past the check against the current item.
+const findEcho = (session, item, { memberId, channel, window, now = Date.now() }) =>
+  (item.hash &&
+    memberId &&
+    (session.history || []).find(
+      (entry) =>
+        entry.hash === item.hash &&
+        channelOf(entry) === channel &&
+        entry.origin?.memberId !== memberId &&
+        now - new Date(entry.createdAt) < window &&
+        canSee(entry, memberId)
+    )) ||
+  null;
+
+// Remove one entry. If it was the default channel's latest clipboard item,
+// the next newest clipboard (non-file) entry there sent to everyone takes
+// its place. Returns the removed entry.
+const removeEntry = (session, id) => {
+  const entry = findEntry(session, id);
+  if (!entry) return null;
+
+  session.history = session.history.filter((e) => e.id !== id);
+
+  if (session.text && session.text.id === id) {
+    session.text = newestClip(session.history, DEFAULT_CHANNEL) || "";
+  }
+  return entry;
+};
+
+// Remove entries that have expired. Returns them.
+const removeExpired = (session, now = Date.now()) => {
+  const expired = (session.history || []).filter((entry) => isExpired(entry, now));
+  expired.forEach((entry) => removeEntry(session, entry.id));
+  return expired;
+};
+
+// History without entries that expired but haven't been removed yet,
+// without those sent to other devices than `viewer`, and only from
+// `channels` if given
+const liveHistory = (session, viewer, channels) =>
+  (session.history || []).filter(
+    (entry) =>
+      !isExpired(entry) &&
+      canSee(entry, viewer) &&
+      (!channels || channels.includes(channelOf(entry)))
+  );
+
+// A channel's current item: its newest clip sent to everyone. The default
+// channel's is session.text, which also covers items stored before history
+// and channels existed.
+const currentItem = (session, channel = DEFAULT_CHANNEL) => {
+  if (channel === DEFAULT_CHANNEL && session.text !== undefined) {
+    return session.text || null;
+  }
+  return newestClip(session.history, channel);
+};
+
+// The newest clipboard item in a channel that `viewer` can see: the
+// channel's current item, or a newer one sent to or by the viewer. Null if
+// there is none.
+const latestItemFor = (session, viewer, channel = DEFAULT_CHANNEL) => {
+  const current = currentItem(session, channel);
+  const live = current && !isExpired(current) ? current : null;
+  const latest = liveHistory(session, viewer, [channel]).find((entry) => entry.kind !== "file");
+  return latest?.recipients && latest.seq > (live?.seq || 0) ? latest : live;
+};
+
+// Remove every entry (or every unpinned one), from one channel if given.
+// With `viewer`, only the entries it can see. Returns the removed entries.
+const clearHistory = (session, { keepPinned = true, channel, viewer } = {}) => {
+  const history = session.history || [];
+  const cleared = (entry) =>
+    (!channel || channelOf(entry) === channel) &&
+    (!keepPinned || !entry.pinned) &&
+    (viewer === undefined || canSee(entry, viewer));
+  const removed = history.filter(cleared);
+
+  session.history = history.filter((entry) => !cleared(entry));
+  if (session.text && !session.history.some((e) => e.id === session.text.id)) {
+    session.text = "";
+  }
+  return removed;
+};
+
+// `max` is the server's configured ceiling (limits.maxHistoryLimit)
+const setHistoryLimit = (session, limit, max = MAX_HISTORY_LIMIT) => {
+  session.historyLimit = Math.min(Math.max(1, limit), max);
+  return enforceLimit(session);
+};
+
+// One page of the history `viewer` can see in `channels` (all if not
+// given), newest first
+const pageHistory = (
+  session,
+  { offset = 0, limit = DEFAULT_HISTORY_LIMIT, viewer, channels } = {}
+) => {
+  const history = liveHistory(session, viewer, channels);
+  const start = Math.max(0, Number.parseInt(offset, 10) || 0);
+  const size = Math.min(
+    Math.max(1, Number.parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT),
+    MAX_PAGE_SIZE
+  );
+  const items = history.slice(start, start + size).map((entry) => visibleEntry(entry, viewer));
+
+  return {
+    history: items,
+    total: history.length,
+    offset: start,
+    hasMore: start + items.length < history.length,
+    historyLimit: historyLimitOf(session),
+    lastSeq: session.lastSeq || 0,
+  };
+};
+
+// Catch-up for a device that was offline: every entry added after seq
+// (newest first), plus the ID and pin state of everything still in the
+// history so the device can drop entries deleted in the meantime
+const historySince = (session, seq, { viewer, channels } = {}) => {
+  const history = liveHistory(session, viewer, channels);
+  const since = Number.parseInt(seq, 10) || 0;
+
+  return {
+    history: history
+      .filter((entry) => entry.seq > since)
+      .map((entry) => visibleEntry(entry, viewer)),
+    current: history.map(({ id, pinned }) => ({ id, pinned })),
+    lastSeq: session.lastSeq || 0,
+  };
+};
+
+module.exports = {
+  DEFAULT_HISTORY_LIMIT,
+  MAX_HISTORY_LIMIT,
+  RecipientError,
+  normalizeRecipients,
+  canSee,
+  visibleEntry,
+  createEntry,
+  addEntry,
+  findEntry,
+  findClip,
+  findEcho,
+  removeEntry,
+  removeExpired,
+  clearHistory,
+  setHistoryLimit,
+  pageHistory,
+  historySince,
+  currentItem,
+  latestItemFor,
+  historyLimitOf,
+};
@@ -0,0 +1,81 @@
+const { createClient } = require("redis");
+const { createAdapter: createClusterAdapter } = require("@socket.io/cluster-adapter");
+const { createAdapter: createRedisAdapter } = require("@socket.io/redis-adapter");
+
+// Several server processes can serve the same sessions: the workers
+// cluster.js starts on one machine, or instances on several machines
+// connected through Redis. A Socket.IO adapter carries room broadcasts
+// between them, and the session store is shared.
+//
+// What each process still keeps to itself is its own sockets. Anything that
+// needs all of a session's sockets (counting them, evicting a device,
+// admitting a device waiting for approval) is a command that runs on every
+// process, with the answers combined by the caller.
+
+const EVENT_PREFIX = "instances:";
+
+// Attach the adapter: "cluster" for cluster.js workers, "redis" for
+// instances sharing a Redis server, or "none" for a single process. Resolves
+// to a function that disconnects it.
+const connectAdapter = async (io, { type, redisUrl, logger }) => {
+  if (type === "cluster") {
+    io.adapter(createClusterAdapter());
+  } else if (type === "redis") {
+    const pubClient = createClient({ url: redisUrl });
+    const subClient = pubClient.duplicate();
+    [pubClient, subClient].forEach((client) => {
+      client.on("error", (err) => logger.error("Redis adapter error", { err }));
+    });
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    io.adapter(createRedisAdapter(pubClient, subClient));
+    logger.info("Connected to Redis adapter");
+    return () => Promise.all([pubClient.quit(), subClient.quit()]);
+  }
+  return async () => {};
+};
+
+// Commands go through a Socket.IO namespace. `shared` says whether there is
+// an adapter to reach other processes with.
+const createInstances = ({ namespace, shared, logger }) => {
+  // command -> handler
+  const handlers = new Map();
+
+  return {
+    // Set what a command does on this process. The handler gets one
+    // argument and resolves to an answer; both must survive being sent
+    // between processes.
+    handle(command, handler) {
+      handlers.set(command, handler);
+      if (!shared) return;
+
+      namespace.on(`${EVENT_PREFIX}${command}`, (args, ack) => {
+        Promise.resolve()
+          .then(() => handler(args))
+          .then(
+            (answer) => ack(answer ?? null),
+            (err) => {
+              logger.error("Command from another instance failed", { command, err });
+              ack(null);
+            }
+          );
+      });
+    },
+
+    // Run a command on every process. Resolves to their answers, this
+    // process's first; processes that don't answer in time are left out.
+    async run(command, args) {
+      const [local, remote] = await Promise.all([
+        handlers.get(command)(args),
+        shared
+          ? namespace.serverSideEmitWithAck(`${EVENT_PREFIX}${command}`, args).catch((err) => {
+              logger.warn("Some instances didn't answer", { command, err });
+              return err.responses || [];
+            })
+          : [],
+      ]);
+      return [local, ...remote];
+    },
+  };
+};
+
+module.exports = { connectAdapter, createInstances };
@@ -0,0 +1,91 @@
+const { sessionRef } = require("./sessionAccess");
+
+// Structured logging: one JSON object per line, e.g.
+//   {"time":"...","level":"info","msg":"Item broadcast","session":"3f1c9a...","seq":4,"socketId":"..."}
+//
+// Clipboard contents and credentials must never reach the logs, even by
+// accident, so fields that could hold them are replaced with "[redacted]"
+// whatever their value. Session codes are logged as their ref (see
+// sessionRef), the same ID the admin API uses.
+//
+// LOG_LEVEL picks the lowest level written (debug, info, warn, error;
+// default info).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED_FIELDS = new Set([
+  "text",
+  "data",
+  "item",
+  "items",
+  "content",
+  "representations",
+  "passphrase",
+  "secret",
+  "token",
+  "memberToken",
+  "ownerToken",
+  "pairingToken",
+  "pairingCode",
+  "authorization",
+]);
+
+const serializeError = (err) => ({
+  name: err.name,
+  message: err.message,
+  ...(err.code && { code: err.code }),
+  stack: err.stack,
+});
+
+const serializeFields = (fields) => {
+  const out = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined) return;
+
+    if (REDACTED_FIELDS.has(key)) {
+      out[key] = "[redacted]";
+    } else if (key === "sessionCode") {
+      out.session = typeof value === "string" ? sessionRef(value) : null;
+    } else if (key === "err" && value instanceof Error) {
+      out.err = serializeError(value);
+    } else {
+      out[key] = value;
+    }
+  });
+  return out;
+};
+
+// `onLog(level)` is called for every line written, e.g. to count errors
+const createLogger = ({
+  level = process.env.LOG_LEVEL || "info",
+  fields = {},
+  onLog,
+  write = (line) => process.stdout.write(`${line}\n`),
+} = {}) => {
+  const minimum = LEVELS[level] ?? LEVELS.info;
+
+  const log = (lineLevel, msg, extra = {}) => {
+    if (LEVELS[lineLevel] < minimum) return;
+
+    onLog?.(lineLevel);
+    write(
+      JSON.stringify({
+        time: new Date().toISOString(),
+        level: lineLevel,
+        msg,
+        ...serializeFields({ ...fields, ...extra }),
+      })
+    );
+  };
+
+  return {
+    debug: (msg, extra) => log("debug", msg, extra),
+    info: (msg, extra) => log("info", msg, extra),
+    warn: (msg, extra) => log("warn", msg, extra),
+    error: (msg, extra) => log("error", msg, extra),
+    // A logger that adds `extra` to every line, e.g. a request or socket ID
+    child: (extra) => createLogger({ level, fields: { ...fields, ...extra }, onLog, write }),
+  };
+};
+
+module.exports = { createLogger };
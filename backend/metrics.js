@@ -0,0 +1,90 @@
+// Counters and gauges served at /metrics in the Prometheus text format:
+//   # HELP clipboard_clips_relayed_total Clipboard items stored and sent to devices
+//   # TYPE clipboard_clips_relayed_total counter
+//   clipboard_clips_relayed_total{source="socket"} 42
+//
+// Counters live in memory and start from zero when the process restarts,
+// which Prometheus handles. Gauges are read when /metrics is scraped. When
+// several processes serve one address (cluster.js), whichever gets the
+// scrape adds up everyone's counters, from their snapshot().
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+};
+
+const createMetrics = () => {
+  // name -> { type, help, values: Map(label string -> number), collect }
+  const metrics = new Map();
+
+  const register = (name, type, help, collect) => {
+    const metric = { type, help, values: new Map(), collect };
+    metrics.set(name, metric);
+    return metric;
+  };
+
+  return {
+    // A value that only goes up. `inc(labels, amount)`.
+    counter(name, help) {
+      const metric = register(name, "counter", help);
+      return {
+        inc(labels = {}, amount = 1) {
+          const key = formatLabels(labels);
+          metric.values.set(key, (metric.values.get(key) || 0) + amount);
+        },
+      };
+    },
+
+    // A value read at scrape time. `collect` resolves to a number, or to
+    // [{ labels, value }] for a labelled gauge.
+    gauge(name, help, collect) {
+      register(name, "gauge", help, collect);
+    },
+
+    // Counter values, for another process's render()
+    snapshot() {
+      return [...metrics]
+        .filter(([, metric]) => !metric.collect)
+        .map(([name, metric]) => [name, [...metric.values]]);
+    },
+
+    // `others` are snapshots whose counters are added to this process's
+    async render(others = []) {
+      const lines = [];
+      for (const [name, metric] of metrics) {
+        lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+
+        if (metric.collect) {
+          const collected = await metric.collect();
+          const samples = Array.isArray(collected)
+            ? collected
+            : [{ labels: {}, value: collected }];
+          samples.forEach(({ labels, value }) => {
+            lines.push(`${name}${formatLabels(labels)} ${value}`);
+          });
+        } else {
+          const values = new Map(metric.values);
+          others.forEach((snapshot) => {
+            snapshot.find(([other]) => other === name)?.[1].forEach(([labels, value]) => {
+              values.set(labels, (values.get(labels) || 0) + value);
+            });
+          });
+
+          if (values.size === 0) {
+            lines.push(`${name} 0`);
+          }
+          values.forEach((value, labels) => {
+            lines.push(`${name}${labels} ${value}`);
+          });
+        }
+      }
+      return `${lines.join("\n")}\n`;
+    },
+  };
+};
+
+module.exports = { createMetrics };
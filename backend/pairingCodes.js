@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+
+// Short pairing codes a device shows so another one can join its session.
+//
+// Sessions are identified by a long random ID that nobody is expected to
+// type. To add a device, a member asks for a pairing code (8 characters from
+// an alphabet without look-alikes) and the new device exchanges it through
+// POST /pair for the session ID and its own member token. A code works once
+// and expires after PAIRING_CODE_TTL.
+//
+// Codes only live in the memory of the process that issued them: they are
+// too short-lived to be worth keeping across a restart. With several server
+// processes, redeeming asks each of them (see server.js).
+
+const PAIRING_CODE_TTL = 2 * 60 * 1000; // 2 minutes
+const PAIRING_CODE_LENGTH = 8;
+const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const generateCode = () => {
+  let code = "";
+  for (let i = 0; i < PAIRING_CODE_LENGTH; i++) {
+    code += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  }
+  return code;
+};
+
+// What users type is upper-cased and stripped of spaces and dashes
+const normalizeCode = (code) =>
+  typeof code === "string" ? code.toUpperCase().replace(/[\s-]/g, "") : "";
+
+const createPairingCodes = ({ ttl = PAIRING_CODE_TTL } = {}) => {
+  // code -> { sessionCode, createdBy, expiresAt }
+  const codes = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    codes.forEach((pairing, code) => {
+      if (pairing.expiresAt.getTime() <= now) codes.delete(code);
+    });
+  };
+
+  return {
+    // Create a code for a session. A member only has one code at a time, so
+    // asking for a new one replaces the last.
+    issue(sessionCode, createdBy) {
+      prune();
+      codes.forEach((pairing, code) => {
+        if (pairing.sessionCode === sessionCode && pairing.createdBy === createdBy) {
+          codes.delete(code);
+        }
+      });
+
+      let code = generateCode();
+      while (codes.has(code)) {
+        code = generateCode();
+      }
+
+      const pairing = {
+        sessionCode,
+        createdBy,
+        expiresAt: new Date(Date.now() + ttl),
+      };
+      codes.set(code, pairing);
+      return { pairingCode: code, expiresAt: pairing.expiresAt };
+    },
+
+    // Use up a code. Returns what it was issued for, or null if it doesn't
+    // exist or has expired.
+    redeem(code) {
+      prune();
+      const normalized = normalizeCode(code);
+      const pairing = codes.get(normalized);
+      if (!pairing) return null;
+
+      codes.delete(normalized);
+      return { pairingCode: normalized, ...pairing };
+    },
+
+    // Forget every code for a session, e.g. once it has been cleaned up, or
+    // only the one a member created
+    removeSession(sessionCode, createdBy) {
+      codes.forEach((pairing, code) => {
+        if (
+          pairing.sessionCode === sessionCode &&
+          (createdBy === undefined || pairing.createdBy === createdBy)
+        ) {
+          codes.delete(code);
+        }
+      });
+    },
+  };
+};
+
+module.exports = {
+  PAIRING_CODE_TTL,
+  createPairingCodes,
+};
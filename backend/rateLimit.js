@@ -0,0 +1,97 @@
+// In-memory rate limits, keyed by whatever the caller picks (an IP address,
+// a socket ID, ...). They only cover this process, which is enough to stop a
+// single client from hammering the server.
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// Allow at most `limit` hits per key in every `windowMs`. `hit(key)` counts
+// an attempt and returns null if it is allowed, or the number of seconds to
+// wait if it isn't. `close()` stops pruning old windows.
+const createRateLimiter = ({ limit, windowMs }) => {
+  // key -> { count, resetAt }
+  const windows = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) windows.delete(key);
+    });
+  };
+  const pruneTimer = setInterval(prune, Math.max(windowMs, 60 * 1000));
+  pruneTimer.unref();
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count += 1;
+      return window.count > limit ? secondsUntil(window.resetAt) : null;
+    },
+
+    close() {
+      clearInterval(pruneTimer);
+      windows.clear();
+    },
+  };
+};
+
+// Lock a key out after repeated failures, e.g. guessing session codes. The
+// first `threshold` failures are free; every one after that doubles the
+// lockout, starting at `baseMs` and capped at `maxMs`. Failures are
+// forgotten after `forgetMs` without any. Successes deliberately don't reset
+// the count, or a client could mix in one code it knows to keep guessing.
+const createFailureTracker = ({ threshold, baseMs, maxMs, forgetMs }) => {
+  // key -> { failures, lockedUntil, lastFailure }
+  const records = new Map();
+
+  const current = (key) => {
+    const record = records.get(key);
+    if (record && record.lastFailure + forgetMs <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  const pruneTimer = setInterval(() => {
+    [...records.keys()].forEach(current);
+  }, Math.max(forgetMs, 60 * 1000));
+  pruneTimer.unref();
+
+  return {
+    // Seconds the key is still locked out for, or null
+    lockedOut(key) {
+      const record = current(key);
+      return record && record.lockedUntil > Date.now()
+        ? secondsUntil(record.lockedUntil)
+        : null;
+    },
+
+    fail(key) {
+      const record = current(key) || { failures: 0, lockedUntil: 0 };
+      record.failures += 1;
+      record.lastFailure = Date.now();
+
+      const excess = record.failures - threshold;
+      if (excess > 0) {
+        record.lockedUntil = Date.now() + Math.min(maxMs, baseMs * 2 ** (excess - 1));
+      }
+      records.set(key, record);
+    },
+
+    close() {
+      clearInterval(pruneTimer);
+      records.clear();
+    },
+  };
+};
+
+module.exports = {
+  createRateLimiter,
+  createFailureTracker,
+};
@@ -0,0 +1,257 @@
+const crypto = require("crypto");
+
+// Access control for sessions: optional passphrases, member tokens and roles.
+//
+// Every device admitted to a session becomes a member with a random token.
+// The server only stores a hash of the token; the device keeps the token and
+// presents it on later joins so it doesn't need approval again.
+// Tokens look like "<memberId>.<secret>".
+//
+// Sessions can also have API tokens for the HTTP API, stored the same way in
+// session.apiTokens and shaped "<tokenId>.<secret>". Incoming webhooks
+// (session.incomingWebhooks) work the same, with the token in their URL.
+//
+// Join links can carry a one-time pairing token (session.pairingTokens, same
+// shape). It lets one device in without the passphrase or approval and is
+// deleted as soon as it has been used or has expired.
+
+const ROLE_OWNER = "owner";
+const ROLE_MEMBER = "member";
+
+const MAX_PASSPHRASE_LENGTH = 256;
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+const PAIRING_TOKEN_TTL = 10 * 60 * 1000; // 10 minutes unless configured
+
+const randomId = (bytes) => crypto.randomBytes(bytes).toString("base64url");
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+const scrypt = (passphrase, salt) =>
+  new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, salt, 32, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+
+// Resolves to the stored form of a passphrase, or null when none is set
+const hashPassphrase = async (passphrase) => {
+  if (typeof passphrase !== "string" || passphrase === "") return null;
+
+  const salt = randomId(16);
+  const hash = await scrypt(passphrase.slice(0, MAX_PASSPHRASE_LENGTH), salt);
+  return { salt, hash: hash.toString("base64") };
+};
+
+const verifyPassphrase = async (stored, passphrase) => {
+  if (!stored) return true;
+  if (typeof passphrase !== "string") return false;
+
+  const hash = await scrypt(passphrase.slice(0, MAX_PASSPHRASE_LENGTH), stored.salt);
+  const expected = Buffer.from(stored.hash, "base64");
+  return hash.length === expected.length && crypto.timingSafeEqual(hash, expected);
+};
+
+const cleanString = (value, maxLength) =>
+  typeof value === "string" && value.trim() ? value.trim().slice(0, maxLength) : null;
+
+// Device details a client registers when joining: a stable ID it keeps in
+// localStorage, a display name and its platform. Unknown or malformed fields
+// are dropped.
+const sanitizeDevice = (device) => ({
+  deviceId:
+    typeof device?.id === "string" && DEVICE_ID_PATTERN.test(device.id)
+      ? device.id
+      : null,
+  name: cleanString(device?.name, 64),
+  platform: cleanString(device?.platform, 32),
+});
+
+// Create a member record and the token handed to the device. Only the record
+// is stored in the session. `device` is the output of sanitizeDevice.
+const createMember = ({ role = ROLE_MEMBER, device } = {}) => {
+  const memberId = randomId(9);
+  const secret = randomId(24);
+
+  return {
+    memberId,
+    token: `${memberId}.${secret}`,
+    member: {
+      role,
+      deviceId: device?.deviceId || null,
+      name: device?.name || null,
+      platform: device?.platform || null,
+      tokenHash: sha256(secret).toString("base64"),
+      joinedAt: new Date(),
+      lastSeen: new Date(),
+    },
+  };
+};
+
+// Resolve "<id>.<secret>" to the ID of the record it belongs to, or null
+const verifyToken = (records, token) => {
+  if (typeof token !== "string") return null;
+
+  const [id, secret] = token.split(".");
+  const record = id && Object.hasOwn(records || {}, id) && records[id];
+  if (!record || !secret) return null;
+
+  const expected = Buffer.from(record.tokenHash, "base64");
+  const actual = sha256(secret);
+  return crypto.timingSafeEqual(actual, expected) ? id : null;
+};
+
+// Resolve a token to its member ID, or null if it isn't valid for the session
+const verifyMemberToken = (session, token) => verifyToken(session.members, token);
+
+// Create an API token. Only the record is stored in session.apiTokens; the
+// token itself is shown once to the owner who created it.
+const createApiToken = (name) => {
+  const tokenId = randomId(9);
+  const secret = randomId(24);
+
+  return {
+    tokenId,
+    token: `${tokenId}.${secret}`,
+    record: {
+      name: cleanString(name, 64) || "API token",
+      tokenHash: sha256(secret).toString("base64"),
+      createdAt: new Date(),
+      lastUsed: null,
+    },
+  };
+};
+
+// Resolve an API token to its token ID, or null if it isn't valid for the
+// session
+const verifyApiToken = (session, token) => verifyToken(session.apiTokens, token);
+
+// API tokens as listed to the owner, without their hashes
+const describeApiTokens = (session) =>
+  Object.entries(session.apiTokens || {}).map(([tokenId, record]) => ({
+    tokenId,
+    name: record.name,
+    createdAt: record.createdAt,
+    lastUsed: record.lastUsed,
+  }));
+
+// Create an incoming webhook: a URL other tools can post clips to. Its token
+// is part of the URL, which the owner is shown once; only the record is
+// stored in session.incomingWebhooks. `channel` is where its clips go unless
+// a request names another one.
+const createIncomingWebhook = (name, channel) => {
+  const hookId = randomId(9);
+  const secret = randomId(24);
+
+  return {
+    hookId,
+    token: `${hookId}.${secret}`,
+    record: {
+      name: cleanString(name, 64) || "Incoming webhook",
+      channel,
+      tokenHash: sha256(secret).toString("base64"),
+      createdAt: new Date(),
+      lastUsed: null,
+    },
+  };
+};
+
+// Resolve an incoming webhook token to its hook ID, or null
+const verifyIncomingWebhook = (session, token) => verifyToken(session.incomingWebhooks, token);
+
+// Incoming webhooks as listed to the owner, without their hashes
+const describeIncomingWebhooks = (session) =>
+  Object.entries(session.incomingWebhooks || {}).map(([hookId, record]) => ({
+    hookId,
+    name: record.name,
+    channel: record.channel,
+    createdAt: record.createdAt,
+    lastUsed: record.lastUsed,
+  }));
+
+// Create a one-time pairing token for a join link. Only the record is stored
+// in session.pairingTokens.
+const createPairingToken = (createdBy, ttl = PAIRING_TOKEN_TTL) => {
+  const tokenId = randomId(9);
+  const secret = randomId(24);
+
+  return {
+    tokenId,
+    token: `${tokenId}.${secret}`,
+    record: {
+      tokenHash: sha256(secret).toString("base64"),
+      createdBy,
+      expiresAt: new Date(Date.now() + ttl),
+    },
+  };
+};
+
+// Drop expired pairing tokens from the session. Returns true if any were
+// removed.
+const prunePairingTokens = (session) => {
+  const now = Date.now();
+  let pruned = false;
+
+  Object.entries(session.pairingTokens || {}).forEach(([tokenId, record]) => {
+    if (new Date(record.expiresAt).getTime() <= now) {
+      delete session.pairingTokens[tokenId];
+      pruned = true;
+    }
+  });
+  return pruned;
+};
+
+// Use up a pairing token: resolves to true and deletes it if it is valid and
+// unexpired. Meant to run inside a store update so two devices can't both use
+// the same token.
+const consumePairingToken = (session, token) => {
+  prunePairingTokens(session);
+
+  const tokenId = verifyToken(session.pairingTokens, token);
+  if (!tokenId) return false;
+
+  delete session.pairingTokens[tokenId];
+  return true;
+};
+
+// Short, non-reversible ID for a session, used where the code itself must
+// not appear: the admin API and the logs
+const sessionRef = (sessionCode) =>
+  crypto.createHash("sha256").update(sessionCode).digest("hex").slice(0, 16);
+
+// What devices do with outgoing text that looks sensitive (card numbers,
+// keys, tokens). Clients classify it before encrypting, so the server can
+// only pass the owner's choice on.
+const SENSITIVE_POLICIES = ["ask", "mark", "block"];
+const DEFAULT_SENSITIVE_POLICY = "ask";
+
+// Session settings as shared with clients
+const publicSettings = (session) => ({
+  locked: !!session.locked,
+  requireApproval: !!session.requireApproval,
+  hasPassphrase: !!session.passphrase,
+  sensitivePolicy: session.sensitivePolicy || DEFAULT_SENSITIVE_POLICY,
+});
+
+module.exports = {
+  ROLE_OWNER,
+  ROLE_MEMBER,
+  SENSITIVE_POLICIES,
+  hashPassphrase,
+  verifyPassphrase,
+  sanitizeDevice,
+  createMember,
+  verifyMemberToken,
+  createApiToken,
+  verifyApiToken,
+  describeApiTokens,
+  createIncomingWebhook,
+  verifyIncomingWebhook,
+  describeIncomingWebhooks,
+  createPairingToken,
+  prunePairingTokens,
+  consumePairingToken,
+  sessionRef,
+  publicSettings,
+};
@@ -0,0 +1,125 @@
+const cluster = require("cluster");
+const crypto = require("crypto");
+
+// The memory or file store shared by the workers cluster.js starts. The
+// primary process holds the real store (serveClusterStore) and workers use it
+// over IPC (createClusterStore). cluster.js sets up "advanced" IPC
+// serialization, so dates arrive as dates.
+//
+// A mutator can't be sent to the primary, so a worker's update() reads the
+// session with its revision, applies the mutator and writes the result back
+// only if no other worker changed the session in the meantime, trying again
+// if one did.
+
+const MESSAGE = "clipboard:store";
+const MAX_UPDATE_ATTEMPTS = 20;
+
+// Answer the workers' store calls. Runs in the primary.
+const serveClusterStore = (store, { logger }) => {
+  // code -> number of changes made to the session so far
+  const revisions = new Map();
+  const revisionOf = (code) => revisions.get(code) || 0;
+
+  const methods = {
+    create: (code, session) => {
+      revisions.delete(code);
+      return store.create(code, session);
+    },
+    get: (code) => store.get(code),
+    exists: (code) => store.exists(code),
+    read: async (code) => ({ session: await store.get(code), revision: revisionOf(code) }),
+    // Resolves to "conflict" if the session changed since it was read
+    replace: async (code, session, revision) => {
+      if (revision !== revisionOf(code)) return "conflict";
+      revisions.set(code, revision + 1);
+      const replaced = await store.update(code, (s) => {
+        Object.keys(s).forEach((field) => delete s[field]);
+        Object.assign(s, session);
+      });
+      return replaced ? "replaced" : "missing";
+    },
+    delete: (code) => {
+      revisions.delete(code);
+      return store.delete(code);
+    },
+    list: () => store.list(),
+    deleteInactive: async (cutoff) => {
+      const removed = await store.deleteInactive(cutoff);
+      removed.forEach((code) => revisions.delete(code));
+      return removed;
+    },
+  };
+
+  cluster.on("message", async (worker, message) => {
+    if (message?.type !== MESSAGE) return;
+    const { id, method, args } = message;
+
+    let reply;
+    try {
+      reply = { type: MESSAGE, id, result: await methods[method](...args) };
+    } catch (err) {
+      logger.error("Session store call failed", { method, err });
+      reply = { type: MESSAGE, id, error: err.message };
+    }
+    if (worker.isConnected()) worker.send(reply);
+  });
+};
+
+// The store as a worker sees it
+const createClusterStore = () => {
+  // call ID -> { resolve, reject }
+  const calls = new Map();
+
+  const call = (method, ...args) =>
+    new Promise((resolve, reject) => {
+      const id = crypto.randomUUID();
+      calls.set(id, { resolve, reject });
+      process.send({ type: MESSAGE, id, method, args });
+    });
+
+  process.on("message", (message) => {
+    if (message?.type !== MESSAGE || !calls.has(message.id)) return;
+    const { resolve, reject } = calls.get(message.id);
+    calls.delete(message.id);
+    if (message.error) {
+      reject(new Error(`Session store: ${message.error}`));
+    } else {
+      resolve(message.result);
+    }
+  });
+
+  return {
+    name: "cluster",
+
+    async init() {
+      if (!cluster.isWorker) {
+        throw new Error("The cluster session store only works in workers started by cluster.js");
+      }
+    },
+
+    create: (code, session) => call("create", code, session),
+    get: (code) => call("get", code),
+    exists: (code) => call("exists", code),
+
+    async update(code, mutate) {
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const { session, revision } = await call("read", code);
+        if (!session) return null;
+        if (mutate(session) === false) return session;
+
+        const outcome = await call("replace", code, session, revision);
+        if (outcome === "replaced") return session;
+        if (outcome === "missing") return null;
+      }
+      throw new Error("Too many concurrent changes to the session");
+    },
+
+    delete: (code) => call("delete", code),
+    list: () => call("list"),
+    deleteInactive: (cutoff) => call("deleteInactive", cutoff),
+
+    async close() {},
+  };
+};
+
+module.exports = { serveClusterStore, createClusterStore };
@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+const { createMemoryStore } = require("./memoryStore");
+const { createLogger } = require("../logger");
+
+// Fields that are serialized as ISO strings and need to be turned back into
+// Date objects when the file is read
+const DATE_FIELDS = ["createdAt", "lastActivity"];
+
+const reviveSession = (session) => {
+  DATE_FIELDS.forEach((field) => {
+    if (session[field]) session[field] = new Date(session[field]);
+  });
+  return session;
+};
+
+// File-backed session store. Sessions are kept in memory and the whole set is
+// written to a JSON file after every change, so they survive restarts.
+const createFileStore = ({ filePath, logger = createLogger() }) => {
+  let snapshot = {};
+  let writing = Promise.resolve();
+  let dirty = false;
+
+  // Serialize writes so two changes in quick succession never interleave.
+  // The file is written to a temp path first and renamed into place so a
+  // crash mid-write can't leave a truncated file behind.
+  const flush = () => {
+    if (dirty) return writing;
+    dirty = true;
+
+    writing = writing.then(async () => {
+      dirty = false;
+      const tmpPath = `${filePath}.tmp`;
+      try {
+        await fs.promises.writeFile(tmpPath, JSON.stringify(snapshot));
+        await fs.promises.rename(tmpPath, filePath);
+      } catch (err) {
+        logger.error("Failed to write session file", { filePath, err });
+      }
+    });
+
+    return writing;
+  };
+
+  const memory = createMemoryStore({
+    onChange: (sessions) => {
+      snapshot = sessions;
+      flush();
+    },
+  });
+
+  return {
+    ...memory,
+    name: "file",
+
+    async init() {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      let raw;
+      try {
+        raw = await fs.promises.readFile(filePath, "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") return;
+        throw err;
+      }
+
+      const data = raw.trim() ? JSON.parse(raw) : {};
+      Object.values(data).forEach(reviveSession);
+      memory.load(data);
+      snapshot = data;
+
+      logger.info("Loaded sessions", { count: Object.keys(data).length, filePath });
+    },
+
+    async close() {
+      await writing;
+    },
+  };
+};
+
+module.exports = { createFileStore, reviveSession };
@@ -0,0 +1,46 @@
+const cluster = require("cluster");
+const path = require("path");
+const { createMemoryStore } = require("./memoryStore");
+const { createFileStore } = require("./fileStore");
+const { createMongoStore } = require("./mongoStore");
+const { createRedisStore } = require("./redisStore");
+const { createClusterStore } = require("./clusterStore");
+
+// Every store exposes the same async interface:
+//   init(), create(code, session), get(code), exists(code),
+//   update(code, mutate), delete(code), list(), deleteInactive(cutoff), close()
+//
+// Stores shared between processes may run update's mutator more than once
+// when updates race, so a mutator should only change the session and
+// variables it assigns.
+const createStore = ({ type = "memory", filePath, mongoUri, redisUrl, logger } = {}) => {
+  // Workers started by cluster.js share the primary process's memory or
+  // file store
+  if (cluster.isWorker && (type === "memory" || type === "file")) {
+    return createClusterStore();
+  }
+
+  switch (type) {
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      return createFileStore({
+        filePath: filePath || path.join(__dirname, "..", "data", "sessions.json"),
+        logger,
+      });
+    case "mongo":
+      if (!mongoUri) {
+        throw new Error("MONGODB_URI is required for the mongo session store");
+      }
+      return createMongoStore({ uri: mongoUri, logger });
+    case "redis":
+      if (!redisUrl) {
+        throw new Error("REDIS_URL is required for the redis session store");
+      }
+      return createRedisStore({ url: redisUrl, logger });
+    default:
+      throw new Error(`Unknown session store type: ${type}`);
+  }
+};
+
+module.exports = { createStore };
@@ -0,0 +1,75 @@
+// In-memory session store. This is the original behavior: everything is lost
+// when the process restarts.
+const createMemoryStore = ({ onChange } = {}) => {
+  const sessions = {};
+
+  const changed = () => {
+    if (onChange) onChange(sessions);
+  };
+
+  return {
+    name: "memory",
+
+    async init() {},
+
+    // Replace the whole contents (used by adapters that load from disk)
+    load(data) {
+      Object.keys(sessions).forEach((code) => delete sessions[code]);
+      Object.assign(sessions, data);
+    },
+
+    async create(code, session) {
+      sessions[code] = session;
+      changed();
+      return session;
+    },
+
+    async get(code) {
+      return sessions[code] || null;
+    },
+
+    async exists(code) {
+      return !!sessions[code];
+    },
+
+    // Apply a synchronous mutation to a session. The mutator may return false
+    // to signal that nothing changed. Resolves to the session, or null if it
+    // doesn't exist.
+    async update(code, mutate) {
+      const session = sessions[code];
+      if (!session) return null;
+
+      if (mutate(session) !== false) {
+        changed();
+      }
+      return session;
+    },
+
+    async delete(code) {
+      if (!sessions[code]) return false;
+      delete sessions[code];
+      changed();
+      return true;
+    },
+
+    async list() {
+      return Object.keys(sessions).map((code) => ({ code, ...sessions[code] }));
+    },
+
+    // Remove every session whose last activity is older than the cutoff and
+    // resolve to the removed codes
+    async deleteInactive(cutoff) {
+      const removed = Object.keys(sessions).filter(
+        (code) => new Date(sessions[code].lastActivity) < cutoff
+      );
+
+      removed.forEach((code) => delete sessions[code]);
+      if (removed.length > 0) changed();
+      return removed;
+    },
+
+    async close() {},
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+const { createLogger } = require("../logger");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true },
+    text: { type: mongoose.Schema.Types.Mixed, default: "" },
+    history: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    createdAt: { type: Date, default: Date.now },
+    lastActivity: { type: Date, default: Date.now, index: true },
+    // Bumped by every update, so updates from different processes can tell
+    // when they raced
+    rev: { type: Number, default: 0 },
+  },
+  // Sessions grow new fields over time; keep whatever the server sets
+  { strict: false, minimize: false, versionKey: false }
+);
+
+const toSession = (doc) => {
+  if (!doc) return null;
+  const { _id, code, rev, ...session } = doc;
+  return session;
+};
+
+const MAX_UPDATE_ATTEMPTS = 20;
+
+// MongoDB-backed session store using mongoose. Several server instances can
+// share it: an update only replaces the session if its revision is still the
+// one it read, and tries again otherwise.
+const createMongoStore = ({ uri, collection = "sessions", logger = createLogger() }) => {
+  const connection = mongoose.createConnection();
+  const Session = connection.model("Session", sessionSchema, collection);
+
+  // Per-session queue so read-modify-write updates from concurrent socket
+  // events on this process don't overwrite each other
+  const locks = new Map();
+  const withLock = (code, fn) => {
+    const previous = locks.get(code) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    locks.set(code, next);
+    next
+      .catch(() => {})
+      .then(() => {
+        if (locks.get(code) === next) locks.delete(code);
+      });
+    return next;
+  };
+
+  return {
+    name: "mongo",
+
+    async init() {
+      await connection.openUri(uri);
+      await Session.init();
+      logger.info("Connected to MongoDB session store");
+    },
+
+    async create(code, session) {
+      await Session.create({ code, ...session });
+      return session;
+    },
+
+    async get(code) {
+      return toSession(await Session.findOne({ code }).lean());
+    },
+
+    async exists(code) {
+      return !!(await Session.exists({ code }));
+    },
+
+    async update(code, mutate) {
+      return withLock(code, async () => {
+        for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+          const doc = await Session.findOne({ code }).lean();
+          const session = toSession(doc);
+          if (!session || mutate(session) === false) return session;
+
+          // Sessions stored before revisions existed have none
+          const { matchedCount } = await Session.replaceOne(
+            { code, rev: doc.rev ?? null },
+            { code, ...session, rev: (doc.rev || 0) + 1 }
+          );
+          if (matchedCount > 0) return session;
+        }
+        throw new Error("Too many concurrent changes to the session");
+      });
+    },
+
+    async delete(code) {
+      const result = await Session.deleteOne({ code });
+      return result.deletedCount > 0;
+    },
+
+    async list() {
+      const docs = await Session.find({}).lean();
+      return docs.map((doc) => ({ code: doc.code, ...toSession(doc) }));
+    },
+
+    async deleteInactive(cutoff) {
+      const filter = { lastActivity: { $lt: cutoff } };
+      const expired = await Session.find(filter, { code: 1 }).lean();
+      // One at a time, so a session that was used in the meantime stays and
+      // only the instance that actually deleted a session reports it
+      const codes = [];
+      for (const { code } of expired) {
+        const { deletedCount } = await Session.deleteOne({ code, ...filter });
+        if (deletedCount > 0) codes.push(code);
+      }
+      return codes;
+    },
+
+    async close() {
+      await connection.close();
+    },
+  };
+};
+
+module.exports = { createMongoStore };
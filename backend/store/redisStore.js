@@ -0,0 +1,101 @@
+const { createClient, WatchError } = require("redis");
+const { createLogger } = require("../logger");
+const { reviveSession } = require("./fileStore");
+
+// Redis-backed session store. Each session is a JSON string under
+// <prefix>session:<code>, and a sorted set (<prefix>sessions) ranks the
+// codes by last activity for deleteInactive. Several server instances can
+// share it: update() watches the session's key and tries again when another
+// instance changed the session before the write went through.
+
+const MAX_UPDATE_ATTEMPTS = 20;
+
+const createRedisStore = ({ url, prefix = "clipboard:", logger = createLogger() }) => {
+  const client = createClient({ url });
+  client.on("error", (err) => logger.error("Redis session store error", { err }));
+
+  const SESSIONS = `${prefix}sessions`;
+  const keyOf = (code) => `${prefix}session:${code}`;
+  const parse = (raw) => (raw ? reviveSession(JSON.parse(raw)) : null);
+  const scoreOf = (session) => new Date(session.lastActivity).getTime() || Date.now();
+
+  // Queue the writes that store a session
+  const write = (multi, code, session) =>
+    multi
+      .set(keyOf(code), JSON.stringify(session))
+      .zAdd(SESSIONS, { score: scoreOf(session), value: code });
+
+  return {
+    name: "redis",
+
+    async init() {
+      await client.connect();
+      logger.info("Connected to Redis session store");
+    },
+
+    async create(code, session) {
+      await write(client.multi(), code, session).exec();
+      return session;
+    },
+
+    async get(code) {
+      return parse(await client.get(keyOf(code)));
+    },
+
+    async exists(code) {
+      return (await client.exists(keyOf(code))) > 0;
+    },
+
+    async update(code, mutate) {
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        try {
+          return await client.executeIsolated(async (isolated) => {
+            await isolated.watch(keyOf(code));
+            const session = parse(await isolated.get(keyOf(code)));
+            if (!session || mutate(session) === false) {
+              await isolated.unwatch();
+              return session;
+            }
+
+            await write(isolated.multi(), code, session).exec();
+            return session;
+          });
+        } catch (err) {
+          if (!(err instanceof WatchError)) throw err;
+        }
+      }
+      throw new Error("Too many concurrent changes to the session");
+    },
+
+    async delete(code) {
+      const [deleted] = await client.multi().del(keyOf(code)).zRem(SESSIONS, code).exec();
+      return deleted > 0;
+    },
+
+    async list() {
+      const codes = await client.zRange(SESSIONS, 0, -1);
+      if (codes.length === 0) return [];
+      const raws = await client.mGet(codes.map(keyOf));
+      return codes
+        .map((code, i) => raws[i] && { code, ...parse(raws[i]) })
+        .filter(Boolean);
+    },
+
+    async deleteInactive(cutoff) {
+      const codes = await client.zRangeByScore(SESSIONS, "-inf", `(${cutoff.getTime()}`);
+      if (codes.length === 0) return [];
+
+      const multi = client.multi();
+      codes.forEach((code) => multi.del(keyOf(code)).zRem(SESSIONS, code));
+      const results = await multi.exec();
+      // Another instance may have removed some of them first
+      return codes.filter((code, i) => results[i * 2] > 0);
+    },
+
+    async close() {
+      await client.quit();
+    },
+  };
+};
+
+module.exports = { createRedisStore };
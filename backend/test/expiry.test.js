@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { normalizeExpiry, isExpired, recordRead, nextExpiry } = require("../expiry");
+const { createEntry, addEntry, removeExpired } = require("../history");
+
+const clip = (data, fields) => ({
+  ...createEntry({ types: ["text/plain"], data, size: data.length }),
+  origin: { memberId: "alice" },
+  ...fields,
+});
+
+test("time expiry works with the string dates the file store returns", () => {
+  const now = Date.parse("2026-01-01T12:00:00Z");
+  const { expiresAt } = normalizeExpiry({ minutes: 5 }, now);
+  const stored = clip("soon", { expiresAt: JSON.parse(JSON.stringify(expiresAt)) });
+  assert.strictEqual(typeof stored.expiresAt, "string");
+
+  assert.strictEqual(isExpired(stored, now + 4 * 60 * 1000), false);
+  assert.strictEqual(isExpired(stored, now + 5 * 60 * 1000), true);
+  assert.strictEqual(nextExpiry({ history: [stored] }), now + 5 * 60 * 1000);
+});
+
+test("the sender's reads don't count", () => {
+  const entry = clip("once", normalizeExpiry({ reads: 1 }));
+
+  assert.strictEqual(recordRead(entry, "alice"), false);
+  assert.deepStrictEqual(entry.readBy, []);
+  assert.strictEqual(isExpired(entry), false);
+
+  const fromApi = clip("once", { ...normalizeExpiry({ reads: 1 }), origin: { apiTokenId: "t1" } });
+  assert.strictEqual(recordRead(fromApi, "api:t1"), false);
+  assert.strictEqual(isExpired(fromApi), false);
+});
+
+test("the last read removes the entry", () => {
+  const session = { historyLimit: 5 };
+  addEntry(session, clip("twice", normalizeExpiry({ reads: 2 })));
+  const [entry] = session.history;
+
+  assert.strictEqual(recordRead(entry, "bob"), true);
+  assert.deepStrictEqual(removeExpired(session), []);
+
+  assert.strictEqual(recordRead(entry, "carol"), true);
+  assert.deepStrictEqual(removeExpired(session), [entry]);
+  assert.deepStrictEqual(session.history, []);
+});
+
+test("a device reading again doesn't use up another read", () => {
+  const entry = clip("twice", normalizeExpiry({ reads: 2 }));
+
+  assert.strictEqual(recordRead(entry, "bob"), true);
+  assert.strictEqual(recordRead(entry, "bob"), false);
+  assert.deepStrictEqual(entry.readBy, ["bob"]);
+  assert.strictEqual(isExpired(entry), false);
+});
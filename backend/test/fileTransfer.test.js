@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createTransferStore, TransferError } = require("../fileTransfer");
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+const createStore = async (t, options) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "transfers-"));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const transfers = createTransferStore({ dir, ...options });
+  await transfers.init();
+  return transfers;
+};
+
+test("chunks past the session's quota are refused", async (t) => {
+  const transfers = await createStore(t, { maxFileBytes: 1e6, maxSessionBytes: 1000 });
+  const chunk = "x".repeat(400);
+
+  const first = await transfers.start("session", {
+    transferId: "transfer1",
+    meta: "meta",
+    size: 0,
+    totalChunks: 3,
+  });
+  await transfers.writeChunk(first, 0, chunk, sha256(chunk));
+  await transfers.writeChunk(first, 1, chunk, sha256(chunk));
+  await assert.rejects(transfers.writeChunk(first, 2, chunk, sha256(chunk)), TransferError);
+
+  // Writing a chunk again replaces it rather than adding to the total
+  await transfers.writeChunk(first, 1, chunk, sha256(chunk));
+  assert.strictEqual(first.bytes, 800);
+
+  // Other transfers in the session count too, those of other sessions don't
+  await assert.rejects(
+    transfers.start("session", { transferId: "transfer2", meta: "meta", size: 300, totalChunks: 1 }),
+    TransferError
+  );
+  await transfers.start("other", { transferId: "transfer2", meta: "meta", size: 300, totalChunks: 1 });
+
+  // Deleting a transfer frees its share
+  await transfers.remove("session", "transfer1");
+  await transfers.start("session", { transferId: "transfer3", meta: "meta", size: 300, totalChunks: 1 });
+});
+
+test("the quota counts transfers kept from before a restart", async (t) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "transfers-"));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const chunk = "x".repeat(600);
+
+  const before = createTransferStore({ dir, maxFileBytes: 1e6, maxSessionBytes: 1000 });
+  const transfer = await before.start("session", { transferId: "transfer1", meta: "meta", size: 0, totalChunks: 2 });
+  await before.writeChunk(transfer, 0, chunk, sha256(chunk));
+
+  const after = createTransferStore({ dir, maxFileBytes: 1e6, maxSessionBytes: 1000 });
+  await assert.rejects(
+    after.start("session", { transferId: "transfer2", meta: "meta", size: 500, totalChunks: 1 }),
+    TransferError
+  );
+});
+
+test("sessions using the same transfer ID keep separate transfers", async (t) => {
+  const transfers = await createStore(t, { maxFileBytes: 1e6, maxSessionBytes: 1000 });
+  const chunk = "x".repeat(600);
+
+  const mine = await transfers.start("session", { transferId: "transfer1", meta: "mine", size: 0, totalChunks: 1 });
+  await transfers.writeChunk(mine, 0, chunk, sha256(chunk));
+  const theirs = await transfers.start("other", { transferId: "transfer1", meta: "theirs", size: 0, totalChunks: 1 });
+
+  assert.strictEqual(theirs.meta, "theirs");
+  assert.strictEqual(await transfers.get("session", "transfer1"), mine);
+  assert.strictEqual(await transfers.get("other", "transfer1"), theirs);
+  assert.deepStrictEqual(await transfers.readChunk(mine, 0), { data: chunk, hash: sha256(chunk) });
+
+  // The first session's transfer still counts towards its quota
+  await assert.rejects(
+    transfers.start("session", { transferId: "transfer2", meta: "meta", size: 500, totalChunks: 1 }),
+    TransferError
+  );
+
+  await transfers.remove("other", "transfer1");
+  assert.strictEqual(await transfers.get("session", "transfer1"), mine);
+});
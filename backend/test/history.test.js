@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  createEntry,
+  addEntry,
+  clearHistory,
+  canSee,
+  pageHistory,
+  historySince,
+} = require("../history");
+
+const clip = (data) => createEntry({ types: ["text/plain"], data, size: data.length });
+
+test("addEntry returns the entries the history limit pushes out", () => {
+  const session = { historyLimit: 2 };
+  assert.deepStrictEqual(addEntry(session, clip("one")), []);
+  assert.deepStrictEqual(addEntry(session, clip("two")), []);
+
+  const evicted = addEntry(session, clip("three"));
+  assert.deepStrictEqual(evicted.map((entry) => entry.data), ["one"]);
+  assert.deepStrictEqual(session.history.map((entry) => entry.data), ["three", "two"]);
+});
+
+test("addEntry keeps pinned entries and returns null for a duplicate", () => {
+  const session = { historyLimit: 1 };
+  addEntry(session, clip("one"));
+  session.history[0].pinned = true;
+
+  assert.deepStrictEqual(addEntry(session, clip("two")), []);
+  assert.strictEqual(addEntry(session, clip("two")), null);
+  assert.deepStrictEqual(addEntry(session, clip("three")).map((entry) => entry.data), ["two"]);
+  assert.deepStrictEqual(session.history.map((entry) => entry.data), ["three", "one"]);
+});
+
+test("clearHistory leaves entries the viewer can't see", () => {
+  const session = { historyLimit: 10 };
+  addEntry(session, { ...clip("for everyone"), origin: { memberId: "alice" } });
+  addEntry(session, { ...clip("for bob"), origin: { memberId: "alice" }, recipients: ["bob"] });
+  addEntry(session, { ...clip("for carol"), origin: { memberId: "alice" }, recipients: ["carol"] });
+
+  const removed = clearHistory(session, { viewer: "bob" });
+  assert.deepStrictEqual(removed.map((entry) => entry.data).sort(), ["for bob", "for everyone"]);
+  assert.deepStrictEqual(session.history.map((entry) => entry.data), ["for carol"]);
+
+  // The sender sees what it sent
+  assert.strictEqual(clearHistory(session, { viewer: "alice" }).length, 1);
+  assert.deepStrictEqual(session.history, []);
+});
+
+test("entries sent to particular devices stay hidden from a caller without an ID", () => {
+  const withoutOrigin = { ...clip("for bob"), origin: null, recipients: ["bob"] };
+  const withoutMember = { ...clip("for bob"), origin: { name: "old" }, recipients: ["bob"] };
+
+  for (const entry of [withoutOrigin, withoutMember]) {
+    assert.strictEqual(canSee(entry, undefined), false);
+    assert.strictEqual(canSee(entry, null), false);
+    assert.strictEqual(canSee(entry, "carol"), false);
+    assert.strictEqual(canSee(entry, "bob"), true);
+  }
+  assert.strictEqual(canSee(clip("for everyone"), undefined), true);
+});
+
+test("read-limited entries reach listings without their data, except for the sender", () => {
+  const session = { historyLimit: 5 };
+  addEntry(session, { ...clip("once"), origin: { memberId: "alice" }, maxReads: 1 });
+  addEntry(session, clip("plain"));
+
+  const [plain, limited] = pageHistory(session, { viewer: "bob" }).history;
+  assert.strictEqual(plain.data, "plain");
+  assert.strictEqual(limited.data, undefined);
+  assert.strictEqual(limited.withheld, true);
+  assert.strictEqual(historySince(session, 0, { viewer: "bob" }).history[1].data, undefined);
+
+  assert.strictEqual(pageHistory(session, { viewer: "alice" }).history[1].data, "once");
+  assert.strictEqual(session.history[1].data, "once");
+});
@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createRateLimiter, createFailureTracker } = require("../rateLimit");
+
+test("a rate limiter refuses hits over the limit until its window ends", () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 60 * 1000 });
+  assert.strictEqual(limiter.hit("a"), null);
+  assert.strictEqual(limiter.hit("a"), null);
+  assert.strictEqual(limiter.hit("a"), 60);
+  assert.strictEqual(limiter.hit("b"), null);
+  limiter.close();
+});
+
+test("close() stops the timers that prune old records", (t) => {
+  t.mock.method(global, "setInterval");
+  t.mock.method(global, "clearInterval");
+
+  const limiter = createRateLimiter({ limit: 1, windowMs: 1000 });
+  const tracker = createFailureTracker({ threshold: 1, baseMs: 1000, maxMs: 5000, forgetMs: 1000 });
+  limiter.close();
+  tracker.close();
+
+  const started = setInterval.mock.calls.map((call) => call.result);
+  const stopped = clearInterval.mock.calls.map((call) => call.arguments[0]);
+  assert.strictEqual(started.length, 2);
+  assert.deepStrictEqual(stopped, started);
+});
@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const {
+  isPrivateAddress,
+  normalizeWebhook,
+  createWebhook,
+  createWebhookDispatcher,
+  WebhookError,
+} = require("../webhooks");
+const { createMemoryStore } = require("../store/memoryStore");
+const { createLogger } = require("../logger");
+
+test("isPrivateAddress classifies IPv4 ranges", () => {
+  for (const address of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0"]) {
+    assert.strictEqual(isPrivateAddress(address), true, address);
+  }
+  for (const address of ["8.8.8.8", "172.32.0.1", "100.128.0.1", "93.184.216.34"]) {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  }
+});
+
+test("isPrivateAddress classifies IPv6, including IPv4-mapped and -compatible forms", () => {
+  for (const address of [
+    "::",
+    "::1",
+    "fd00::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+    "::ffff:7f00:1",
+    "::ffff:a9fe:a9fe",
+    "::ffff:0a00:0001",
+    "::7f00:1",
+    "::127.0.0.1",
+  ]) {
+    assert.strictEqual(isPrivateAddress(address), true, address);
+  }
+  for (const address of ["2606:4700::1111", "::ffff:8.8.8.8", "::ffff:808:808"]) {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  }
+});
+
+test("normalizeWebhook rejects private hosts however they are written", () => {
+  for (const url of [
+    "http://localhost/",
+    "http://127.0.0.1/",
+    "http://[::1]/",
+    "http://[::ffff:127.0.0.1]/",
+    "http://[::ffff:a9fe:a9fe]/",
+    "http://[::7f00:1]/",
+  ]) {
+    assert.throws(() => normalizeWebhook({ url, events: ["clip.created"] }, { allowPrivate: false }), WebhookError, url);
+  }
+  assert.doesNotThrow(() =>
+    normalizeWebhook({ url: "http://[::ffff:127.0.0.1]/", events: ["clip.created"] }, { allowPrivate: true })
+  );
+});
+
+// A dispatcher delivering to `url`, resolving to the delivery once it's done
+const deliver = async (url, options = {}) => {
+  const store = createMemoryStore();
+  await store.create("session", { webhooks: {} });
+  const dispatcher = createWebhookDispatcher({
+    store,
+    logger: createLogger({ write: () => {} }),
+    maxAttempts: 1,
+    ...options,
+  });
+  const { webhookId, record } = createWebhook(
+    normalizeWebhook({ url, events: ["clip.created"] }, { allowPrivate: true })
+  );
+  await dispatcher.fire("session", "ping", {}, { webhooks: { [webhookId]: record } });
+  for (let i = 0; i < 100; i += 1) {
+    const session = await store.get("session");
+    if (session.webhookDeliveries?.length) return session.webhookDeliveries[0];
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error("The delivery never finished");
+};
+
+test("deliveries to private addresses fail without reaching the listener", async (t) => {
+  let reached = 0;
+  const server = http.createServer((req, res) => {
+    reached += 1;
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+
+  for (const host of ["localhost", "127.0.0.1", "[::ffff:127.0.0.1]", "[::ffff:7f00:1]"]) {
+    const delivery = await deliver(`http://${host}:${port}/`);
+    assert.strictEqual(delivery.state, "failed", host);
+    assert.strictEqual(delivery.status, null, host);
+  }
+  assert.strictEqual(reached, 0);
+});
+
+test("deliveries are signed and sent when private addresses are allowed", async (t) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  const delivery = await deliver(`http://localhost:${server.address().port}/`, { allowPrivate: true });
+  assert.strictEqual(delivery.state, "delivered");
+  assert.strictEqual(delivery.status, 200);
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].headers["x-clipboard-event"], "ping");
+  assert.match(received[0].headers["x-clipboard-signature"], /^t=\d+,v1=[0-9a-f]{64}$/);
+  assert.strictEqual(JSON.parse(received[0].body).id, delivery.id);
+});
+
+test("deliveries that get no answer time out", async (t) => {
+  const server = http.createServer(() => {});
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.closeAllConnections());
+  t.after(() => server.close());
+
+  const delivery = await deliver(`http://127.0.0.1:${server.address().port}/`, {
+    allowPrivate: true,
+    timeout: 100,
+  });
+  assert.strictEqual(delivery.state, "failed");
+  assert.strictEqual(delivery.error, "Timed out");
+});
@@ -0,0 +1,354 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { channelOf, normalizeChannel } = require("./channels");
+
+// Outgoing webhooks: HTTP callbacks the session owner registers for session
+// events. Registrations live in session.webhooks:
+//
+//   { [webhookId]: { url, events, channel, secret, createdAt } }
+//
+// Every event is POSTed as JSON, { id, event, sessionCode, createdAt, data },
+// signed with the webhook's secret:
+//
+//   X-Clipboard-Event: clip.created
+//   X-Clipboard-Delivery: <id>
+//   X-Clipboard-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// A delivery that fails with a network error, a timeout, 408, 429 or a 5xx
+// is tried again after retryDelay, doubling every time, up to maxAttempts in
+// all. Retries are kept in memory, so a restart drops the ones pending.
+// The latest deliveries and how they went are kept in
+// session.webhookDeliveries, newest first, for the owner to look at.
+//
+// Clip contents stay end-to-end encrypted: clip.created carries the
+// envelope, which only a receiver that knows the session secret can read,
+// and leaves it out for sensitive clips and clips sent to particular devices.
+
+const WEBHOOK_EVENTS = ["clip.created", "device.joined", "device.left", "session.expired"];
+const MAX_WEBHOOKS = 10;
+const MAX_DELIVERIES = 50;
+const MAX_URL_LENGTH = 2048;
+
+class WebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WebhookError";
+  }
+}
+
+const randomId = (bytes) => crypto.randomBytes(bytes).toString("base64url");
+
+// Loopback, private, link-local and similar addresses, which webhooks may
+// only reach when the server allows it (webhooks.allowPrivate). IPv4 ranges
+// also cover the IPv4-mapped IPv6 forms (::ffff:127.0.0.1, ::ffff:7f00:1),
+// and ::/96 the old IPv4-compatible ones (::7f00:1).
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, "ipv6"));
+
+const isPrivateAddress = (address) =>
+  PRIVATE_RANGES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// Check what an owner asked for: { url, events, channel }. Events default to
+// all of them; `channel` limits clip.created to one channel. Throws
+// WebhookError.
+const normalizeWebhook = ({ url, events, channel } = {}, { allowPrivate = false } = {}) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new WebhookError("Webhook URL is not a valid URL");
+  }
+  if (!["http:", "https:"].includes(parsed.protocol) || url.length > MAX_URL_LENGTH) {
+    throw new WebhookError("Webhook URL must be an http or https URL");
+  }
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (
+    !allowPrivate &&
+    (hostname === "localhost" ||
+      hostname.endsWith(".localhost") ||
+      (net.isIP(hostname) && isPrivateAddress(hostname)))
+  ) {
+    throw new WebhookError("Webhooks can't be sent to local or private addresses on this server");
+  }
+
+  const chosen = events === undefined ? WEBHOOK_EVENTS : events;
+  if (
+    !Array.isArray(chosen) ||
+    chosen.length === 0 ||
+    !chosen.every((event) => WEBHOOK_EVENTS.includes(event))
+  ) {
+    throw new WebhookError(`Webhook events must be some of ${WEBHOOK_EVENTS.join(", ")}`);
+  }
+
+  return {
+    url: parsed.href,
+    events: [...new Set(chosen)],
+    channel: channel === undefined || channel === null ? null : normalizeChannel(channel),
+  };
+};
+
+// Create a webhook from normalizeWebhook's output. The secret is stored,
+// since deliveries are signed with it, and shown to the owner once.
+const createWebhook = ({ url, events, channel }) => {
+  const webhookId = randomId(9);
+  const secret = `whsec_${randomId(24)}`;
+
+  return {
+    webhookId,
+    secret,
+    record: { url, events, channel, secret, createdAt: new Date() },
+  };
+};
+
+// Webhooks as listed to the owner, without their secrets
+const describeWebhooks = (session) =>
+  Object.entries(session.webhooks || {}).map(([webhookId, record]) => ({
+    webhookId,
+    url: record.url,
+    events: record.events,
+    channel: record.channel,
+    createdAt: record.createdAt,
+  }));
+
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+// What clip.created says about an entry
+const clipEventData = (entry) => ({
+  id: entry.id,
+  seq: entry.seq,
+  channel: channelOf(entry),
+  types: entry.types,
+  size: entry.size,
+  origin: entry.origin,
+  createdAt: entry.createdAt,
+  expiresAt: entry.expiresAt,
+  maxReads: entry.maxReads,
+  sensitive: !!entry.sensitive,
+  recipients: entry.recipients?.length,
+  ...(!entry.sensitive && !entry.recipients && !entry.maxReads && {
+    data: entry.data,
+    hash: entry.hash,
+  }),
+});
+
+const isRetryable = (status) => status === null || status === 408 || status === 429 || status >= 500;
+
+// Sends events to a session's webhooks. `onDelivery(outcome)` is told how
+// every attempt went ("delivered", "retrying" or "failed").
+const createWebhookDispatcher = ({
+  store,
+  logger,
+  allowPrivate = false,
+  timeout = 10000,
+  maxAttempts = 6,
+  retryDelay = 10000,
+  onDelivery = () => {},
+}) => {
+  const retries = new Set();
+
+  // The request connects to the addresses checked here rather than looking
+  // the host up again, which could give a different answer (DNS rebinding)
+  const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) {
+        callback(err);
+      } else if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        callback(new WebhookError("The webhook's host resolves to a private address"));
+      } else if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  };
+
+  // POST a body. Resolves to the response status. Redirects aren't followed:
+  // they could lead anywhere, including private addresses.
+  const send = (url, headers, body) =>
+    new Promise((resolve, reject) => {
+      const parsed = new URL(url);
+      const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+      // Addresses in the URL itself aren't looked up
+      if (!allowPrivate && net.isIP(hostname) && isPrivateAddress(hostname)) {
+        reject(new WebhookError("The webhook's host resolves to a private address"));
+        return;
+      }
+
+      const request = (parsed.protocol === "https:" ? https : http).request(
+        parsed,
+        {
+          method: "POST",
+          headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+          lookup: allowPrivate ? undefined : publicLookup,
+          signal: AbortSignal.timeout(timeout),
+        },
+        (response) => {
+          response.resume();
+          resolve(response.statusCode);
+        }
+      );
+      request.on("error", reject);
+      request.end(body);
+    });
+
+  // One POST. Resolves to { status, error, permanent }; status is null when
+  // there was no response, and permanent says trying again won't help.
+  const post = async (webhook, delivery, body) => {
+    try {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const status = await send(
+        webhook.url,
+        {
+          "Content-Type": "application/json",
+          "User-Agent": "clipboard-sync-webhooks",
+          "X-Clipboard-Event": delivery.event,
+          "X-Clipboard-Delivery": delivery.id,
+          "X-Clipboard-Signature": `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`,
+        },
+        body
+      );
+      return status >= 200 && status < 300
+        ? { status, error: null }
+        : { status, error: `HTTP ${status}` };
+    } catch (err) {
+      if (err instanceof WebhookError) return { status: null, error: err.message, permanent: true };
+      return { status: null, error: err.name === "AbortError" ? "Timed out" : err.message };
+    }
+  };
+
+  const record = (sessionCode, delivery) =>
+    store.update(sessionCode, (s) => {
+      s.webhookDeliveries = [
+        { ...delivery },
+        ...(s.webhookDeliveries || []).filter((other) => other.id !== delivery.id),
+      ].slice(0, MAX_DELIVERIES);
+    });
+
+  const attempt = async (sessionCode, webhookId, webhook, delivery, body) => {
+    const { status, error, permanent } = await post(webhook, delivery, body);
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date();
+    delivery.status = status;
+    delivery.error = error;
+
+    const retry = !!error && !permanent && isRetryable(status) && delivery.attempts < maxAttempts;
+    const delay = retryDelay * 2 ** (delivery.attempts - 1);
+    delivery.state = !error ? "delivered" : retry ? "retrying" : "failed";
+    delivery.nextAttemptAt = retry ? new Date(Date.now() + delay) : null;
+    onDelivery(delivery.state);
+    logger.info("Webhook delivery", {
+      sessionCode,
+      webhookId,
+      event: delivery.event,
+      attempt: delivery.attempts,
+      status,
+      state: delivery.state,
+    });
+
+    // Deliveries for a deleted session have nowhere to be logged
+    await record(sessionCode, delivery).catch((err) => {
+      logger.error("Failed to log webhook delivery", { sessionCode, err });
+    });
+    if (!retry) return;
+
+    const timer = setTimeout(async () => {
+      retries.delete(timer);
+      try {
+        // The owner may have deleted the webhook in the meantime
+        const session = await store.get(sessionCode);
+        const current = session?.webhooks?.[webhookId];
+        if (current) {
+          await attempt(sessionCode, webhookId, current, delivery, body);
+        }
+      } catch (err) {
+        logger.error("Webhook retry failed", { sessionCode, webhookId, err });
+      }
+    }, delay);
+    timer.unref();
+    retries.add(timer);
+  };
+
+  return {
+    // Send an event to every webhook of the session that wants it. `session`
+    // can be passed in when the caller has it, and must be for
+    // session.expired, when it is gone from the store. `data.channel` is
+    // matched against webhooks limited to a channel. Doesn't wait for the
+    // deliveries.
+    async fire(sessionCode, event, data, session) {
+      const current = session || (await store.get(sessionCode));
+      Object.entries(current?.webhooks || {})
+        .filter(([, webhook]) =>
+          event === "ping" ||
+          (webhook.events.includes(event) &&
+            (!webhook.channel || !data?.channel || webhook.channel === data.channel))
+        )
+        .forEach(([webhookId, webhook]) => {
+          const delivery = {
+            id: randomId(12),
+            webhookId,
+            event,
+            createdAt: new Date(),
+            attempts: 0,
+          };
+          const body = JSON.stringify({
+            id: delivery.id,
+            event,
+            sessionCode,
+            createdAt: delivery.createdAt,
+            data,
+          });
+          attempt(sessionCode, webhookId, webhook, delivery, body).catch((err) => {
+            logger.error("Webhook delivery failed", { sessionCode, webhookId, err });
+          });
+        });
+    },
+
+    // Send a ping event to one webhook, to try it out
+    async ping(sessionCode, webhookId) {
+      const session = await store.get(sessionCode);
+      if (!session?.webhooks?.[webhookId]) return false;
+      await this.fire(
+        sessionCode,
+        "ping",
+        { webhookId },
+        { webhooks: { [webhookId]: session.webhooks[webhookId] } }
+      );
+      return true;
+    },
+
+    close() {
+      retries.forEach((timer) => clearTimeout(timer));
+      retries.clear();
+    },
+  };
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  isPrivateAddress,
+  MAX_WEBHOOKS,
+  WebhookError,
+  normalizeWebhook,
+  createWebhook,
+  describeWebhooks,
+  signPayload,
+  clipEventData,
+  createWebhookDispatcher,
+};
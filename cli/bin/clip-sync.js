@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+const { loadConfig, configPath } = require("../lib/config");
+const { EXIT, CliError } = require("../lib/session");
+const { parseArgs } = require("../lib/args");
+const { createSession, pair, send, watch, history } = require("../lib/commands");
+
+const USAGE = `Usage: clip-sync <command> [options]
+
+Commands:
+  new                    Create a session and print it, a pairing code and a secret
+  pair <pairing-code>    Join the session another device shows a pairing code
+                         for, and print the session
+  send <session> [text]  Send text (or stdin) to every device in the session
+  watch <session>        Print each new text item on its own line
+  history <session>      Print the session's most recent items
+
+Options:
+  --server <url>         Server URL (CLIP_SYNC_SERVER, default http://localhost:5000)
+  --secret <secret>      Session secret for end-to-end encryption (CLIP_SYNC_SECRET)
+  --passphrase <text>    Session passphrase, if it has one (CLIP_SYNC_PASSPHRASE)
+  --name <name>          Device name shown to the other devices
+  --approval             new: ask before other devices join
+  --expire <minutes>     send: delete the item everywhere after this long
+  --reads <n>            send: delete it once n other devices have read it
+  --burn                 send: delete it once another device has read it
+  --sensitive            send: mark it sensitive; other devices mask it and it
+                         expires within minutes
+  --channel <name>       send, watch, history: use this channel instead of the
+                         default one (history: instead of all of them)
+  --current              watch: print the current item first
+  --once                 watch: exit after the first item
+  --limit <n>            history: number of items (default 10)
+  --reveal               history: show sensitive items instead of masking them
+  --json                 new, history: print JSON
+  --help                 Show this help
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 invalid session or pairing code,
+            4 connection failure, 5 join refused or removed
+
+Credentials are saved in ${configPath()}
+`;
+
+const run = async (argv) => {
+  const { args, flags } = parseArgs(argv);
+  const [command, code, ...rest] = args;
+  if (flags.help) {
+    process.stdout.write(USAGE);
+    return EXIT.OK;
+  }
+  if (!command) {
+    process.stderr.write(USAGE);
+    return EXIT.USAGE;
+  }
+
+  const config = loadConfig();
+  if (command === "new") {
+    return createSession(config, flags);
+  }
+
+  if (!["pair", "send", "watch", "history"].includes(command)) {
+    throw new CliError(`Unknown command "${command}"\n\n${USAGE}`, EXIT.USAGE);
+  }
+  if (!code) {
+    throw new CliError(
+      `Usage: clip-sync ${command} <${command === "pair" ? "pairing-code" : "session"}>`,
+      EXIT.USAGE
+    );
+  }
+  if (command === "pair") {
+    return pair(config, code, flags);
+  }
+
+  const sessionCode = code;
+  if (command === "send") {
+    return send(config, sessionCode, rest.length > 0 ? rest.join(" ") : undefined, flags);
+  }
+  if (command === "watch") {
+    return watch(config, sessionCode, flags);
+  }
+  return history(config, sessionCode, flags);
+};
+
+run(process.argv.slice(2))
+  .then((exitCode) => {
+    process.exit(exitCode);
+  })
+  .catch((err) => {
+    process.stderr.write(`clip-sync: ${err.message}\n`);
+    process.exit(err instanceof CliError ? err.exitCode : EXIT.ERROR);
+  });
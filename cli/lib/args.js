@@ -0,0 +1,36 @@
+const { EXIT, CliError } = require("./session");
+
+// Flags that take a value; any other --flag is a switch
+const VALUE_FLAGS = ["server", "secret", "passphrase", "name", "limit", "expire", "reads", "channel"];
+
+// Split argv into positional arguments and --flags
+const parseArgs = (argv) => {
+  const args = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      args.push(arg);
+      continue;
+    }
+
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (!VALUE_FLAGS.includes(name)) {
+      flags[name] = true;
+    } else if (inline !== undefined) {
+      flags[name] = inline;
+    } else if (i + 1 < argv.length) {
+      flags[name] = argv[++i];
+    } else {
+      throw new CliError(`--${name} needs a value`, EXIT.USAGE);
+    }
+  }
+
+  return { args, flags };
+};
+
+module.exports = {
+  VALUE_FLAGS,
+  parseArgs,
+};
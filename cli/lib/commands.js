@@ -0,0 +1,386 @@
+const crypto = require("crypto");
+const {
+  DecryptionError,
+  generateSecret,
+  deriveHashKey,
+  createTextItem,
+  getPlainText,
+  encodeItem,
+  decodeItem,
+} = require("./crypto");
+const { rememberSession } = require("./config");
+const {
+  EXIT,
+  CliError,
+  sessionOptions,
+  describeDevice,
+  openSession,
+} = require("./session");
+
+const ACK_TIMEOUT = 10000;
+const DEFAULT_CHANNEL = "default";
+
+const readStdin = async () => {
+  if (process.stdin.isTTY) {
+    throw new CliError("Pipe text in or pass it as an argument", EXIT.USAGE);
+  }
+
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+// Text of a stored entry, or a placeholder for anything that isn't text
+const describeEntry = async (key, entry) => {
+  if (entry.kind === "file") return { placeholder: `[file, ${entry.size} bytes]` };
+
+  try {
+    const text = getPlainText(await decodeItem(key, entry));
+    return text === null ? { placeholder: `[${entry.types.join(", ")}]` } : { text };
+  } catch (err) {
+    if (!(err instanceof DecryptionError)) throw err;
+    return { placeholder: "[cannot decrypt with this secret]" };
+  }
+};
+
+// The expiry `send` asks for: --expire <minutes>, --reads <n> or --burn
+const expiryFlags = (flags) => {
+  const number = (name) => {
+    const value = Number(flags[name]);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new CliError(`--${name} must be a whole number above 0`, EXIT.USAGE);
+    }
+    return value;
+  };
+
+  const expiry = {};
+  if (flags.expire !== undefined) expiry.minutes = number("expire");
+  if (flags.reads !== undefined) expiry.reads = number("reads");
+  if (flags.burn) expiry.reads = 1;
+  return Object.keys(expiry).length > 0 ? expiry : undefined;
+};
+
+// The channel --channel names, lower-cased as the server stores it
+const channelFlag = (flags) => flags.channel?.trim().toLowerCase() || undefined;
+
+const channelOf = (entry) => entry.channel || DEFAULT_CHANNEL;
+
+// Read-limited items sent by another device that this one hasn't read yet.
+// The app keeps them hidden until copied, and so does `history`.
+const isSealed = (entry, memberId) => !!entry.withheld && !entry.readBy?.includes(memberId);
+
+// The server leaves out the data of read-limited items from other devices.
+// It comes with item-read, which counts the read (once per device).
+const readEntry = async (socket, sessionCode, entry) => {
+  if (!entry.withheld) return entry;
+
+  let response;
+  try {
+    response = await socket.timeout(ACK_TIMEOUT).emitWithAck("item-read", { sessionCode, id: entry.id });
+  } catch {
+    throw new CliError("The server didn't answer", EXIT.CONNECTION);
+  }
+  if (response.error) {
+    throw new CliError(response.error);
+  }
+  return response.entry;
+};
+
+// POST JSON to the server. Resolves to the fetch response, whatever its
+// status.
+const postJson = async (server, path, body) => {
+  try {
+    return await fetch(`${server}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  } catch (err) {
+    throw new CliError(`Can't connect to ${server}: ${err.cause?.message || err.message}`, EXIT.CONNECTION);
+  }
+};
+
+// clip-sync new: create a session owned by this machine
+const createSession = async (config, flags) => {
+  const { server } = sessionOptions(config, null, flags);
+
+  const response = await postJson(server, "/new-session", {
+    passphrase: flags.passphrase,
+    requireApproval: !!flags.approval,
+  });
+  if (!response.ok) {
+    throw new CliError(`The server couldn't create a session (HTTP ${response.status})`);
+  }
+
+  const { sessionCode, ownerToken, pairingCode } = await response.json();
+  const secret = flags.secret || generateSecret();
+  rememberSession(config, sessionCode, { server, memberToken: ownerToken, secret });
+
+  if (flags.json) {
+    process.stdout.write(`${JSON.stringify({ sessionCode, pairingCode, secret })}\n`);
+  } else {
+    process.stdout.write(
+      `Session:      ${sessionCode}\n` +
+        `Pairing code: ${pairingCode} (works once, for 2 minutes)\n` +
+        `Secret:       ${secret}\n`
+    );
+  }
+  return EXIT.OK;
+};
+
+// clip-sync pair PAIRING-CODE: join the session another device shows a
+// pairing code for. Prints the session to use with the other commands.
+const pair = async (config, pairingCode, flags) => {
+  const { server, passphrase } = sessionOptions(config, null, flags);
+
+  const response = await postJson(server, "/pair", {
+    pairingCode,
+    passphrase,
+    device: describeDevice(config, flags),
+  });
+  if (!response.ok) {
+    const { error } = await response.json().catch(() => ({}));
+    throw new CliError(
+      error || `The server couldn't pair this device (HTTP ${response.status})`,
+      { 403: EXIT.REFUSED, 404: EXIT.INVALID_SESSION }[response.status] ?? EXIT.ERROR
+    );
+  }
+
+  const { sessionCode, memberToken } = await response.json();
+  rememberSession(config, sessionCode, {
+    server,
+    memberToken,
+    ...(flags.secret && { secret: flags.secret }),
+  });
+
+  process.stdout.write(`${sessionCode}\n`);
+  if (!flags.secret) {
+    process.stderr.write("Pass --secret with the next command to read and send items\n");
+  }
+  return EXIT.OK;
+};
+
+// clip-sync send CODE [text]: send the argument, or stdin, as one item. A
+// single trailing newline is dropped so `echo foo | clip-sync send` sends "foo".
+const send = async (config, sessionCode, text, flags) => {
+  const input = (text ?? (await readStdin())).replace(/\r?\n$/, "");
+  if (!input) {
+    throw new CliError("Nothing to send", EXIT.USAGE);
+  }
+  const expiry = expiryFlags(flags);
+
+  const { socket, key } = await openSession(config, sessionCode, flags);
+  try {
+    const hashKey = await deriveHashKey(sessionOptions(config, sessionCode, flags).secret, sessionCode);
+    let response;
+    try {
+      response = await socket.timeout(ACK_TIMEOUT).emitWithAck("copy-text", {
+        sessionCode,
+        clipId: crypto.randomUUID(),
+        item: await encodeItem(key, createTextItem(input), hashKey),
+        expiry,
+        sensitive: !!flags.sensitive,
+        channel: channelFlag(flags),
+      });
+    } catch {
+      throw new CliError("The server didn't acknowledge the item", EXIT.CONNECTION);
+    }
+    if (response.error) {
+      throw new CliError(response.error);
+    }
+
+    const where = flags.channel ? `${sessionCode} #${channelFlag(flags)}` : sessionCode;
+    process.stderr.write(
+      response.duplicate
+        ? `Already the current item in ${where}\n`
+        : `Sent to ${where} (#${response.seq})\n`
+    );
+    return EXIT.OK;
+  } finally {
+    socket.close();
+  }
+};
+
+// clip-sync watch CODE: print every new text item, one per line, until
+// interrupted. Rejoins after a dropped connection and prints anything missed
+// in the meantime. Printing an item counts as reading it, for items that
+// expire after a number of reads. Only items in one channel are printed: the
+// default one, or the one --channel names.
+const watch = async (config, sessionCode, flags) => {
+  const channel = channelFlag(flags) || DEFAULT_CHANNEL;
+  let lastSeq = 0;
+  let output = Promise.resolve();
+  let finish;
+  const finished = new Promise((resolve) => {
+    finish = resolve;
+  });
+
+  let key;
+  let connection;
+  const print = (entry) => {
+    output = output.then(async () => {
+      if (entry.kind === "file" || entry.seq <= lastSeq) return;
+      lastSeq = Math.max(lastSeq, entry.seq || 0);
+      if (channelOf(entry) !== channel) return;
+
+      let readable;
+      try {
+        readable = await readEntry(connection, sessionCode, entry);
+      } catch (err) {
+        process.stderr.write(`Skipping #${entry.seq}: ${err.message}\n`);
+        return;
+      }
+      const { text, placeholder } = await describeEntry(key, readable);
+      if (text === undefined) {
+        process.stderr.write(`Skipping ${placeholder}\n`);
+        return;
+      }
+      process.stdout.write(`${text}\n`);
+      if (flags.once) finish(EXIT.OK);
+    });
+  };
+
+  // Without --current, only items sent from now on are printed
+  const { socket, joined, rejoin } = await openSession(config, sessionCode, flags, {
+    reconnect: true,
+    lastSeq: flags.current ? undefined : Number.MAX_SAFE_INTEGER,
+    beforeJoin: (sessionSocket, sessionKey) => {
+      key = sessionKey;
+      connection = sessionSocket;
+      connection.on("paste-text", print);
+    },
+  });
+  if (!flags.current) {
+    lastSeq = joined.lastSeq;
+  }
+  process.stderr.write(
+    `Watching ${sessionCode}${channel === DEFAULT_CHANNEL ? "" : ` #${channel}`}, press Ctrl+C to stop\n`
+  );
+
+  // Every connection after the first is a reconnect
+  socket.on("connect", async () => {
+    try {
+      await rejoin(lastSeq);
+      const missed = await socket.emitWithAck("get-history", { sessionCode, since: lastSeq });
+      if (missed.error) throw new CliError(missed.error);
+      [...missed.history].reverse().forEach(print);
+    } catch (err) {
+      process.stderr.write(`${err.message}\n`);
+      finish(err.exitCode ?? EXIT.ERROR);
+    }
+  });
+  // Socket.IO doesn't reconnect by itself when the server disconnected us,
+  // so after it said it is shutting down we do
+  let shutdownReason = null;
+  let reconnectTimer = null;
+  socket.on("server-shutdown", ({ reason }) => {
+    shutdownReason = reason;
+    process.stderr.write(`${reason}, reconnecting...\n`);
+  });
+  socket.on("disconnect", (reason) => {
+    if (reason !== "io server disconnect" || !shutdownReason) return;
+    shutdownReason = null;
+    reconnectTimer = setTimeout(() => socket.connect(), 1000 + Math.random() * 2000);
+  });
+  socket.io.on("reconnect_failed", () => {
+    process.stderr.write("Lost the connection to the server\n");
+    finish(EXIT.CONNECTION);
+  });
+  socket.on("removed-from-session", ({ reason }) => {
+    process.stderr.write(`${reason}\n`);
+    finish(EXIT.REFUSED);
+  });
+  process.once("SIGINT", () => finish(EXIT.OK));
+  // The reader went away, e.g. `clip-sync watch $SESSION | head -1`
+  process.stdout.on("error", () => finish(EXIT.OK));
+
+  const exitCode = await finished;
+  await output;
+  clearTimeout(reconnectTimer);
+  socket.close();
+  return exitCode;
+};
+
+// What `history` prints in place of an entry it doesn't show
+const hiddenPlaceholder = (entry, memberId, flags) => {
+  if (isSealed(entry, memberId)) return "[hidden until read on this device]";
+  if (entry.sensitive && !flags.reveal) return "[sensitive, pass --reveal to show]";
+  return null;
+};
+
+// clip-sync history CODE: print the most recent entries, newest first.
+// Sensitive entries are masked unless --reveal is given. --channel lists
+// one channel only.
+const history = async (config, sessionCode, flags) => {
+  const limit = Number.parseInt(flags.limit, 10) || 10;
+  const { socket, key, joined } = await openSession(config, sessionCode, flags);
+
+  try {
+    const response = await socket.emitWithAck("get-history", {
+      sessionCode,
+      limit,
+      channel: channelFlag(flags),
+    });
+    if (response.error) {
+      throw new CliError(response.error);
+    }
+
+    const entries = await Promise.all(
+      response.history.map(async (entry) => {
+        const placeholder = hiddenPlaceholder(entry, joined.memberId, flags);
+        if (placeholder) return { entry, placeholder };
+        // Read here before, so reading it again doesn't count
+        return { entry, ...(await describeEntry(key, await readEntry(socket, sessionCode, entry))) };
+      })
+    );
+
+    if (flags.json) {
+      const rows = entries.map(({ entry, text, placeholder }) => ({
+        id: entry.id,
+        seq: entry.seq,
+        createdAt: entry.createdAt,
+        from: entry.origin?.name ?? null,
+        channel: channelOf(entry),
+        types: entry.types,
+        pinned: entry.pinned,
+        sensitive: !!entry.sensitive,
+        expiresAt: entry.expiresAt ?? null,
+        maxReads: entry.maxReads ?? null,
+        text: text ?? null,
+        placeholder,
+      }));
+      process.stdout.write(`${JSON.stringify(rows, null, 2)}\n`);
+      return EXIT.OK;
+    }
+
+    entries.forEach(({ entry, text, placeholder }) => {
+      const header = [
+        `#${entry.seq ?? "-"}`,
+        new Date(entry.createdAt).toLocaleString(),
+        entry.origin?.name && `from ${entry.origin.name}`,
+        entry.channel && `#${entry.channel}`,
+        entry.pinned && "(pinned)",
+        entry.sensitive && "(sensitive)",
+        entry.expiresAt && `(expires ${new Date(entry.expiresAt).toLocaleString()})`,
+        entry.maxReads === 1 && "(burns after reading)",
+        entry.maxReads > 1 && `(read by ${entry.readBy?.length || 0} of ${entry.maxReads})`,
+      ].filter(Boolean);
+
+      process.stdout.write(`${header.join("  ")}\n`);
+      process.stdout.write(`${(text ?? placeholder).replace(/^/gm, "  ")}\n\n`);
+    });
+    return EXIT.OK;
+  } finally {
+    socket.close();
+  }
+};
+
+module.exports = {
+  createSession,
+  pair,
+  send,
+  watch,
+  history,
+};
@@ -0,0 +1,51 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Local state kept between runs, like the web app keeps it in localStorage:
+// a stable device ID, plus the member token (and secret, if given) for every
+// session this machine has joined so later runs skip approval.
+//
+//   { deviceId, sessions: { <session>: { server, memberToken, secret } } }
+//
+// The file holds credentials, so it is only readable by the current user.
+
+const configPath = () =>
+  process.env.CLIP_SYNC_CONFIG ||
+  path.join(os.homedir(), ".config", "clip-sync", "config.json");
+
+const loadConfig = () => {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(configPath(), "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      process.stderr.write(`Ignoring unreadable config ${configPath()}: ${err.message}\n`);
+    }
+  }
+
+  return {
+    deviceId: config.deviceId || crypto.randomBytes(12).toString("base64url"),
+    sessions: config.sessions || {},
+  };
+};
+
+const saveConfig = (config) => {
+  const file = configPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, JSON.stringify(config, null, 2), { mode: 0o600 });
+};
+
+// Merge new details for a session into the config and save it
+const rememberSession = (config, sessionCode, details) => {
+  config.sessions[sessionCode] = { ...config.sessions[sessionCode], ...details };
+  saveConfig(config);
+};
+
+module.exports = {
+  configPath,
+  loadConfig,
+  saveConfig,
+  rememberSession,
+};
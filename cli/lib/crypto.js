@@ -0,0 +1,145 @@
+const { webcrypto } = require("crypto");
+
+// Same end-to-end encryption as the web app (frontend/src/utils/crypto.js and
+// clipboardItem.js), so items sent from the terminal decrypt in the browser
+// and the other way round:
+//   key      PBKDF2(secret, "clipboard-sync:<session code>") -> AES-GCM 256
+//   envelope "e2e1:<base64 iv>:<base64 ciphertext>"
+//   item     JSON { representations: [{ type, encoding, data }] }
+//   hash     "h1:" + hex HMAC-SHA256 of "text:<plain text>", keyed with
+//            PBKDF2(secret, "clipboard-sync:hash:<session code>")
+
+const PREFIX = "e2e1";
+const PBKDF2_ITERATIONS = 200000;
+
+const { subtle } = webcrypto;
+
+class DecryptionError extends Error {
+  constructor(message = "Cannot decrypt clipboard item") {
+    super(message);
+    this.name = "DecryptionError";
+  }
+}
+
+// Random secret to share alongside a newly created session code
+const generateSecret = () =>
+  Buffer.from(webcrypto.getRandomValues(new Uint8Array(12)))
+    .toString("base64")
+    .replace(/[+/=]/g, "")
+    .slice(0, 16);
+
+const deriveFromSecret = async (secret, salt, algorithm, usages) => {
+  const baseKey = await subtle.importKey(
+    "raw",
+    Buffer.from(secret),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+
+  return subtle.deriveKey(
+    {
+      name: "PBKDF2",
+      salt: Buffer.from(salt),
+      iterations: PBKDF2_ITERATIONS,
+      hash: "SHA-256",
+    },
+    baseKey,
+    algorithm,
+    false,
+    usages
+  );
+};
+
+const deriveKey = (secret, sessionCode) =>
+  deriveFromSecret(
+    secret,
+    `clipboard-sync:${sessionCode}`,
+    { name: "AES-GCM", length: 256 },
+    ["encrypt", "decrypt"]
+  );
+
+const deriveHashKey = (secret, sessionCode) =>
+  deriveFromSecret(
+    secret,
+    `clipboard-sync:hash:${sessionCode}`,
+    { name: "HMAC", hash: "SHA-256" },
+    ["sign"]
+  );
+
+const isEncrypted = (payload) =>
+  typeof payload === "string" && payload.startsWith(`${PREFIX}:`);
+
+const encryptText = async (key, text) => {
+  const iv = webcrypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await subtle.encrypt({ name: "AES-GCM", iv }, key, Buffer.from(text));
+
+  return `${PREFIX}:${Buffer.from(iv).toString("base64")}:${Buffer.from(
+    ciphertext
+  ).toString("base64")}`;
+};
+
+const decryptText = async (key, payload) => {
+  const [, iv, ciphertext] = payload.split(":");
+  try {
+    const plaintext = await subtle.decrypt(
+      { name: "AES-GCM", iv: Buffer.from(iv, "base64") },
+      key,
+      Buffer.from(ciphertext, "base64")
+    );
+    return Buffer.from(plaintext).toString("utf8");
+  } catch {
+    throw new DecryptionError();
+  }
+};
+
+const createTextItem = (text) => ({
+  representations: [{ type: "text/plain", encoding: "utf8", data: text }],
+});
+
+const getPlainText = (item) =>
+  item.representations.find((r) => r.type === "text/plain")?.data ?? null;
+
+// Content hash of a text item, the same one the web app computes, so the
+// server can tell the same text sent twice apart from a new one
+const itemHash = async (hashKey, item) => {
+  const text = getPlainText(item).replace(/\r\n?/g, "\n");
+  const digest = await subtle.sign("HMAC", hashKey, Buffer.from(`text:${text}`));
+  return `h1:${Buffer.from(digest).toString("hex")}`;
+};
+
+// Encrypt an item into what copy-text carries
+const encodeItem = async (key, item, hashKey) => ({
+  types: item.representations.map((r) => r.type),
+  data: await encryptText(key, JSON.stringify(item)),
+  ...(hashKey && { hash: await itemHash(hashKey, item) }),
+});
+
+// Decrypt a stored entry back into an item. Plain text pushed through the
+// HTTP API isn't encrypted and is returned as a text item. Throws
+// DecryptionError when the secret doesn't match.
+const decodeItem = async (key, entry) => {
+  if (!isEncrypted(entry.data)) {
+    return createTextItem(entry.data);
+  }
+
+  const plaintext = await decryptText(key, entry.data);
+  try {
+    const item = JSON.parse(plaintext);
+    if (Array.isArray(item?.representations)) return item;
+  } catch {
+    // Not JSON, fall through
+  }
+  return createTextItem(plaintext);
+};
+
+module.exports = {
+  DecryptionError,
+  generateSecret,
+  deriveKey,
+  deriveHashKey,
+  createTextItem,
+  getPlainText,
+  encodeItem,
+  decodeItem,
+};
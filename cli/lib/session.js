@@ -0,0 +1,181 @@
+const os = require("os");
+const { io } = require("socket.io-client");
+const { deriveKey } = require("./crypto");
+const { rememberSession } = require("./config");
+
+const DEFAULT_SERVER = "http://localhost:5000";
+
+// Exit codes, documented in the README
+const EXIT = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  INVALID_SESSION: 3,
+  CONNECTION: 4,
+  REFUSED: 5,
+};
+
+class CliError extends Error {
+  constructor(message, exitCode = EXIT.ERROR) {
+    super(message);
+    this.name = "CliError";
+    this.exitCode = exitCode;
+  }
+}
+
+// Where to connect and how to authenticate for a session: command-line flags
+// first, then environment variables, then what an earlier run saved
+const sessionOptions = (config, sessionCode, flags) => {
+  const saved = config.sessions[sessionCode] || {};
+
+  return {
+    server: flags.server || process.env.CLIP_SYNC_SERVER || saved.server || DEFAULT_SERVER,
+    secret: flags.secret || process.env.CLIP_SYNC_SECRET || saved.secret,
+    passphrase: flags.passphrase || process.env.CLIP_SYNC_PASSPHRASE,
+    memberToken: saved.memberToken,
+  };
+};
+
+const describeDevice = (config, flags) => ({
+  id: config.deviceId,
+  name: flags.name || `${os.hostname()} (CLI)`,
+  platform: "CLI",
+});
+
+// Resolves once connected. Only the first connection attempt decides whether
+// the server is reachable; after that Socket.IO reconnects by itself when
+// `reconnect` is set.
+const connect = (server, { reconnect = false } = {}) =>
+  new Promise((resolve, reject) => {
+    const socket = io(server, {
+      transports: ["websocket"],
+      reconnection: reconnect,
+      reconnectionAttempts: 10,
+      reconnectionDelay: 1000,
+      timeout: 10000,
+    });
+
+    const handleError = (err) => {
+      socket.close();
+      reject(new CliError(`Can't connect to ${server}: ${err.message}`, EXIT.CONNECTION));
+    };
+
+    socket.once("connect_error", handleError);
+    socket.once("connect", () => {
+      socket.off("connect_error", handleError);
+      resolve(socket);
+    });
+  });
+
+// Join a session like App.jsx does. Waits through an approval prompt and
+// resolves to the session-joined payload.
+const joinSession = (socket, { sessionCode, passphrase, memberToken, device, lastSeq }) =>
+  new Promise((resolve, reject) => {
+    const cleanup = () => {
+      socket.off("session-joined", handleJoined);
+      socket.off("join-pending", handlePending);
+      socket.off("join-rejected", handleRejected);
+      socket.off("rate-limited", handleRateLimited);
+      socket.off("error", handleError);
+      socket.off("disconnect", handleDisconnect);
+    };
+
+    const fail = (err) => {
+      cleanup();
+      reject(err);
+    };
+
+    const handleJoined = (joined) => {
+      if (joined.sessionCode !== sessionCode) return;
+      cleanup();
+      resolve(joined);
+    };
+
+    const handlePending = () => {
+      process.stderr.write("Waiting for a device in the session to approve this one...\n");
+    };
+
+    const handleRejected = ({ reason }) => fail(new CliError(reason, EXIT.REFUSED));
+
+    const handleRateLimited = ({ message, retryAfter }) =>
+      fail(new CliError(`${message}, try again in ${retryAfter}s`));
+
+    const handleError = (message) =>
+      fail(
+        new CliError(
+          message,
+          message === "Invalid session code" ? EXIT.INVALID_SESSION : EXIT.ERROR
+        )
+      );
+
+    const handleDisconnect = () =>
+      fail(new CliError("Lost the connection to the server", EXIT.CONNECTION));
+
+    socket.on("session-joined", handleJoined);
+    socket.on("join-pending", handlePending);
+    socket.on("join-rejected", handleRejected);
+    socket.on("rate-limited", handleRateLimited);
+    socket.on("error", handleError);
+    socket.on("disconnect", handleDisconnect);
+
+    socket.emit("join-session", { sessionCode, passphrase, memberToken, device, lastSeq });
+  });
+
+// Connect, derive the encryption key and join. The member token handed out
+// on a first join is saved so later runs don't need approval again.
+// `beforeJoin(socket, key)` can attach listeners that must not miss anything
+// sent right after joining.
+const openSession = async (
+  config,
+  sessionCode,
+  flags,
+  { reconnect = false, lastSeq, beforeJoin } = {}
+) => {
+  const options = sessionOptions(config, sessionCode, flags);
+  if (!options.secret) {
+    throw new CliError(
+      "A session secret is required: pass --secret or set CLIP_SYNC_SECRET",
+      EXIT.USAGE
+    );
+  }
+
+  const key = await deriveKey(options.secret, sessionCode);
+  const socket = await connect(options.server, { reconnect });
+  beforeJoin?.(socket, key);
+
+  const join = async (since) => {
+    const joined = await joinSession(socket, {
+      sessionCode,
+      passphrase: options.passphrase,
+      memberToken: config.sessions[sessionCode]?.memberToken,
+      device: describeDevice(config, flags),
+      lastSeq: since,
+    });
+
+    rememberSession(config, sessionCode, {
+      server: options.server,
+      ...(joined.memberToken && { memberToken: joined.memberToken }),
+      ...(flags.secret && { secret: flags.secret }),
+    });
+    return joined;
+  };
+
+  try {
+    const joined = await join(lastSeq);
+    return { socket, key, joined, rejoin: join };
+  } catch (err) {
+    socket.close();
+    throw err;
+  }
+};
+
+module.exports = {
+  DEFAULT_SERVER,
+  EXIT,
+  CliError,
+  sessionOptions,
+  describeDevice,
+  connect,
+  joinSession,
+  openSession,
+};
@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseArgs } = require("../lib/args");
+const { EXIT, CliError } = require("../lib/session");
+
+test("parseArgs splits positional arguments from flags", () => {
+  assert.deepStrictEqual(parseArgs(["send", "abc", "hello", "world", "--burn"]), {
+    args: ["send", "abc", "hello", "world"],
+    flags: { burn: true },
+  });
+});
+
+test("value flags take the next argument or an inline value", () => {
+  const { args, flags } = parseArgs([
+    "history",
+    "--limit",
+    "5",
+    "abc",
+    "--server=http://host:5000/?a=b",
+    "--secret=",
+  ]);
+
+  assert.deepStrictEqual(args, ["history", "abc"]);
+  assert.deepStrictEqual(flags, { limit: "5", server: "http://host:5000/?a=b", secret: "" });
+});
+
+test("a value flag without a value is a usage error", () => {
+  assert.throws(
+    () => parseArgs(["send", "abc", "--reads"]),
+    (err) => err instanceof CliError && err.exitCode === EXIT.USAGE
+  );
+});
@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { Server } = require("socket.io");
+const { deriveKey, createTextItem, encodeItem, decodeItem, getPlainText } = require("../lib/crypto");
+const { EXIT } = require("../lib/session");
+const { send, history } = require("../lib/commands");
+
+const SESSION = "session";
+
+// A server that answers join-session and hands every other event to
+// `handlers`, keyed by event name
+const startServer = async (t, handlers) => {
+  const httpServer = http.createServer();
+  const io = new Server(httpServer);
+  io.on("connection", (socket) => {
+    socket.on("join-session", ({ sessionCode }) => {
+      socket.emit("session-joined", { sessionCode, memberId: "me", lastSeq: 0 });
+    });
+    Object.entries(handlers).forEach(([event, handler]) => socket.on(event, handler));
+  });
+
+  await new Promise((resolve) => httpServer.listen(0, "127.0.0.1", resolve));
+  t.after(() => io.close());
+  return `http://127.0.0.1:${httpServer.address().port}`;
+};
+
+// Run a command with its config in a temporary file and collect what it
+// prints
+const runCommand = async (t, command) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "clip-sync-"));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  process.env.CLIP_SYNC_CONFIG = path.join(dir, "config.json");
+
+  const output = { stdout: "", stderr: "" };
+  const stdout = t.mock.method(process.stdout, "write", (chunk) => {
+    output.stdout += chunk;
+    return true;
+  });
+  const stderr = t.mock.method(process.stderr, "write", (chunk) => {
+    output.stderr += chunk;
+    return true;
+  });
+  try {
+    output.exitCode = await command({ deviceId: "device", sessions: {} });
+  } finally {
+    stdout.mock.restore();
+    stderr.mock.restore();
+  }
+  return output;
+};
+
+test("send encrypts the text and reports the sequence number", async (t) => {
+  let sent;
+  const server = await startServer(t, {
+    "copy-text": (payload, callback) => {
+      sent = payload;
+      callback({ seq: 7 });
+    },
+  });
+
+  const output = await runCommand(t, (config) =>
+    send(config, SESSION, "hello\n", { server, secret: "secret", burn: true, channel: "Links" })
+  );
+
+  assert.strictEqual(output.exitCode, EXIT.OK);
+  assert.strictEqual(output.stderr, `Sent to ${SESSION} #links (#7)\n`);
+  assert.deepStrictEqual(sent.expiry, { reads: 1 });
+  assert.strictEqual(sent.channel, "links");
+  assert.match(sent.item.hash, /^h1:/);
+  const key = await deriveKey("secret", SESSION);
+  assert.strictEqual(getPlainText(await decodeItem(key, sent.item)), "hello");
+});
+
+test("send fails with the server's error", async (t) => {
+  const server = await startServer(t, {
+    "copy-text": (payload, callback) => callback({ error: "Session is locked" }),
+  });
+
+  await assert.rejects(
+    runCommand(t, (config) => send(config, SESSION, "hello", { server, secret: "secret" })),
+    { name: "CliError", message: "Session is locked", exitCode: EXIT.ERROR }
+  );
+});
+
+test("history decrypts entries, masks sensitive ones and reads withheld ones", async (t) => {
+  const key = await deriveKey("secret", SESSION);
+  const entry = async (text, fields) => ({
+    id: text,
+    createdAt: "2026-01-01T00:00:00Z",
+    ...(await encodeItem(key, createTextItem(text))),
+    ...fields,
+  });
+  const withheld = ({ data, ...rest }) => ({ ...rest, withheld: true });
+  const plain = await entry("plain", { seq: 4 });
+  const sensitive = await entry("secret text", { seq: 3, sensitive: true });
+  // Read-limited, one read on this device before and one not yet
+  const readBefore = await entry("read before", { seq: 2, maxReads: 2, readBy: ["me"] });
+  const unread = await entry("unread", { seq: 1, maxReads: 1, readBy: [] });
+
+  const reads = [];
+  const server = await startServer(t, {
+    "get-history": (payload, callback) => {
+      callback({ history: [plain, sensitive, withheld(readBefore), withheld(unread)] });
+    },
+    "item-read": ({ id }, callback) => {
+      reads.push(id);
+      callback({ entry: [readBefore, unread].find((e) => e.id === id) });
+    },
+  });
+
+  const output = await runCommand(t, (config) =>
+    history(config, SESSION, { server, secret: "secret", json: true })
+  );
+
+  assert.strictEqual(output.exitCode, EXIT.OK);
+  assert.deepStrictEqual(
+    JSON.parse(output.stdout).map(({ seq, text, placeholder }) => ({ seq, text, placeholder })),
+    [
+      { seq: 4, text: "plain", placeholder: undefined },
+      { seq: 3, text: null, placeholder: "[sensitive, pass --reveal to show]" },
+      { seq: 2, text: "read before", placeholder: undefined },
+      { seq: 1, text: null, placeholder: "[hidden until read on this device]" },
+    ]
+  );
+  assert.deepStrictEqual(reads, ["read before"]);
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  DecryptionError,
+  deriveKey,
+  deriveHashKey,
+  createTextItem,
+  getPlainText,
+  encodeItem,
+  decodeItem,
+} = require("../lib/crypto");
+
+test("encoded items decode with the same secret and session", async () => {
+  const key = await deriveKey("secret", "session");
+  const item = createTextItem("héllo\nwörld");
+  const wire = await encodeItem(key, item);
+
+  assert.deepStrictEqual(wire.types, ["text/plain"]);
+  assert.match(wire.data, /^e2e1:/);
+  assert.ok(!wire.data.includes("llo"));
+  assert.deepStrictEqual(await decodeItem(key, wire), item);
+});
+
+test("decoding with another secret throws DecryptionError", async () => {
+  const wire = await encodeItem(await deriveKey("secret", "session"), createTextItem("hi"));
+
+  await assert.rejects(decodeItem(await deriveKey("other", "session"), wire), DecryptionError);
+  await assert.rejects(decodeItem(await deriveKey("secret", "other"), wire), DecryptionError);
+});
+
+test("plain text from the HTTP API decodes as a text item", async () => {
+  const key = await deriveKey("secret", "session");
+  assert.strictEqual(getPlainText(await decodeItem(key, { data: "from curl" })), "from curl");
+});
+
+test("the same text hashes the same whatever its line endings", async () => {
+  const key = await deriveKey("secret", "session");
+  const hashKey = await deriveHashKey("secret", "session");
+  const first = await encodeItem(key, createTextItem("a\r\nb"), hashKey);
+  const second = await encodeItem(key, createTextItem("a\nb"), hashKey);
+
+  assert.match(first.hash, /^h1:[0-9a-f]{64}$/);
+  assert.strictEqual(first.hash, second.hash);
+  assert.notStrictEqual(first.data, second.data);
+});
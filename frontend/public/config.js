@@ -0,0 +1,5 @@
+// Runtime settings for the app, loaded before it starts. Edit this file in
+// a built app (dist/config.js) to point it at a backend on another origin.
+window.CLIPBOARD_SYNC_CONFIG = {
+  // serverUrl: "https://clip.example.com",
+};
@@ -1,23 +1,121 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
+import { useMatch, useNavigate } from "react-router-dom";
 import { io } from "socket.io-client";
 import axios from "axios";
+import {
+  deriveHashKey,
+  generateSecret,
+  isCryptoSupported,
+} from "./utils/crypto";
+import { saveMemberToken } from "./utils/sessionTokens";
+import { describeDevice, getDeviceName, saveDeviceName } from "./utils/device";
+import { parseJoinFragment } from "./utils/joinLink";
+import { getOpenSessions, saveOpenSessions } from "./utils/openSessions";
+import { rateLimitMessage, rateLimitedRequest } from "./utils/rateLimit";
+import { getSessionName, saveSessionName } from "./utils/sessionNames";
+import { SERVER_URL } from "./utils/server";
+import usePairingCode from "./hooks/usePairingCode";
+import useClipboardCapture from "./hooks/useClipboardCapture";
+import JoinLink from "./components/JoinLink";
+import Session from "./components/Session";
+import SessionTabs from "./components/SessionTabs";
 
 function App() {
-  const [sessionCode, setSessionCode] = useState("");
-  const [joinedSession, setJoinedSession] = useState(false);
-  const [clipboardHistory, setClipboardHistory] = useState([]);
+  const linkMatch = useMatch("/s/:code");
+  const navigate = useNavigate();
+  // What the join link this page was opened with carried, if any
+  const [joinLink] = useState(() =>
+    linkMatch
+      ? {
+        sessionCode: linkMatch.params.code,
+        ...parseJoinFragment(window.location.hash),
+      }
+      : null
+  );
+  // Session the form joins next
+  const [sessionCode, setSessionCode] = useState(joinLink?.sessionCode || "");
+  const [sessionSecret, setSessionSecret] = useState(joinLink?.secret || "");
+  // Pairing code typed in from another device; null while showing our own
+  const [enteredCode, setEnteredCode] = useState(null);
+  const [passphrase, setPassphrase] = useState("");
+  const [requireApproval, setRequireApproval] = useState(true);
+  // Sessions that were open before the page was reloaded
+  const [restored] = useState(getOpenSessions);
+  // Sessions this device is in or joining, one tab each:
+  // { sessionCode, secret, passphrase, pairingToken, name, status }
+  const [sessions, setSessions] = useState(() =>
+    restored.map(({ sessionCode: code, secret }) => ({
+      sessionCode: code,
+      secret,
+      passphrase: "",
+      pairingToken: null,
+      name: getSessionName(code),
+      status: "joining",
+    }))
+  );
+  // Session whose tab is shown; null for the form that adds one. A reload
+  // keeps showing the same one.
+  const [activeCode, setActiveCode] = useState(() =>
+    restored.some((session) => session.sessionCode === joinLink?.sessionCode)
+      ? joinLink.sessionCode
+      : restored[0]?.sessionCode || null
+  );
+  // Items received per session while its tab wasn't shown
+  const [unread, setUnread] = useState({});
+  // Sessions clipboard monitoring sends copies to
+  const [monitored, setMonitored] = useState([]);
+  const [deviceName, setDeviceName] = useState(getDeviceName);
+  // The name the sessions know this device by
+  const [savedDeviceName, setSavedDeviceName] = useState(getDeviceName);
   const [socket, setSocket] = useState(null);
   const [error, setError] = useState("");
-  const [connectedDevices, setConnectedDevices] = useState(0);
   const [lastActivity, setLastActivity] = useState("");
-  const [isMonitoring, setIsMonitoring] = useState(false);
-  const [autoReceive, setAutoReceive] = useState(true);
-  const [manualText, setManualText] = useState("");
   const [isClipboardSupported, setIsClipboardSupported] = useState(true);
-  const monitoringInterval = useRef(null);
+  // One-time pairing token from a join link; only tried once
+  const pairingToken = useRef(joinLink?.pairingToken || null);
+  const autoJoined = useRef(false);
+  const joinSessionRef = useRef(null);
+  const activeRef = useRef(activeCode);
+  const sessionsRef = useRef(sessions);
+  // Session -> what it does with a copy monitoring picked up
+  const captureTargets = useRef(new Map());
+  // Items written to the clipboard are recognised by a hash made with a key
+  // of this page's own, as they come from sessions with different keys
+  const captureKey = useRef(null);
+
+  const pairingCode = usePairingCode({ socket, sessionCode, joinedSession: false });
+  const { show: showPairingCode } = pairingCode;
+
+  // One clipboard monitor for every session: each copy goes to the sessions
+  // monitoring is turned on for
+  const { noteWritten } = useClipboardCapture({
+    active: monitored.length > 0,
+    hashKey: captureKey,
+    onCapture: (item) => {
+      monitored.forEach((code) => captureTargets.current.get(code)?.(item));
+    },
+    onError: () => {
+      setError("Please allow clipboard access to enable monitoring");
+      setMonitored([]);
+    },
+  });
+
+  useEffect(() => {
+    deriveHashKey(generateSecret(), "this-device")
+      .then((key) => {
+        captureKey.current = key;
+      })
+      .catch((err) => console.error("❌ Failed to set up clipboard monitoring:", err));
+  }, []);
+
+  useEffect(() => {
+    activeRef.current = activeCode;
+  }, [activeCode]);
 
-  // Server URL - REPLACE WITH YOUR ACTUAL SERVER IP
-  const SERVER_URL = "http://{IP}:5000";
+  useEffect(() => {
+    sessionsRef.current = sessions;
+    saveOpenSessions(sessions);
+  }, [sessions]);
 
   // Check clipboard API support on component mount
   useEffect(() => {
@@ -36,7 +134,7 @@ function App() {
           try {
             await navigator.clipboard.readText();
             setIsClipboardSupported(true);
-          } catch (err) {
+          } catch {
             // If permission denied or other error on desktop
             if (!/mobile|android|iphone|ipad|ipod/i.test(navigator.userAgent)) {
               setIsClipboardSupported(true); // Still mark as supported on desktop for retry
@@ -68,17 +166,31 @@ function App() {
       timeout: 10000,
     });
 
+    // Set when the server says it is shutting down for a restart
+    let serverShutdown = null;
+    let reconnectTimer = null;
+
     newSocket.on("connect", () => {
       console.log("✅ Connected to server with ID:", newSocket.id);
+      serverShutdown = null;
       setError("");
     });
 
-    newSocket.on("disconnect", () => {
+    newSocket.on("server-shutdown", ({ reason }) => {
+      console.log("🔄 Server shutting down:", reason);
+      serverShutdown = reason;
+    });
+
+    // Each session rejoins by itself once we're back
+    newSocket.on("disconnect", (reason) => {
       console.log("❌ Disconnected from server");
-      setJoinedSession(false);
-      setIsMonitoring(false);
-      stopClipboardMonitoring();
-      setError("Disconnected from server. Trying to reconnect...");
+      setError(`${serverShutdown || "Disconnected from server"}. Trying to reconnect...`);
+
+      // Socket.IO doesn't reconnect by itself when the server disconnected
+      // us, so after a shutdown we do. The wait spreads devices out.
+      if (reason === "io server disconnect" && serverShutdown) {
+        reconnectTimer = setTimeout(() => newSocket.connect(), 1000 + Math.random() * 2000);
+      }
     });
 
     newSocket.on("connect_error", (err) => {
@@ -86,208 +198,249 @@ function App() {
       setError(`Failed to connect to server (${err.message}). Check your network.`);
     });
 
+    // Errors and rate limits aren't tied to one session
+    newSocket.on("error", (errorMsg) => {
+      console.error("❌ Server error:", errorMsg);
+      setError(errorMsg);
+    });
+
+    // Sends that were refused stay in the outbox and go out again by
+    // themselves; this just says why nothing is happening
+    newSocket.on("rate-limited", ({ message, retryAfter }) => {
+      console.log("⏳ Rate limited:", message);
+      setError(rateLimitMessage(message, retryAfter));
+    });
+
     setSocket(newSocket);
 
     return () => {
       console.log("Cleaning up socket connection");
-      stopClipboardMonitoring();
+      clearTimeout(reconnectTimer);
       newSocket.disconnect();
     };
   }, []);
 
-  // Get a new session-code when the app loads
+  // Get a new session-code when the app loads, unless it was opened from a
+  // join link or reloaded with sessions to rejoin
   useEffect(() => {
-    if (socket && socket.connected) {
+    if (socket && socket.connected && !joinLink && restored.length === 0) {
       console.log("Requesting new session code from server");
 
-      axios.get(`${SERVER_URL}/new-session`)
+      axios.post(`${SERVER_URL}/new-session`, { requireApproval: true })
         .then((res) => {
           console.log("✅ Received session code:", res.data.sessionCode);
+          saveMemberToken(res.data.sessionCode, res.data.ownerToken);
           setSessionCode(res.data.sessionCode);
+          setSessionSecret(generateSecret());
+          showPairingCode({
+            sessionCode: res.data.sessionCode,
+            pairingCode: res.data.pairingCode,
+            expiresAt: res.data.pairingCodeExpiresAt,
+          });
         })
         .catch((err) => {
           console.error("❌ Error getting session code:", err);
-          setError("Couldn't get a session code. Server might be down.");
+          setError(rateLimitedRequest(err) || "Couldn't get a session code. Server might be down.");
         });
     }
-  }, [socket]);
-
-  // Setup socket listeners
-  useEffect(() => {
-    if (!socket) return;
-
-    const handlePaste = (receivedText) => {
-      console.log("📥 Received text from server:", receivedText?.substring(0, 30) + (receivedText?.length > 30 ? "..." : ""));
-
-      // Add to clipboard history
-      setClipboardHistory(prev => [receivedText, ...prev.slice(0, 9)]);
-
-      setLastActivity("Received text at " + new Date().toLocaleTimeString());
-
-      // Visual feedback to show text was received
-      const historyContainer = document.querySelector(".clipboard-history");
-      if (historyContainer) {
-        historyContainer.firstChild.style.backgroundColor = "#f0fff0";
-        setTimeout(() => {
-          if (historyContainer.firstChild) {
-            historyContainer.firstChild.style.backgroundColor = "";
-          }
-        }, 500);
-      }
-
-      // Copy to clipboard automatically if autoReceive is enabled
-      if (autoReceive) {
-        navigator.clipboard.writeText(receivedText)
-          .then(() => console.log("✅ Text copied to clipboard"))
-          .catch(err => console.error("❌ Failed to copy to clipboard:", err));
-      }
-    };
-
-    const handleError = (errorMsg) => {
-      console.error("❌ Server error:", errorMsg);
-      setError(errorMsg);
-    };
+  }, [socket, joinLink, restored, showPairingCode]);
+
+  const selectSession = useCallback((code) => {
+    setActiveCode(code);
+    setUnread((prev) => ({ ...prev, [code]: 0 }));
+    navigate(code ? `/s/${code}` : "/", { replace: true });
+  }, [navigate]);
+
+  // Stop showing a session: after leaving it, being turned away or removed
+  const dropSession = useCallback((code) => {
+    const rest = sessionsRef.current.filter((session) => session.sessionCode !== code);
+    setSessions((prev) => prev.filter((session) => session.sessionCode !== code));
+    setMonitored((prev) => prev.filter((other) => other !== code));
+    setUnread((prev) => {
+      const next = { ...prev };
+      delete next[code];
+      return next;
+    });
+    if (activeRef.current === code) {
+      selectSession(rest[0]?.sessionCode || null);
+    }
+  }, [selectSession]);
+
+  // A session that never let us in goes back into the form, to try again
+  // with another passphrase
+  const closeSession = useCallback((code, reason) => {
+    const closing = sessionsRef.current.find((session) => session.sessionCode === code);
+    if (closing && closing.status !== "joined") {
+      setSessionCode(closing.sessionCode);
+      setSessionSecret(closing.secret);
+    }
+    dropSession(code);
+    setError(reason);
+  }, [dropSession]);
+
+  // The other sessions stay joined
+  const leaveSession = (code) => {
+    socket?.emit("leave-session", { sessionCode: code });
+    dropSession(code);
+    setLastActivity("Left session at " + new Date().toLocaleTimeString());
+  };
 
-    const handleSessionUpdate = (update) => {
-      console.log("📊 Session update:", update);
-      setConnectedDevices(update.connections);
-    };
+  const setSessionStatus = useCallback((code, status) => {
+    setSessions((prev) =>
+      prev.map((session) => (session.sessionCode === code ? { ...session, status } : session))
+    );
+  }, []);
 
-    socket.on("paste-text", handlePaste);
-    socket.on("error", handleError);
-    socket.on("session-update", handleSessionUpdate);
+  const renameSession = useCallback((code, name) => {
+    saveSessionName(code, name);
+    setSessions((prev) =>
+      prev.map((session) => (session.sessionCode === code ? { ...session, name } : session))
+    );
+  }, []);
 
-    return () => {
-      socket.off("paste-text", handlePaste);
-      socket.off("error", handleError);
-      socket.off("session-update", handleSessionUpdate);
-    };
-  }, [socket, autoReceive]);
+  const countUnread = useCallback((code) => {
+    if (code === activeRef.current) return;
+    setUnread((prev) => ({ ...prev, [code]: (prev[code] || 0) + 1 }));
+  }, []);
 
-  // Start clipboard monitoring
-  const startClipboardMonitoring = () => {
-    if (!isClipboardSupported) {
-      setError("Your browser doesn't support clipboard monitoring. Use the manual input below instead.");
-      return false;
-    }
+  const registerCapture = useCallback((code, handler) => {
+    captureTargets.current.set(code, handler);
+    return () => captureTargets.current.delete(code);
+  }, []);
 
-    let lastClipboardContent = "";
-
-    // Request clipboard permission by reading once
-    navigator.clipboard.readText()
-      .then(text => {
-        console.log("✅ Clipboard permission granted");
-        lastClipboardContent = text;
-
-        // Set up polling interval to check for clipboard changes
-        monitoringInterval.current = setInterval(() => {
-          // Only check if document is focused to avoid excessive permission requests
-          if (document.hasFocus()) {
-            navigator.clipboard.readText()
-              .then(currentText => {
-                if (currentText !== lastClipboardContent && currentText.trim() !== "") {
-                  console.log("📋 Clipboard content changed");
-                  lastClipboardContent = currentText;
-
-                  // Send to server
-                  if (socket && joinedSession) {
-                    socket.emit("copy-text", { sessionCode, text: currentText });
-                    setLastActivity("Detected and sent clipboard content at " + new Date().toLocaleTimeString());
-                  }
-                }
-              })
-              .catch(err => {
-                console.error("❌ Failed to read clipboard:", err);
-                // Don't stop monitoring on occasional errors
-              });
-          }
-        }, 1000); // Check every second
+  const toggleMonitoring = useCallback((code) => {
+    setMonitored((prev) =>
+      prev.includes(code) ? prev.filter((other) => other !== code) : [...prev, code]
+    );
+    setError("");
+  }, []);
 
-        return true;
-      })
-      .catch(err => {
-        console.error("❌ Clipboard permission denied:", err);
-        setError("Please allow clipboard access to enable monitoring");
-        return false;
+  // Trade a pairing code shown on another device for its session ID and a
+  // member token. Resolves to the session ID, or null after showing why it
+  // failed.
+  const pairWithCode = async (code) => {
+    try {
+      const res = await axios.post(`${SERVER_URL}/pair`, {
+        pairingCode: code,
+        passphrase,
+        device: describeDevice(deviceName),
       });
-
-    return true;
+      console.log("✅ Paired with session:", res.data.sessionCode);
+      saveMemberToken(res.data.sessionCode, res.data.memberToken);
+      setSessionCode(res.data.sessionCode);
+      setEnteredCode(null);
+      return res.data.sessionCode;
+    } catch (err) {
+      console.error("❌ Pairing failed:", err);
+      setError(
+        rateLimitedRequest(err) ||
+        err.response?.data?.error ||
+        "Couldn't pair with the other device. Server might be down."
+      );
+      return null;
+    }
   };
 
-  // Stop clipboard monitoring
-  const stopClipboardMonitoring = () => {
-    if (monitoringInterval.current) {
-      clearInterval(monitoringInterval.current);
-      monitoringInterval.current = null;
+  // Add the session in the form as a tab, which joins it. The form is
+  // cleared for the next one.
+  const joinSession = async () => {
+    if (!socket) {
+      setError("Socket not connected");
+      return;
     }
-  };
 
-  const toggleClipboardMonitoring = () => {
-    if (isMonitoring) {
-      stopClipboardMonitoring();
-      setIsMonitoring(false);
-    } else {
-      const success = startClipboardMonitoring();
-      if (success) {
-        setIsMonitoring(true);
-        setError("");
-      }
+    if (!sessionSecret) {
+      setError("Enter the session secret shown on the other device");
+      return;
     }
-  };
 
-  const joinSession = () => {
-    if (!socket || !sessionCode) {
-      setError("Socket not connected or session code missing");
+    if (!isCryptoSupported()) {
+      setError("Encryption requires a secure context (HTTPS or localhost).");
+      return;
+    }
+
+    let code = sessionCode;
+    if (enteredCode && enteredCode !== pairingCode.code) {
+      setError("");
+      code = await pairWithCode(enteredCode);
+      if (!code) return;
+    }
+    if (!code) {
+      setError("Enter the pairing code shown on the other device");
       return;
     }
 
-    console.log("📥 Joining session:", sessionCode);
     setError("");
-    socket.emit("join-session", sessionCode);
-    setJoinedSession(true);
-    setLastActivity("Joined session at " + new Date().toLocaleTimeString());
+    if (!sessions.some((session) => session.sessionCode === code)) {
+      setSessions((prev) => [
+        ...prev,
+        {
+          sessionCode: code,
+          secret: sessionSecret,
+          passphrase,
+          pairingToken: pairingToken.current,
+          name: getSessionName(code),
+          status: "joining",
+        },
+      ]);
+    }
+    pairingToken.current = null;
+    setSessionCode("");
+    setSessionSecret("");
+    setEnteredCode(null);
+    selectSession(code);
   };
 
-  const copyToClipboard = (text) => {
-    navigator.clipboard.writeText(text)
-      .then(() => {
-        console.log("✅ Text copied to clipboard");
-        setLastActivity("Copied to clipboard at " + new Date().toLocaleTimeString());
-      })
-      .catch(err => {
-        console.error("❌ Failed to copy to clipboard:", err);
-        setError("Failed to copy to clipboard. Please try manually.");
-      });
-  };
+  // joinSession changes with the form; the join link below uses the latest
+  useEffect(() => {
+    joinSessionRef.current = joinSession;
+  });
 
-  const sendManualText = () => {
-    if (!socket || !sessionCode || !joinedSession) {
-      setError("Please join a session first");
-      return;
-    }
+  // Opened from a join link with a secret: join as soon as we're connected.
+  // Showing the session's tab takes the secret and token out of the address
+  // bar.
+  useEffect(() => {
+    if (!socket || !joinLink?.secret || autoJoined.current) return;
 
-    if (!manualText.trim()) {
-      setError("Please enter text to send");
+    const join = () => {
+      autoJoined.current = true;
+      joinSessionRef.current();
+    };
+
+    if (socket.connected) {
+      join();
       return;
     }
-
-    console.log("📤 Sending text to server:", manualText.substring(0, 30) + (manualText.length > 30 ? "..." : ""));
-    setError("");
-    socket.emit("copy-text", { sessionCode, text: manualText });
-    setLastActivity("Sent text at " + new Date().toLocaleTimeString());
+    socket.once("connect", join);
+    return () => socket.off("connect", join);
+  }, [socket, joinLink]);
+
+  // Persist the device name; every session updates its roster
+  const commitDeviceName = () => {
+    const name = deviceName.trim() || getDeviceName();
+    setDeviceName(name);
+    saveDeviceName(name);
+    setSavedDeviceName(name);
   };
 
   const generateNewSession = () => {
-    axios.get(`${SERVER_URL}/new-session`)
+    axios.post(`${SERVER_URL}/new-session`, { passphrase, requireApproval })
       .then((res) => {
         console.log("✅ Generated new session code:", res.data.sessionCode);
+        saveMemberToken(res.data.sessionCode, res.data.ownerToken);
         setSessionCode(res.data.sessionCode);
-        setJoinedSession(false);
+        setSessionSecret(generateSecret());
+        setEnteredCode(null);
+        showPairingCode({
+          sessionCode: res.data.sessionCode,
+          pairingCode: res.data.pairingCode,
+          expiresAt: res.data.pairingCodeExpiresAt,
+        });
         setError("");
       })
       .catch((err) => {
         console.error("❌ Error generating session:", err);
-        setError("Couldn't generate a new session");
+        setError(rateLimitedRequest(err) || "Couldn't generate a new session");
       });
   };
 
@@ -296,135 +449,125 @@ function App() {
       <h1 className="text-2xl font-bold mb-6">Cross-Device Clipboard Sync</h1>
 
       <div className="bg-white p-6 rounded-lg shadow-md w-full max-w-md">
-        <div className="mb-6">
-          <p className="text-sm mb-2">Your Session Code:</p>
-          <div className="flex mb-4">
-            <input
-              type="text"
-              value={sessionCode}
-              onChange={(e) => setSessionCode(e.target.value.toUpperCase())}
-              className="p-2 border rounded w-full text-center text-lg font-mono"
-              placeholder="Enter Session Code"
-            />
-            <button
-              onClick={generateNewSession}
-              className="ml-2 p-2 bg-gray-200 rounded hover:bg-gray-300"
-              title="Generate New Code"
-            >
-              ↻
-            </button>
-          </div>
-
-          <button
-            onClick={joinSession}
-            disabled={joinedSession}
-            className={`w-full p-2 rounded ${joinedSession
-              ? "bg-green-200 text-green-800"
-              : "bg-blue-500 text-white hover:bg-blue-600"
-              }`}
-          >
-            {joinedSession ? "Connected to Session" : "Join Session"}
-          </button>
-
-          {connectedDevices > 0 && (
-            <p className="mt-2 text-sm text-green-600">
-              {connectedDevices} device{connectedDevices !== 1 ? 's' : ''} connected
-            </p>
-          )}
-        </div>
+        {sessions.length > 0 && (
+          <SessionTabs
+            sessions={sessions}
+            activeCode={activeCode}
+            unread={unread}
+            onSelect={selectSession}
+            onAdd={() => selectSession(null)}
+          />
+        )}
 
-        {joinedSession && isClipboardSupported && (
-          <div className="mb-4">
-            <div className="flex justify-between items-center mb-2">
+        <p className="text-sm mb-2">This Device&apos;s Name:</p>
+        <input
+          type="text"
+          value={deviceName}
+          onChange={(e) => setDeviceName(e.target.value)}
+          onBlur={commitDeviceName}
+          onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+          maxLength={64}
+          className="p-2 border rounded w-full mb-4"
+          placeholder="e.g. Work laptop"
+        />
+
+        {activeCode === null && (
+          <div className="mb-6">
+            <p className="text-sm mb-2">Pairing Code:</p>
+            <div className="flex mb-1">
+              <input
+                type="text"
+                value={enteredCode ?? (pairingCode.expired ? "" : pairingCode.code || "")}
+                onChange={(e) => setEnteredCode(e.target.value.toUpperCase())}
+                className="p-2 border rounded w-full text-center text-lg font-mono"
+                placeholder="Enter Pairing Code"
+              />
               <button
-                onClick={toggleClipboardMonitoring}
-                className={`px-4 py-2 rounded ${isMonitoring
-                  ? "bg-red-500 text-white hover:bg-red-600"
-                  : "bg-green-500 text-white hover:bg-green-600"
-                  }`}
+                onClick={generateNewSession}
+                className="ml-2 p-2 bg-gray-200 rounded hover:bg-gray-300"
+                title="Generate New Code"
               >
-                {isMonitoring ? "Stop Monitoring" : "Start Clipboard Monitoring"}
+                ↻
               </button>
-
-              <div className="flex items-center">
-                <input
-                  type="checkbox"
-                  id="autoReceive"
-                  checked={autoReceive}
-                  onChange={(e) => setAutoReceive(e.target.checked)}
-                  className="mr-2"
-                />
-                <label htmlFor="autoReceive" className="text-sm">Auto-copy received text</label>
-              </div>
             </div>
+            <p className="text-xs text-gray-500 mb-4">
+              {pairingCode.expired
+                ? "The code has expired. Join the session for a new one, or enter the code shown on another device."
+                : sessions.length > 0
+                  ? "Enter the code shown on another device to join one more session, or ↻ to start a new one. The sessions you're in stay joined."
+                  : "Join, then type this code on your other device – or enter the code shown on another device."}
+            </p>
 
-            {isMonitoring ? (
-              <p className="text-sm text-green-600">
-                Clipboard monitoring active! Copy text normally on this device, and it will be sent automatically.
-              </p>
-            ) : (
-              <p className="text-sm text-gray-600">
-                Start clipboard monitoring to automatically sync your clipboard to other devices.
-              </p>
-            )}
-          </div>
-        )}
-
-        {joinedSession && !isClipboardSupported && (
-          <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
-            <p className="text-sm text-yellow-700">
-              <strong>Note:</strong> Automatic clipboard monitoring is not supported on this device.
-              Use the manual input below to share text instead.
+            <p className="text-sm mb-2">Session Secret:</p>
+            <input
+              type="text"
+              value={sessionSecret}
+              onChange={(e) => setSessionSecret(e.target.value)}
+              className="p-2 border rounded w-full text-center font-mono mb-1"
+              placeholder="Enter Session Secret"
+            />
+            <p className="text-xs text-gray-500 mb-4">
+              Clipboard contents are encrypted with this secret on your device. Share it only with your own devices &ndash; it is never sent to the server.
             </p>
+
+            <JoinLink
+              sessionCode={sessionCode}
+              secret={sessionSecret}
+              joinedSession={false}
+            />
+
+            <p className="text-sm mb-2">Passphrase (optional):</p>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              className="p-2 border rounded w-full text-center mb-1"
+              placeholder="Session passphrase"
+            />
+            <label className="flex items-center text-xs text-gray-500 mb-4">
+              <input
+                type="checkbox"
+                checked={requireApproval}
+                onChange={(e) => setRequireApproval(e.target.checked)}
+                className="mr-2"
+              />
+              New sessions (↻) use this passphrase and ask before devices join
+            </label>
+
+            <button
+              onClick={joinSession}
+              className="w-full p-2 rounded bg-blue-500 text-white hover:bg-blue-600"
+            >
+              Join Session
+            </button>
           </div>
         )}
 
-        <div className="mb-4">
-          <p className="text-sm mb-2">Clipboard History:</p>
-          <div className="clipboard-history max-h-60 overflow-y-auto">
-            {clipboardHistory.length > 0 ? (
-              clipboardHistory.map((item, index) => (
-                <div
-                  key={index}
-                  className="p-2 border rounded mb-2 cursor-pointer hover:bg-gray-100"
-                  onClick={() => copyToClipboard(item)}
-                  title="Click to copy"
-                >
-                  <div className="text-xs text-gray-500 mb-1">
-                    {index === 0 ? "Most recent" : `Item ${index + 1}`}
-                  </div>
-                  <div className="text-sm font-mono overflow-hidden text-ellipsis whitespace-nowrap">
-                    {item.length > 60 ? `${item.substring(0, 60)}...` : item}
-                  </div>
-                </div>
-              ))
-            ) : (
-              <p className="text-sm text-gray-500 italic">No clipboard history yet</p>
-            )}
-          </div>
-        </div>
-
-        <div className="mb-4">
-          <p className="text-sm mb-2">Manual Input:</p>
-          <textarea
-            className="p-2 border rounded w-full h-20 font-mono"
-            placeholder="Type or paste text here to manually share across devices..."
-            value={manualText}
-            onChange={(e) => setManualText(e.target.value)}
-            onKeyDown={(e) => {
-              if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
-                sendManualText();
-              }
-            }}
-          ></textarea>
-          <button
-            onClick={sendManualText}
-            disabled={!joinedSession}
-            className="w-full mt-2 p-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-gray-300 disabled:text-gray-500"
-          >
-            Send Text Manually
-          </button>
-        </div>
+        {sessions.map((session) => (
+          <Session
+            key={session.sessionCode}
+            socket={socket}
+            sessionCode={session.sessionCode}
+            secret={session.secret}
+            passphrase={session.passphrase}
+            pairingToken={session.pairingToken}
+            name={session.name}
+            deviceName={savedDeviceName}
+            active={session.sessionCode === activeCode}
+            monitoring={monitored.includes(session.sessionCode)}
+            isClipboardSupported={isClipboardSupported}
+            noteWritten={noteWritten}
+            registerCapture={registerCapture}
+            onToggleMonitoring={toggleMonitoring}
+            onStatus={setSessionStatus}
+            onReceived={countUnread}
+            onRename={renameSession}
+            onLeave={leaveSession}
+            onClose={closeSession}
+            onError={setError}
+            onActivity={setLastActivity}
+          />
+        ))}
 
         {lastActivity && (
           <p className="mt-2 text-xs text-gray-500">{lastActivity}</p>
@@ -438,12 +581,14 @@ function App() {
       <div className="mt-6 text-sm text-gray-600 max-w-md">
         <p className="font-bold">How to use:</p>
         <ol className="list-decimal pl-5 mt-2 space-y-1">
-          <li>Enter the same session code on all devices</li>
-          <li>Click "Join Session" on each device</li>
+          <li>On your first device, click "Join Session" to create a session (↻ starts a fresh one)</li>
+          <li>On each other device, type the 8-character pairing code the session shows, enter the same session secret and click "Join Session" &ndash; or scan the join link's QR code, which carries both</li>
+          <li>Pairing codes work once and change every two minutes; a joined device can show the next one</li>
           <li>If supported on your device, click "Start Clipboard Monitoring" to enable automatic syncing</li>
           <li>Copy text normally on any device - it will automatically sync where supported</li>
           <li>On mobile or other devices without clipboard access, use the manual input box</li>
           <li>Enable "Auto-copy received text" to automatically update your clipboard</li>
+          <li>Use + to join more sessions, e.g. one for work and one for home. Each tab has its own history, monitoring and auto-copy, and counts what arrived while you were elsewhere</li>
         </ol>
 
         <p className="mt-4 font-bold">Troubleshooting:</p>
@@ -462,4 +607,4 @@ function App() {
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,171 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import useAdmin from "../hooks/useAdmin";
+
+const formatUptime = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours} h ${minutes} min` : `${minutes} min`;
+};
+
+const Stat = ({ label, value }) => (
+  <div className="p-2 bg-gray-50 rounded-md">
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className="text-lg font-mono">{value}</p>
+  </div>
+);
+
+// Admin page at /admin: server-wide stats and every session, with their
+// devices. Needs the server's ADMIN_TOKEN.
+function AdminPage() {
+  const admin = useAdmin();
+  const [tokenInput, setTokenInput] = useState("");
+
+  const signIn = () => {
+    if (!tokenInput.trim()) return;
+    admin.signIn(tokenInput.trim());
+    setTokenInput("");
+  };
+
+  const expire = (session) => {
+    if (window.confirm(`Expire session ${session.code}? Its devices are disconnected and its history is deleted.`)) {
+      admin.expireSession(session.ref);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center min-h-screen bg-gray-100 p-4">
+      <h1 className="text-2xl font-bold mb-6">Clipboard Sync Admin</h1>
+
+      <div className="bg-white p-6 rounded-lg shadow-md w-full max-w-3xl">
+        {admin.error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+            {admin.error}
+          </div>
+        )}
+
+        {!admin.signedIn ? (
+          <div>
+            <p className="text-sm mb-2">Admin token:</p>
+            <div className="flex">
+              <input
+                type="password"
+                value={tokenInput}
+                onChange={(e) => setTokenInput(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && signIn()}
+                className="p-2 border rounded w-full mr-2"
+                placeholder="ADMIN_TOKEN from the server"
+              />
+              <button
+                onClick={signIn}
+                className="px-4 bg-blue-500 text-white rounded hover:bg-blue-600 shrink-0"
+              >
+                Sign in
+              </button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold">Server</h2>
+              <span className="flex gap-3 text-sm">
+                <button onClick={admin.refresh} className="text-blue-600 hover:underline">
+                  Refresh
+                </button>
+                <button onClick={admin.signOut} className="text-gray-500 hover:underline">
+                  Sign out
+                </button>
+              </span>
+            </div>
+
+            {admin.stats && (
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-6">
+                <Stat label="Sessions" value={admin.stats.sessions} />
+                <Stat label="Connections" value={admin.stats.sockets} />
+                <Stat label="Devices" value={admin.stats.members} />
+                <Stat label="History entries" value={admin.stats.historyEntries} />
+                <Stat label="Waiting to join" value={admin.stats.pendingJoins} />
+                <Stat label="Uptime" value={formatUptime(admin.stats.uptime)} />
+                <Stat label="Memory" value={`${Math.round(admin.stats.memory / 1e6)} MB`} />
+                <Stat label="Store" value={admin.stats.store} />
+              </div>
+            )}
+
+            <h2 className="text-lg font-semibold mb-2">Sessions ({admin.sessions.length})</h2>
+            <ul className="divide-y text-sm">
+              {admin.sessions.map((session) => {
+                const devices = admin.devices[session.ref];
+                return (
+                  <li key={session.ref} className="py-2">
+                    <div className="flex justify-between items-center">
+                      <span className="truncate mr-2">
+                        <span className="font-mono">{session.code}</span>
+                        <span className="text-xs text-gray-500">
+                          {" "}· {session.connections} online of {session.members} devices
+                          {" "}· {session.historyEntries} items
+                          {session.locked && " · locked"}
+                          {" "}· active {new Date(session.lastActivity).toLocaleString()}
+                        </span>
+                      </span>
+                      <span className="flex gap-3 shrink-0">
+                        <button
+                          onClick={() => (devices ? admin.hideDevices(session.ref) : admin.loadDevices(session.ref))}
+                          className="text-xs text-blue-600 hover:underline"
+                        >
+                          {devices ? "Hide devices" : "Devices"}
+                        </button>
+                        <button
+                          onClick={() => expire(session)}
+                          className="text-xs text-red-500 hover:underline"
+                        >
+                          Expire
+                        </button>
+                      </span>
+                    </div>
+
+                    {devices && (
+                      <ul className="mt-2 ml-4 space-y-1">
+                        {devices.map((device) => (
+                          <li key={device.memberId} className="flex justify-between items-center">
+                            <span className="truncate mr-2">
+                              <span className={device.online ? "text-green-500" : "text-gray-300"}>●</span>{" "}
+                              {device.name || "Unnamed device"}
+                              {device.platform && <span className="text-xs text-gray-500"> · {device.platform}</span>}
+                              {device.role === "owner" && <span className="text-xs text-gray-500"> (owner)</span>}
+                            </span>
+                            <span className="flex gap-3 shrink-0">
+                              {device.online && (
+                                <button
+                                  onClick={() => admin.disconnectDevice(session.ref, device.memberId)}
+                                  className="text-xs text-gray-600 hover:underline"
+                                >
+                                  Disconnect
+                                </button>
+                              )}
+                              <button
+                                onClick={() => admin.disconnectDevice(session.ref, device.memberId, { remove: true })}
+                                className="text-xs text-red-500 hover:underline"
+                              >
+                                Remove
+                              </button>
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        )}
+
+        <Link to="/" className="block mt-6 text-sm text-blue-600 hover:underline">
+          ← Back to the clipboard
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+export default AdminPage;
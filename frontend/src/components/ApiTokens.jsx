@@ -0,0 +1,77 @@
+import { useState } from "react";
+
+// Owner-only panel for the HTTP API: create tokens for scripts and CI jobs,
+// and revoke them
+function ApiTokens({ tokens, createdToken, error, onCreate, onRevoke, onDismiss }) {
+  const [name, setName] = useState("");
+
+  const create = () => {
+    onCreate(name.trim());
+    setName("");
+  };
+
+  return (
+    <details className="mb-4 text-sm">
+      <summary className="cursor-pointer mb-2">API tokens ({tokens.length})</summary>
+
+      {createdToken && (
+        <div className="mb-2 p-2 bg-green-50 border border-green-200 rounded-md">
+          <p className="text-xs text-green-800 mb-1">
+            New token for <strong>{createdToken.name}</strong>. Copy it now &ndash; it won&apos;t be shown again.
+          </p>
+          <input
+            type="text"
+            readOnly
+            value={createdToken.token}
+            onFocus={(e) => e.target.select()}
+            className="p-1 border rounded w-full font-mono text-xs mb-1"
+          />
+          <button onClick={onDismiss} className="text-xs text-gray-500 hover:underline">
+            Done
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-xs text-red-600 mb-2">{error}</p>}
+
+      <ul className="mb-2 space-y-1">
+        {tokens.map((token) => (
+          <li key={token.tokenId} className="flex justify-between items-center">
+            <span className="truncate mr-2">
+              {token.name}
+              <span className="text-xs text-gray-400">
+                {" "}· {token.lastUsed ? `used ${new Date(token.lastUsed).toLocaleString()}` : "never used"}
+              </span>
+            </span>
+            <button
+              onClick={() => onRevoke(token.tokenId)}
+              className="text-xs text-red-500 hover:underline shrink-0"
+            >
+              Revoke
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && create()}
+          maxLength={64}
+          className="p-1 border rounded w-full mr-2"
+          placeholder="Token name, e.g. CI"
+        />
+        <button
+          onClick={create}
+          className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 shrink-0"
+        >
+          Create
+        </button>
+      </div>
+    </details>
+  );
+}
+
+export default ApiTokens;
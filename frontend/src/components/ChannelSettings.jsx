@@ -0,0 +1,121 @@
+import { useState } from "react";
+import { CHANNEL_NAME, DEFAULT_CHANNEL, channelSettingsOf } from "../utils/channels";
+
+// The session's channels with what this device does with each: whether it
+// gets the channel's items at all, whether monitoring sends copies there and
+// whether received items are auto-copied. Anyone can add a channel; the
+// owner can delete them.
+function ChannelSettings({
+  channels,
+  subscribed,
+  settings,
+  isOwner,
+  error,
+  onCreate,
+  onDelete,
+  onSubscribe,
+  onUpdate,
+}) {
+  const [name, setName] = useState("");
+  const normalized = name.trim().toLowerCase();
+
+  const create = async () => {
+    if (await onCreate(normalized)) {
+      setName("");
+    }
+  };
+
+  const toggleSubscribed = (channel, checked) => {
+    onSubscribe(checked
+      ? [...subscribed, channel]
+      : subscribed.filter((other) => other !== channel));
+  };
+
+  return (
+    <details className="mb-4 text-sm">
+      <summary className="cursor-pointer mb-2">Channels ({channels.length})</summary>
+
+      {error && <p className="text-xs text-red-600 mb-2">{error}</p>}
+
+      <table className="w-full mb-2 text-xs">
+        <thead>
+          <tr className="text-gray-500">
+            <th className="text-left font-normal">Channel</th>
+            <th className="font-normal" title="Get this channel's items on this device">Get</th>
+            <th className="font-normal" title="Clipboard monitoring sends copies here">Send copies</th>
+            <th className="font-normal" title="Put received items on the clipboard">Auto-copy</th>
+            {isOwner && <th />}
+          </tr>
+        </thead>
+        <tbody>
+          {channels.map((channel) => {
+            const isSubscribed = subscribed.includes(channel);
+            const { send, receive } = channelSettingsOf(settings, channel);
+            return (
+              <tr key={channel}>
+                <td className="py-0.5 truncate">{channel}</td>
+                <td className="text-center">
+                  <input
+                    type="checkbox"
+                    checked={isSubscribed}
+                    disabled={channel === DEFAULT_CHANNEL}
+                    onChange={(e) => toggleSubscribed(channel, e.target.checked)}
+                  />
+                </td>
+                <td className="text-center">
+                  <input
+                    type="checkbox"
+                    checked={send}
+                    onChange={(e) => onUpdate(channel, { send: e.target.checked })}
+                  />
+                </td>
+                <td className="text-center">
+                  <input
+                    type="checkbox"
+                    checked={receive && isSubscribed}
+                    disabled={!isSubscribed}
+                    onChange={(e) => onUpdate(channel, { receive: e.target.checked })}
+                  />
+                </td>
+                {isOwner && (
+                  <td className="text-right">
+                    {channel !== DEFAULT_CHANNEL && (
+                      <button
+                        onClick={() => onDelete(channel)}
+                        className="text-red-500 hover:underline"
+                        title="Delete the channel and its history on every device"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="flex">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && CHANNEL_NAME.test(normalized) && create()}
+          className="p-1 border rounded flex-1 mr-2"
+          placeholder="New channel, e.g. links"
+          maxLength={32}
+        />
+        <button
+          onClick={create}
+          disabled={!CHANNEL_NAME.test(normalized)}
+          className="px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-gray-300"
+        >
+          Add
+        </button>
+      </div>
+    </details>
+  );
+}
+
+export default ChannelSettings;
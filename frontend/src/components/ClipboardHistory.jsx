@@ -0,0 +1,303 @@
+import { useState } from "react";
+import { entryMatches } from "../utils/history";
+import { formatBytes } from "../utils/fileTransfer";
+import { formatRemaining, isSealed } from "../utils/expiry";
+import { classifyItem, describeFindings } from "../utils/sensitive";
+import { DEFAULT_CHANNEL, channelOf } from "../utils/channels";
+import useNow from "../hooks/useNow";
+import ClipboardItemPreview from "./ClipboardItemPreview";
+
+const HISTORY_LIMIT_OPTIONS = [10, 25, 50, 100];
+
+// The usual choices up to the server's maximum, plus the current limit if
+// the server's default is something else
+const historyLimitOptions = (current, max = 100) =>
+  [...new Set([...HISTORY_LIMIT_OPTIONS.filter((limit) => limit <= max), current])]
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+
+// How an expiring entry will go, e.g. "expires in 4:05" or "read by 1 of 3"
+const expiryLabel = (entry, now) => {
+  if (entry.expiresAt) {
+    const remaining = new Date(entry.expiresAt) - now;
+    return remaining > 0 ? `expires in ${formatRemaining(remaining)}` : "expiring";
+  }
+  if (entry.maxReads === 1) return "burns after reading";
+  if (entry.maxReads) return `copied by ${entry.readBy?.length || 0} of ${entry.maxReads}`;
+  return null;
+};
+
+// "to Phone, this device" for items sent to particular devices
+const recipientLabel = (entry, members, memberId) =>
+  entry.recipients &&
+  `to ${entry.recipients
+    .map((id) =>
+      id === memberId
+        ? "this device"
+        : members.find((member) => member.memberId === id)?.name || "a removed device"
+    )
+    .join(", ")}`;
+
+// Session history with search, pinning and deletion. Pinned entries are
+// listed first. Expiring entries count down, and expired ones leave a
+// placeholder until dismissed. Sensitive entries are masked until revealed
+// on this device. Items can be sent again, to everyone or one device.
+// With more than one channel, the list can be narrowed to one of them, and
+// clearing then only clears that channel.
+function ClipboardHistory({
+  entries,
+  hasMore,
+  memberId,
+  members,
+  channels = [DEFAULT_CHANNEL],
+  isOwner,
+  historyLimit,
+  maxHistoryLimit,
+  onCopy,
+  onResend,
+  onDownload,
+  onPin,
+  onDelete,
+  onDismiss,
+  onClear,
+  onLoadMore,
+  onSetHistoryLimit,
+}) {
+  const [query, setQuery] = useState("");
+  const [revealed, setRevealed] = useState(() => new Set());
+  const [selected, setSelected] = useState(null);
+  // A channel that was deleted or unsubscribed from shows everything again
+  const channel = channels.includes(selected) ? selected : null;
+  const now = useNow(entries.some((entry) => entry.expiresAt && !entry.expired));
+
+  const isMasked = (entry) => entry.sensitive && !revealed.has(entry.id);
+
+  const toggleReveal = (id) => {
+    setRevealed(prev => {
+      const next = new Set(prev);
+      if (!next.delete(id)) next.add(id);
+      return next;
+    });
+  };
+
+  // Hidden items can't be found by their contents either
+  const visible = entries
+    .filter((entry) => !channel || channelOf(entry) === channel)
+    .filter((entry) =>
+      entryMatches(
+        isSealed(entry) || isMasked(entry) ? { ...entry, item: null } : entry,
+        query
+      )
+    )
+    .sort((a, b) => Number(b.pinned) - Number(a.pinned));
+
+  return (
+    <div className="mb-4">
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-sm">Clipboard History:</p>
+        <div className="flex items-center gap-2 text-xs">
+          {isOwner && (
+            <select
+              value={historyLimit}
+              onChange={(e) => onSetHistoryLimit(Number(e.target.value))}
+              className="border rounded p-0.5"
+              title="How many unpinned items the session keeps"
+            >
+              {historyLimitOptions(historyLimit, maxHistoryLimit).map((limit) => (
+                <option key={limit} value={limit}>Keep {limit}</option>
+              ))}
+            </select>
+          )}
+          {entries.length > 0 && (
+            <button
+              onClick={() => onClear(channel || undefined)}
+              className="text-red-500 hover:underline"
+            >
+              {channel ? `Clear ${channel}` : "Clear"}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {channels.length > 1 && (
+        <div className="flex flex-wrap gap-1 mb-2 text-xs">
+          {[null, ...channels].map((name) => (
+            <button
+              key={name || "all"}
+              onClick={() => setSelected(name)}
+              className={`px-2 py-0.5 rounded ${channel === name
+                ? "bg-blue-500 text-white"
+                : "bg-gray-200 hover:bg-gray-300"
+                }`}
+            >
+              {name || "All"}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {entries.length > 0 && (
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="p-1 border rounded w-full text-sm mb-2"
+          placeholder="Search history..."
+        />
+      )}
+
+      <div className="clipboard-history max-h-60 overflow-y-auto">
+        {visible.length > 0 ? (
+          visible.map((entry, index) => entry.expired ? (
+            <div
+              key={entry.id}
+              className="p-2 border border-dashed rounded mb-2 flex justify-between text-xs text-gray-400 italic"
+            >
+              <span>
+                ⌛ Expired
+                {entry.origin?.name && ` · from ${entry.origin.memberId === memberId ? "this device" : entry.origin.name}`}
+              </span>
+              <button
+                onClick={() => onDismiss(entry.id)}
+                className="not-italic hover:text-gray-700"
+                title="Remove from this list"
+              >
+                ✕
+              </button>
+            </div>
+          ) : (
+            <div
+              key={entry.id}
+              className={`p-2 border rounded mb-2 ${entry.undecryptable
+                ? "bg-red-50 text-red-700"
+                : entry.file ? "" : "cursor-pointer hover:bg-gray-100"
+                } ${entry.pinned ? "border-yellow-400" : ""}`}
+              onClick={() => (entry.item || entry.withheld) && onCopy(entry)}
+              title={entry.undecryptable ? "Encrypted with a different secret" : entry.file ? undefined : "Click to copy"}
+            >
+              <div className="flex justify-between text-xs text-gray-500 mb-1">
+                <span>
+                  {entry.pinned ? "📌 Pinned" : index === 0 && !query ? "Most recent" : new Date(entry.createdAt).toLocaleTimeString()}
+                  {entry.origin?.name && ` · from ${entry.origin.memberId === memberId ? "this device" : entry.origin.name}`}
+                  {entry.channel && <span className="text-blue-600"> · #{entry.channel}</span>}
+                  {entry.size != null && ` · ${formatBytes(entry.size)}`}
+                  {entry.unencrypted && " · not encrypted"}
+                  {entry.sensitive && <span className="text-orange-600"> · sensitive</span>}
+                  {entry.recipients && ` · ${recipientLabel(entry, members, memberId)}`}
+                  {expiryLabel(entry, now) && (
+                    <span className="text-orange-600"> · {expiryLabel(entry, now)}</span>
+                  )}
+                </span>
+                <span className="flex gap-2">
+                  {entry.item && !isSealed(entry) && (
+                    <select
+                      value=""
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={(e) =>
+                        onResend(entry, e.target.value === "all" ? [] : [e.target.value])
+                      }
+                      className="bg-transparent hover:text-gray-800 w-16"
+                      title="Send this item again"
+                    >
+                      <option value="" disabled>Resend</option>
+                      <option value="all">To all devices</option>
+                      {members
+                        .filter((member) => member.memberId !== memberId)
+                        .map((member) => (
+                          <option key={member.memberId} value={member.memberId}>
+                            To {member.name || "unnamed device"}
+                          </option>
+                        ))}
+                    </select>
+                  )}
+                  {entry.sensitive && entry.item && !isSealed(entry) && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        toggleReveal(entry.id);
+                      }}
+                      className="hover:text-gray-800"
+                      title="Show or hide on this device only"
+                    >
+                      {isMasked(entry) ? "Reveal" : "Hide"}
+                    </button>
+                  )}
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onPin(entry.id, !entry.pinned);
+                    }}
+                    className="hover:text-gray-800"
+                    title={entry.pinned ? "Unpin" : "Pin (kept beyond the history limit)"}
+                  >
+                    {entry.pinned ? "Unpin" : "Pin"}
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onDelete(entry.id);
+                    }}
+                    className="hover:text-red-600"
+                    title="Delete on all devices"
+                  >
+                    ✕
+                  </button>
+                </span>
+              </div>
+
+              {entry.undecryptable ? (
+                <div className="text-sm font-mono">🔒 Cannot decrypt</div>
+              ) : entry.file ? (
+                <div className="flex justify-between items-center">
+                  <span className="text-sm truncate mr-2">
+                    📄 {entry.file.name} ({formatBytes(entry.file.size)})
+                  </span>
+                  <button
+                    onClick={() => onDownload(entry.file)}
+                    className="px-2 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600"
+                  >
+                    Download
+                  </button>
+                </div>
+              ) : isSealed(entry) ? (
+                <div className="text-sm text-gray-600">
+                  {entry.readBy?.includes(memberId) ? (
+                    "🔒 Copied here before. Click to copy again."
+                  ) : (
+                    <>
+                      {entry.maxReads === 1 ? "🔥" : "🔒"} Hidden until copied here. Click to copy
+                      {entry.maxReads === 1 && "; it is then deleted everywhere"}.
+                    </>
+                  )}
+                </div>
+              ) : isMasked(entry) ? (
+                <div className="text-sm text-gray-600">
+                  🙈 ••••••••{" "}
+                  {describeFindings(classifyItem(entry.item)) || "Sensitive item"}, hidden.
+                  Click to copy.
+                </div>
+              ) : (
+                <ClipboardItemPreview item={entry.item} />
+              )}
+            </div>
+          ))
+        ) : (
+          <p className="text-sm text-gray-500 italic">
+            {query ? "No matching items" : channel ? `Nothing in ${channel} yet` : "No clipboard history yet"}
+          </p>
+        )}
+
+        {hasMore && (
+          <button
+            onClick={onLoadMore}
+            className="w-full p-1 text-xs text-blue-600 hover:underline"
+          >
+            Load older items
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ClipboardHistory;
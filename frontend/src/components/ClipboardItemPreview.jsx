@@ -0,0 +1,43 @@
+import { getImageUrl, getPlainText, getRepresentation } from "../utils/clipboardItem";
+
+// Compact preview of a clipboard item for the history list: a thumbnail for
+// images, a sandboxed render for HTML and a truncated line for plain text
+function ClipboardItemPreview({ item }) {
+  const imageUrl = getImageUrl(item);
+  const html = getRepresentation(item, "text/html");
+  const text = getPlainText(item);
+
+  return (
+    <div>
+      {imageUrl && (
+        <img
+          src={imageUrl}
+          alt="Clipboard image"
+          className="max-h-24 max-w-full rounded border mb-1"
+        />
+      )}
+
+      {html && !imageUrl && (
+        // Scripts, forms and navigation are all disabled by the empty sandbox
+        <iframe
+          sandbox=""
+          srcDoc={html.data}
+          title="Formatted clipboard content"
+          className="w-full h-16 border rounded bg-white pointer-events-none mb-1"
+        />
+      )}
+
+      {text && (
+        <div className="text-sm font-mono overflow-hidden text-ellipsis whitespace-nowrap">
+          {text.length > 60 ? `${text.substring(0, 60)}...` : text}
+        </div>
+      )}
+
+      <div className="text-xs text-gray-400">
+        {item.representations.map((r) => r.type).join(" · ")}
+      </div>
+    </div>
+  );
+}
+
+export default ClipboardItemPreview;
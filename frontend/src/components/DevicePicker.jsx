@@ -0,0 +1,51 @@
+// Which devices an item goes to: the whole session (nothing selected) or
+// the ticked ones. `selected` holds member IDs.
+function DevicePicker({ members, memberId, selected, onChange }) {
+  const others = members.filter((member) => member.memberId !== memberId);
+  const chosen = others.filter((member) => selected.includes(member.memberId));
+
+  const toggle = (id) => {
+    onChange(selected.includes(id) ? selected.filter((other) => other !== id) : [...selected, id]);
+  };
+
+  const summary =
+    chosen.length === 0
+      ? "All devices"
+      : chosen.length === 1
+        ? chosen[0].name || "Unnamed device"
+        : `${chosen.length} devices`;
+
+  return (
+    <details className="relative text-sm">
+      <summary className="cursor-pointer select-none text-gray-700">To: {summary}</summary>
+      <div className="absolute z-10 mt-1 p-2 bg-white border rounded shadow min-w-48 space-y-1">
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            checked={chosen.length === 0}
+            onChange={() => onChange([])}
+            className="mr-2"
+          />
+          All devices
+        </label>
+        {others.map((member) => (
+          <label key={member.memberId} className="flex items-center">
+            <input
+              type="checkbox"
+              checked={selected.includes(member.memberId)}
+              onChange={() => toggle(member.memberId)}
+              className="mr-2"
+            />
+            <span className={member.online ? "text-green-500" : "text-gray-300"}>●</span>
+            <span className="ml-1 truncate">{member.name || "Unnamed device"}</span>
+          </label>
+        ))}
+        {others.length === 0 && (
+          <p className="text-xs text-gray-500 italic">No other devices yet</p>
+        )}
+      </div>
+    </details>
+  );
+}
+
+export default DevicePicker;
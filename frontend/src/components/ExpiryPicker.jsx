@@ -0,0 +1,52 @@
+import { EXPIRY_MODES, MAX_EXPIRY_MINUTES, MAX_READS } from "../utils/expiry";
+
+// When items sent from this device expire: { mode, minutes, reads }
+function ExpiryPicker({ expiry, onChange }) {
+  const update = (changes) => onChange({ ...expiry, ...changes });
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <label htmlFor="expiryMode">Items sent from here:</label>
+      <select
+        id="expiryMode"
+        value={expiry.mode}
+        onChange={(e) => update({ mode: e.target.value })}
+        className="border rounded p-1"
+      >
+        {EXPIRY_MODES.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      {expiry.mode === "minutes" && (
+        <label className="flex items-center gap-1">
+          <input
+            type="number"
+            min={1}
+            max={MAX_EXPIRY_MINUTES}
+            value={expiry.minutes}
+            onChange={(e) => update({ minutes: Number(e.target.value) })}
+            className="border rounded p-1 w-20"
+          />
+          minutes
+        </label>
+      )}
+
+      {expiry.mode === "reads" && (
+        <label className="flex items-center gap-1">
+          <input
+            type="number"
+            min={1}
+            max={MAX_READS}
+            value={expiry.reads}
+            onChange={(e) => update({ reads: Number(e.target.value) })}
+            className="border rounded p-1 w-16"
+          />
+          {expiry.reads === 1 ? "device" : "devices"}
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default ExpiryPicker;
@@ -0,0 +1,48 @@
+import { useRef, useState } from "react";
+
+// Drop target (with a file picker fallback for touch devices) for sending
+// files to the other devices in the session
+function FileDropZone({ onFiles, disabled }) {
+  const [isDragging, setIsDragging] = useState(false);
+  const inputRef = useRef(null);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!disabled && e.dataTransfer.files.length > 0) {
+      onFiles([...e.dataTransfer.files]);
+    }
+  };
+
+  return (
+    <div
+      onDragOver={(e) => {
+        e.preventDefault();
+        if (!disabled) setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      onClick={() => !disabled && inputRef.current?.click()}
+      className={`p-4 border-2 border-dashed rounded text-center text-sm ${disabled
+        ? "text-gray-400 border-gray-200"
+        : isDragging
+          ? "bg-blue-50 border-blue-400 text-blue-700 cursor-pointer"
+          : "text-gray-600 border-gray-300 hover:bg-gray-50 cursor-pointer"
+        }`}
+    >
+      {isDragging ? "Drop to send" : "Drop a file here or click to choose one"}
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        className="hidden"
+        onChange={(e) => {
+          onFiles([...e.target.files]);
+          e.target.value = "";
+        }}
+      />
+    </div>
+  );
+}
+
+export default FileDropZone;
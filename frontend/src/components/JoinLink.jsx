@@ -0,0 +1,82 @@
+import { useState } from "react";
+import { QRCodeSVG } from "qrcode.react";
+import { buildJoinLink } from "../utils/joinLink";
+
+// Join link and QR code for pairing another device. The link includes the
+// session secret; a one-time link also carries a pairing token that lets one
+// device in without the passphrase or approval.
+function JoinLink({ sessionCode, secret, joinedSession, onCreatePairingToken }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [pairing, setPairing] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  if (!sessionCode) return null;
+
+  // A token only belongs to the session it was created for
+  const pairingToken = pairing?.sessionCode === sessionCode ? pairing.token : null;
+  const link = buildJoinLink({ sessionCode, secret, pairingToken });
+
+  const toggleOneTime = async (enabled) => {
+    setPairing(enabled ? { ...(await onCreatePairingToken()), sessionCode } : null);
+  };
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(link)
+      .then(() => {
+        setCopied(true);
+        setTimeout(() => setCopied(false), 1500);
+      })
+      .catch(err => console.error("❌ Failed to copy link:", err));
+  };
+
+  return (
+    <div className="mb-4">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="text-sm text-blue-600 hover:underline"
+      >
+        {isOpen ? "Hide join link" : "Show join link & QR code"}
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 flex flex-col items-center gap-2">
+          <QRCodeSVG value={link} size={176} marginSize={2} />
+          <div className="flex w-full">
+            <input
+              type="text"
+              readOnly
+              value={link}
+              onFocus={(e) => e.target.select()}
+              className="p-1 border rounded w-full font-mono text-xs"
+            />
+            <button
+              onClick={copyLink}
+              className="ml-2 px-2 text-xs bg-gray-200 rounded hover:bg-gray-300 shrink-0"
+            >
+              {copied ? "Copied" : "Copy"}
+            </button>
+          </div>
+          <label
+            className={`flex items-center text-xs self-start ${joinedSession ? "" : "text-gray-400"}`}
+            title={joinedSession ? undefined : "Join the session to create one-time links"}
+          >
+            <input
+              type="checkbox"
+              checked={!!pairingToken}
+              disabled={!joinedSession}
+              onChange={(e) => toggleOneTime(e.target.checked)}
+              className="mr-2"
+            />
+            One-time link: lets one device in without approval, expires after 10 minutes
+          </label>
+          {pairing?.error && <p className="text-xs text-red-600 self-start">{pairing.error}</p>}
+          <p className="text-xs text-gray-500 self-start">
+            The link contains the session secret. Only open it on your own devices.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default JoinLink;
@@ -0,0 +1,37 @@
+// "New device wants to join" prompts shown to existing members while the
+// session requires approval
+function JoinRequests({ requests, onApprove, onReject }) {
+  if (requests.length === 0) return null;
+
+  return (
+    <div className="mb-4 space-y-2">
+      {requests.map((request) => (
+        <div
+          key={request.requestId}
+          className="p-3 bg-blue-50 border border-blue-200 rounded-md"
+        >
+          <p className="text-sm text-blue-800 mb-2">
+            <strong>{request.name || "A new device"}</strong>
+            {request.platform && ` (${request.platform})`} wants to join this session.
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={() => onApprove(request.requestId)}
+              className="px-3 py-1 text-sm bg-green-500 text-white rounded hover:bg-green-600"
+            >
+              Approve
+            </button>
+            <button
+              onClick={() => onReject(request.requestId)}
+              className="px-3 py-1 text-sm bg-gray-200 rounded hover:bg-gray-300"
+            >
+              Reject
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default JoinRequests;
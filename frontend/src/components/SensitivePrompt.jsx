@@ -0,0 +1,32 @@
+import { describeFindings } from "../utils/sensitive";
+
+// "This looks like a card number, send it?" for items caught by the
+// session's ask-first policy. Only the latest caught item waits here.
+function SensitivePrompt({ pending, onSend, onDiscard }) {
+  if (!pending) return null;
+
+  return (
+    <div className="mb-4 p-3 bg-orange-50 border border-orange-200 rounded-md">
+      <p className="text-sm text-orange-800 mb-2">
+        This looks like a <strong>{describeFindings(pending.found)}</strong>. Send it
+        anyway? Other devices will see it masked, and it expires after a few minutes.
+      </p>
+      <div className="flex gap-2">
+        <button
+          onClick={onSend}
+          className="px-3 py-1 text-sm bg-orange-500 text-white rounded hover:bg-orange-600"
+        >
+          Send as sensitive
+        </button>
+        <button
+          onClick={onDiscard}
+          className="px-3 py-1 text-sm bg-gray-200 rounded hover:bg-gray-300"
+        >
+          Don&apos;t send
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SensitivePrompt;
@@ -0,0 +1,844 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { deriveHashKey, deriveKey } from "../utils/crypto";
+import {
+  ItemTooLargeError,
+  MAX_ITEM_BYTES,
+  createTextItem,
+  encodeItem,
+  writeClipboardItem,
+} from "../utils/clipboardItem";
+import { clearMemberToken, getMemberToken, saveMemberToken } from "../utils/sessionTokens";
+import { describeDevice, getDeviceName } from "../utils/device";
+import { DEFAULT_EXPIRY, expiryPayload } from "../utils/expiry";
+import { DEFAULT_SENSITIVE_POLICY, classifyItem, describeFindings } from "../utils/sensitive";
+import { DEFAULT_CHANNEL, channelOf, channelSettingsOf } from "../utils/channels";
+import useFileTransfers from "../hooks/useFileTransfers";
+import useClipboardHistory from "../hooks/useClipboardHistory";
+import useOutbox from "../hooks/useOutbox";
+import useApiTokens from "../hooks/useApiTokens";
+import useWebhooks from "../hooks/useWebhooks";
+import usePairingCode from "../hooks/usePairingCode";
+import useChannels from "../hooks/useChannels";
+import ClipboardHistory from "./ClipboardHistory";
+import FileDropZone from "./FileDropZone";
+import TransferList from "./TransferList";
+import JoinRequests from "./JoinRequests";
+import ApiTokens from "./ApiTokens";
+import Webhooks from "./Webhooks";
+import JoinLink from "./JoinLink";
+import SessionMembers from "./SessionMembers";
+import ExpiryPicker from "./ExpiryPicker";
+import SensitivePrompt from "./SensitivePrompt";
+import DevicePicker from "./DevicePicker";
+import ChannelSettings from "./ChannelSettings";
+
+// One session this device is in, shown as a tab. It joins when it is added
+// and again after every reconnect, and keeps its own history, channels,
+// outbox and auto-copy setting while other tabs are shown. The socket is
+// shared with the other sessions, so everything it listens to is checked
+// for the session code.
+//
+// Clipboard monitoring is shared too: App reads the clipboard once and hands
+// each copy to the sessions monitoring is turned on for, through the handler
+// registered with registerCapture. Items written to the clipboard go through
+// noteWritten so no session sends them on.
+//
+// The callbacks all take the session code first, so App can pass the same
+// ones to every session.
+function Session({
+  socket,
+  sessionCode,
+  secret,
+  passphrase,
+  pairingToken: initialPairingToken,
+  name,
+  deviceName,
+  active,
+  monitoring,
+  isClipboardSupported,
+  noteWritten,
+  registerCapture,
+  onToggleMonitoring,
+  onStatus,
+  onReceived,
+  onRename,
+  onLeave,
+  onClose,
+  onError,
+  onActivity,
+}) {
+  const [keysReady, setKeysReady] = useState(false);
+  const [joinedSession, setJoinedSession] = useState(false);
+  const [joinPending, setJoinPending] = useState(false);
+  const [memberId, setMemberId] = useState(null);
+  const [role, setRole] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [sessionSettings, setSessionSettings] = useState(null);
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [sessionName, setSessionName] = useState(name);
+  const [autoReceive, setAutoReceive] = useState(true);
+  const [manualText, setManualText] = useState("");
+  // When items sent from this device expire
+  const [expiry, setExpiry] = useState(DEFAULT_EXPIRY);
+  // Item held back by the ask-first policy: { item, found, to, channels }
+  const [sensitivePending, setSensitivePending] = useState(null);
+  // Devices manual sends go to; empty for the whole session
+  const [targets, setTargets] = useState([]);
+  // Channel manual sends go to
+  const [sendChannel, setSendChannel] = useState(DEFAULT_CHANNEL);
+  const [cannotDecrypt, setCannotDecrypt] = useState(false);
+  // AES key derived from the session secret, and the key content hashes are
+  // made with; never sent to the server
+  const cryptoKey = useRef(null);
+  const hashKey = useRef(null);
+  // Whether we were admitted before, so joining again is a reconnect
+  const admitted = useRef(false);
+  // Connection the last join request went out on
+  const requestedOn = useRef(null);
+  // One-time pairing token from a join link; only tried once
+  const pairingToken = useRef(initialPairingToken || null);
+  // Name last sent to the other devices
+  const sentName = useRef(deviceName);
+  // When a received item was last written to the clipboard, and its sequence
+  // number
+  const lastWrite = useRef({ at: 0, seq: 0 });
+  // The expiry choice and the session's policy for sensitive content, as
+  // they are when an item is sent
+  const expiryRef = useRef(expiry);
+  const sensitivePolicyRef = useRef(DEFAULT_SENSITIVE_POLICY);
+  const maxItemBytesRef = useRef(MAX_ITEM_BYTES);
+  // Which channels auto-copy takes from, for the socket listeners
+  const channelsRef = useRef({ channels: [DEFAULT_CHANNEL], settings: {} });
+  const memberIdRef = useRef(memberId);
+  const captureRef = useRef(null);
+  const view = useRef(null);
+
+  const history = useClipboardHistory({ socket, sessionCode, cryptoKey });
+  const { addEntry, loadHistory, catchUp, resetHistory, readEntry, lastSeq } = history;
+  const outbox = useOutbox({ socket, joinedSession });
+  const apiTokens = useApiTokens({
+    socket,
+    sessionCode,
+    enabled: joinedSession && role === "owner",
+  });
+  const webhooks = useWebhooks({
+    socket,
+    sessionCode,
+    enabled: joinedSession && role === "owner",
+  });
+  const pairingCode = usePairingCode({ socket, sessionCode, joinedSession });
+  const channels = useChannels({
+    socket,
+    sessionCode,
+    memberId,
+    members,
+    settings: sessionSettings,
+  });
+
+  // Completed file transfers show up in the history with a download button.
+  // Files from other devices count as unread.
+  const handleFileAvailable = useCallback((entry) => {
+    addEntry(entry);
+    if (entry.origin?.memberId !== memberIdRef.current) {
+      onReceived(sessionCode);
+    }
+  }, [addEntry, onReceived, sessionCode]);
+  const { transfers, sendFiles, downloadFile } = useFileTransfers({
+    socket,
+    sessionCode,
+    joinedSession,
+    cryptoKey,
+    onFileAvailable: handleFileAvailable,
+  });
+
+  // The secret never leaves this device; the keys are derived from it here
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([deriveKey(secret, sessionCode), deriveHashKey(secret, sessionCode)])
+      .then(([key, hash]) => {
+        if (cancelled) return;
+        cryptoKey.current = key;
+        hashKey.current = hash;
+        setKeysReady(true);
+      })
+      .catch((err) => {
+        console.error("❌ Failed to derive encryption key:", err);
+        if (!cancelled) onClose(sessionCode, "Couldn't set up encryption for this session");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [secret, sessionCode, onClose]);
+
+  // Join once the keys are ready, and again whenever Socket.IO reconnects,
+  // telling the server what we already have. The server answers with
+  // session-joined, join-pending or join-rejected.
+  useEffect(() => {
+    if (!socket || !keysReady) return;
+
+    const join = () => {
+      if (requestedOn.current === socket.id) return;
+      requestedOn.current = socket.id;
+
+      console.log(admitted.current ? "🔄 Rejoining session:" : "📥 Joining session:", sessionCode);
+      socket.emit("join-session", {
+        sessionCode,
+        passphrase,
+        memberToken: getMemberToken(sessionCode),
+        pairingToken: pairingToken.current,
+        device: describeDevice(getDeviceName()),
+        lastSeq: lastSeq.current,
+      });
+      pairingToken.current = null;
+    };
+
+    if (socket.connected) join();
+    socket.on("connect", join);
+    return () => socket.off("connect", join);
+  }, [socket, keysReady, sessionCode, passphrase, lastSeq]);
+
+  // Setup socket listeners
+  useEffect(() => {
+    if (!socket) return;
+
+    const isOurs = (payload) => payload?.sessionCode === sessionCode;
+
+    const handlePaste = async (entry) => {
+      if (!isOurs(entry)) return;
+      // Items can arrive out of order around a reconnect; only the one with
+      // the highest sequence number goes on the clipboard
+      const isNewest = !(entry.seq <= lastSeq.current);
+
+      // Add to clipboard history
+      const received = await addEntry(entry);
+      onReceived(sessionCode);
+      if (received.undecryptable) {
+        console.error("❌ Received an item that can't be decrypted with this secret");
+        setCannotDecrypt(true);
+        return;
+      }
+      setCannotDecrypt(false);
+
+      console.log(
+        "📥 Received item from server:",
+        received.withheld ? "read-limited" : received.item.representations.map(r => r.type).join(", ")
+      );
+
+      onActivity("Received item at " + new Date().toLocaleTimeString());
+
+      // Visual feedback to show text was received
+      const historyContainer = view.current?.querySelector(".clipboard-history");
+      if (historyContainer?.firstChild) {
+        historyContainer.firstChild.style.backgroundColor = "#f0fff0";
+        setTimeout(() => {
+          if (historyContainer.firstChild) {
+            historyContainer.firstChild.style.backgroundColor = "";
+          }
+        }, 500);
+      }
+
+      // Copy to clipboard automatically if autoReceive is enabled, and this
+      // device takes items from the entry's channel
+      const { receive } = channelSettingsOf(channelsRef.current.settings, channelOf(entry));
+      if (autoReceive && receive && isNewest) {
+        // Read-limited items are fetched first, which counts the read
+        const receivedItem = received.withheld
+          ? (await readEntry(received.id))?.item
+          : received.item;
+        if (!receivedItem) return;
+
+        lastWrite.current = { at: Date.now(), seq: entry.seq };
+        // Monitoring must not send it back, to this session or another
+        await noteWritten(receivedItem);
+        writeClipboardItem(receivedItem)
+          .then(() => console.log("✅ Item copied to clipboard"))
+          .catch(err => console.error("❌ Failed to copy to clipboard:", err));
+      }
+    };
+
+    // Our own items come back as stored entries so they show up in history
+    const handleHistoryAdded = (added) => {
+      if (!isOurs(added)) return;
+      addEntry(added.entry);
+    };
+
+    const handleSessionUpdate = (update) => {
+      if (!isOurs(update)) return;
+      console.log("📊 Session update:", update);
+      setMembers(update.members || []);
+      if (update.settings) {
+        setSessionSettings(update.settings);
+      }
+    };
+
+    const handleJoined = (joined) => {
+      if (!isOurs(joined)) return;
+      console.log("✅ Joined session as", joined.role);
+      const isRejoin = admitted.current;
+      admitted.current = true;
+      if (joined.memberToken) {
+        saveMemberToken(sessionCode, joined.memberToken);
+      }
+      setMemberId(joined.memberId);
+      setRole(joined.role);
+      setSessionSettings(joined.settings);
+      setJoinPending(false);
+      setJoinedSession(true);
+      onStatus(sessionCode, "joined");
+      if (isRejoin) {
+        onActivity("Reconnected to session at " + new Date().toLocaleTimeString());
+        catchUp(sessionCode);
+      } else {
+        setCannotDecrypt(false);
+        onActivity("Joined session at " + new Date().toLocaleTimeString());
+        loadHistory(sessionCode, { reset: true });
+      }
+    };
+
+    const handleJoinPending = (pending) => {
+      if (!isOurs(pending)) return;
+      setJoinPending(true);
+      onStatus(sessionCode, "pending");
+      onActivity("Waiting for a device in the session to approve this one...");
+    };
+
+    const handleJoinRejected = (rejected) => {
+      if (!isOurs(rejected)) return;
+      console.log("❌ Join rejected:", rejected.reason);
+      onClose(sessionCode, rejected.reason);
+    };
+
+    const handleRemoved = (removed) => {
+      if (!isOurs(removed)) return;
+      console.log("❌ Removed from session:", removed.reason);
+      clearMemberToken(sessionCode);
+      resetHistory();
+      onClose(sessionCode, removed.reason);
+    };
+
+    const handleJoinRequest = (request) => {
+      if (!isOurs(request)) return;
+      setJoinRequests(prev => [
+        ...prev.filter(r => r.requestId !== request.requestId),
+        request,
+      ]);
+    };
+
+    const handleJoinRequestResolved = (resolved) => {
+      if (!isOurs(resolved)) return;
+      setJoinRequests(prev => prev.filter(r => r.requestId !== resolved.requestId));
+    };
+
+    // Monitoring keeps running while we're offline; anything copied in the
+    // meantime waits in the outbox until we're back in the session
+    const handleDisconnect = () => {
+      setJoinedSession(false);
+      setJoinPending(false);
+      setJoinRequests([]);
+      onStatus(sessionCode, "joining");
+    };
+
+    socket.on("paste-text", handlePaste);
+    socket.on("history-added", handleHistoryAdded);
+    socket.on("session-update", handleSessionUpdate);
+    socket.on("session-joined", handleJoined);
+    socket.on("join-pending", handleJoinPending);
+    socket.on("join-rejected", handleJoinRejected);
+    socket.on("removed-from-session", handleRemoved);
+    socket.on("join-request", handleJoinRequest);
+    socket.on("join-request-resolved", handleJoinRequestResolved);
+    socket.on("disconnect", handleDisconnect);
+
+    return () => {
+      socket.off("paste-text", handlePaste);
+      socket.off("history-added", handleHistoryAdded);
+      socket.off("session-update", handleSessionUpdate);
+      socket.off("session-joined", handleJoined);
+      socket.off("join-pending", handleJoinPending);
+      socket.off("join-rejected", handleJoinRejected);
+      socket.off("removed-from-session", handleRemoved);
+      socket.off("join-request", handleJoinRequest);
+      socket.off("join-request-resolved", handleJoinRequestResolved);
+      socket.off("disconnect", handleDisconnect);
+    };
+  }, [socket, sessionCode, autoReceive, addEntry, loadHistory, catchUp, resetHistory, readEntry, lastSeq, noteWritten, onStatus, onReceived, onClose, onActivity]);
+
+  useEffect(() => {
+    expiryRef.current = expiry;
+  }, [expiry]);
+
+  useEffect(() => {
+    sensitivePolicyRef.current = sessionSettings?.sensitivePolicy || DEFAULT_SENSITIVE_POLICY;
+    maxItemBytesRef.current = sessionSettings?.maxItemBytes || MAX_ITEM_BYTES;
+  }, [sessionSettings]);
+
+  useEffect(() => {
+    channelsRef.current = { channels: channels.channels, settings: channels.settings };
+  }, [channels.channels, channels.settings]);
+
+  useEffect(() => {
+    memberIdRef.current = memberId;
+  }, [memberId]);
+
+  // Update the roster on the other devices when this device is renamed
+  useEffect(() => {
+    if (!socket || !joinedSession || sentName.current === deviceName) return;
+    sentName.current = deviceName;
+    socket.emit("update-device", { sessionCode, device: { name: deviceName } });
+  }, [socket, joinedSession, sessionCode, deviceName]);
+
+  // Encrypt an item and queue it for the other devices in the session. It is
+  // sent right away when we're connected, otherwise once we're back.
+  // Text that looks sensitive goes as the session's policy says; `confirmed`
+  // is for sending it after asking. `to` lists the devices to send it to,
+  // if not the whole session, and `channels` the channels it goes to, one
+  // item each.
+  const sendItem = async (item, { confirmed = false, to, channels: into = [DEFAULT_CHANNEL] } = {}) => {
+    const found = classifyItem(item);
+    if (found.length > 0 && !confirmed) {
+      if (sensitivePolicyRef.current === "block") {
+        onError(`Not sent: this looks like a ${describeFindings(found)}, which this session doesn't share`);
+        return false;
+      }
+      if (sensitivePolicyRef.current === "ask") {
+        setSensitivePending({ item, found, to, channels: into });
+        return false;
+      }
+    }
+
+    let wireItem;
+    try {
+      wireItem = await encodeItem(
+        cryptoKey.current,
+        item,
+        hashKey.current,
+        maxItemBytesRef.current
+      );
+    } catch (err) {
+      if (!(err instanceof ItemTooLargeError)) throw err;
+      console.error("❌", err.message);
+      onError(err.message);
+      return false;
+    }
+
+    const queuedAt = Date.now();
+    into.forEach((channel) => outbox.send({
+      sessionCode,
+      item: wireItem,
+      expiry: expiryPayload(expiryRef.current),
+      sensitive: found.length > 0,
+      ...(to?.length > 0 && { to }),
+      ...(channel !== DEFAULT_CHANNEL && { channel }),
+    }).then((response) => {
+      if (response.error) {
+        console.error("❌ Item was not sent:", response.error);
+        onError(response.error);
+        return;
+      }
+
+      // Another device's item was written over ours while ours was on its way,
+      // but ours got the later sequence number: it is the newest item on every
+      // other device, so put it back here too
+      if (lastWrite.current.at > queuedAt && lastWrite.current.seq < response.seq) {
+        lastWrite.current = { at: Date.now(), seq: response.seq };
+        noteWritten(item)
+          .then(() => writeClipboardItem(item))
+          .catch(err => console.error("❌ Failed to copy to clipboard:", err));
+      }
+    }));
+    return true;
+  };
+
+  // Copies made on this device go to each channel monitoring sends copies to
+  useEffect(() => {
+    captureRef.current = (item) => {
+      const into = channels.channels.filter(
+        (channel) => channelSettingsOf(channels.settings, channel).send
+      );
+      if (!cryptoKey.current || into.length === 0) return;
+      sendItem(item, { channels: into }).then(sent => {
+        if (sent) {
+          onActivity("Detected and sent clipboard content at " + new Date().toLocaleTimeString());
+        }
+      });
+    };
+  });
+
+  useEffect(
+    () => registerCapture(sessionCode, (item) => captureRef.current(item)),
+    [registerCapture, sessionCode]
+  );
+
+  const toggleClipboardMonitoring = () => {
+    if (!monitoring && !isClipboardSupported) {
+      onError("Your browser doesn't support clipboard monitoring. Use the manual input below instead.");
+      return;
+    }
+    onToggleMonitoring(sessionCode);
+  };
+
+  const commitSessionName = () => {
+    const trimmed = sessionName.trim();
+    setSessionName(trimmed);
+    onRename(sessionCode, trimmed);
+  };
+
+  const respondToJoinRequest = (requestId, approve) => {
+    socket.emit(approve ? "approve-join" : "reject-join", { sessionCode, requestId });
+  };
+
+  // One-time token for a join link; resolves to { token, expiresAt } or { error }
+  const createPairingToken = () =>
+    socket.emitWithAck("create-pairing-token", { sessionCode });
+
+  const removeDevice = (targetMemberId) => {
+    socket.emit("remove-device", { sessionCode, memberId: targetMemberId });
+  };
+
+  const updateSessionSettings = (settings) => {
+    socket.emit("update-session-settings", { sessionCode, ...settings });
+  };
+
+  // History only lists the subscribed channels, so it is loaded again
+  const subscribeToChannels = async (list) => {
+    if (await channels.setSubscribed(list)) {
+      loadHistory(sessionCode, { reset: true });
+    }
+  };
+
+  // Copy a history entry. Read-limited items are fetched first, which counts
+  // the read.
+  const copyToClipboard = async (entry) => {
+    const item = entry.withheld ? (await readEntry(entry.id))?.item : entry.item;
+    if (!item) {
+      onError("That item is no longer available");
+      return;
+    }
+
+    noteWritten(item)
+      .then(() => writeClipboardItem(item))
+      .then(() => {
+        console.log("✅ Text copied to clipboard");
+        onActivity("Copied to clipboard at " + new Date().toLocaleTimeString());
+      })
+      .catch(err => {
+        console.error("❌ Failed to copy to clipboard:", err);
+        onError("Failed to copy to clipboard. Please try manually.");
+      });
+  };
+
+  const sendManualText = async () => {
+    if (!socket || !joinedSession) {
+      onError("Please join a session first");
+      return;
+    }
+
+    if (!manualText.trim()) {
+      onError("Please enter text to send");
+      return;
+    }
+
+    console.log(`📤 Sending text to server (${manualText.length} chars)`);
+    onError("");
+    // Devices removed since they were picked are left out
+    const to = targets.filter((id) => members.some((member) => member.memberId === id));
+    const channel = channels.channels.includes(sendChannel) ? sendChannel : DEFAULT_CHANNEL;
+    if (await sendItem(createTextItem(manualText), { to, channels: [channel] })) {
+      onActivity("Sent text at " + new Date().toLocaleTimeString());
+    }
+  };
+
+  // Send a history entry again, to the given devices, in its own channel
+  const resendEntry = async (entry, to) => {
+    if (await sendItem(entry.item, { to, channels: [channelOf(entry)] })) {
+      onActivity("Sent again at " + new Date().toLocaleTimeString());
+    }
+  };
+
+  return (
+    <div ref={view} className={active ? "" : "hidden"}>
+      <div className="mb-6">
+        <p className="text-sm mb-2">Session Name (on this device):</p>
+        <input
+          type="text"
+          value={sessionName}
+          onChange={(e) => setSessionName(e.target.value)}
+          onBlur={commitSessionName}
+          onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+          maxLength={32}
+          className="p-2 border rounded w-full mb-4"
+          placeholder="e.g. Work or Home"
+        />
+
+        {joinedSession && pairingCode.code && (
+          <>
+            <p className="text-sm mb-2">Pairing Code:</p>
+            <p className="p-2 border rounded w-full text-center text-lg font-mono mb-1 bg-gray-50">
+              {pairingCode.code}
+            </p>
+            <p className="text-xs text-gray-500 mb-4">
+              Type this code on your other device. It works once and changes every two minutes.
+            </p>
+          </>
+        )}
+
+        <p className="text-sm mb-2">Session Secret:</p>
+        <input
+          type="text"
+          value={secret}
+          readOnly
+          onFocus={(e) => e.target.select()}
+          className="p-2 border rounded w-full text-center font-mono mb-4 bg-gray-50"
+        />
+
+        <JoinLink
+          sessionCode={sessionCode}
+          secret={secret}
+          joinedSession={joinedSession}
+          onCreatePairingToken={createPairingToken}
+        />
+
+        <div className="flex gap-2">
+          <p
+            className={`flex-1 p-2 rounded text-center ${joinedSession
+              ? "bg-green-200 text-green-800"
+              : joinPending
+                ? "bg-yellow-100 text-yellow-800"
+                : "bg-gray-100 text-gray-600"
+              }`}
+          >
+            {joinedSession ? "Connected to Session" : joinPending ? "Waiting for Approval..." : "Joining..."}
+          </p>
+          <button
+            onClick={() => onLeave(sessionCode)}
+            className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300"
+            title="Leave this session on this device; the other sessions stay joined"
+          >
+            Leave
+          </button>
+        </div>
+
+        {joinedSession && members.length > 0 && (
+          <SessionMembers
+            members={members}
+            memberId={memberId}
+            isOwner={role === "owner"}
+            settings={sessionSettings}
+            onRemove={removeDevice}
+            onUpdateSettings={updateSessionSettings}
+          />
+        )}
+      </div>
+
+      {joinedSession && (
+        <JoinRequests
+          requests={joinRequests}
+          onApprove={(requestId) => respondToJoinRequest(requestId, true)}
+          onReject={(requestId) => respondToJoinRequest(requestId, false)}
+        />
+      )}
+
+      {joinedSession && role === "owner" && (
+        <ApiTokens
+          tokens={apiTokens.tokens}
+          createdToken={apiTokens.createdToken}
+          error={apiTokens.error}
+          onCreate={apiTokens.createToken}
+          onRevoke={apiTokens.revokeToken}
+          onDismiss={apiTokens.dismissCreatedToken}
+        />
+      )}
+
+      {joinedSession && role === "owner" && (
+        <Webhooks
+          sessionCode={sessionCode}
+          channels={channels.channels}
+          webhooks={webhooks.webhooks}
+          incoming={webhooks.incoming}
+          deliveries={webhooks.deliveries}
+          created={webhooks.created}
+          error={webhooks.error}
+          onCreate={webhooks.createWebhook}
+          onCreateIncoming={webhooks.createIncoming}
+          onDelete={webhooks.deleteWebhook}
+          onDeleteIncoming={webhooks.deleteIncoming}
+          onTest={webhooks.testWebhook}
+          onRefresh={webhooks.refresh}
+          onDismiss={webhooks.dismissCreated}
+        />
+      )}
+
+      {joinedSession && cannotDecrypt && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-700">
+            <strong>Cannot decrypt:</strong> items in this session were encrypted with a different secret.
+            Check that the session secret matches the one on your other devices.
+          </p>
+        </div>
+      )}
+
+      {joinedSession && (
+        <ChannelSettings
+          channels={channels.channels}
+          subscribed={channels.subscribed}
+          settings={channels.settings}
+          isOwner={role === "owner"}
+          error={channels.error}
+          onCreate={channels.createChannel}
+          onDelete={channels.deleteChannel}
+          onSubscribe={subscribeToChannels}
+          onUpdate={channels.updateSettings}
+        />
+      )}
+
+      {joinedSession && isClipboardSupported && (
+        <div className="mb-4">
+          <div className="flex justify-between items-center mb-2">
+            <button
+              onClick={toggleClipboardMonitoring}
+              className={`px-4 py-2 rounded ${monitoring
+                ? "bg-red-500 text-white hover:bg-red-600"
+                : "bg-green-500 text-white hover:bg-green-600"
+                }`}
+            >
+              {monitoring ? "Stop Monitoring" : "Start Clipboard Monitoring"}
+            </button>
+
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id={`autoReceive-${sessionCode}`}
+                checked={autoReceive}
+                onChange={(e) => setAutoReceive(e.target.checked)}
+                className="mr-2"
+              />
+              <label htmlFor={`autoReceive-${sessionCode}`} className="text-sm">Auto-copy received text</label>
+            </div>
+          </div>
+
+          {monitoring ? (
+            <p className="text-sm text-green-600">
+              Clipboard monitoring active! Copy text normally on this device, and it will be sent to this session automatically.
+            </p>
+          ) : (
+            <p className="text-sm text-gray-600">
+              Start clipboard monitoring to automatically sync your clipboard to this session&apos;s other devices.
+            </p>
+          )}
+        </div>
+      )}
+
+      {joinedSession && !isClipboardSupported && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+          <p className="text-sm text-yellow-700">
+            <strong>Note:</strong> Automatic clipboard monitoring is not supported on this device.
+            Use the manual input below to share text instead.
+          </p>
+        </div>
+      )}
+
+      <SensitivePrompt
+        pending={sensitivePending}
+        onSend={() => {
+          sendItem(sensitivePending.item, {
+            confirmed: true,
+            to: sensitivePending.to,
+            channels: sensitivePending.channels,
+          }).then(sent => {
+            if (sent) {
+              onActivity("Sent sensitive item at " + new Date().toLocaleTimeString());
+            }
+          });
+          setSensitivePending(null);
+        }}
+        onDiscard={() => setSensitivePending(null)}
+      />
+
+      <ClipboardHistory
+        entries={history.entries}
+        hasMore={history.hasMore}
+        memberId={memberId}
+        isOwner={role === "owner"}
+        historyLimit={sessionSettings?.historyLimit}
+        maxHistoryLimit={sessionSettings?.maxHistoryLimit}
+        members={members}
+        channels={channels.subscribed}
+        onCopy={copyToClipboard}
+        onResend={resendEntry}
+        onDownload={downloadFile}
+        onPin={history.pinEntry}
+        onDelete={history.deleteEntry}
+        onDismiss={history.dismissEntry}
+        onClear={history.clearEntries}
+        onLoadMore={() => loadHistory(sessionCode)}
+        onSetHistoryLimit={history.setHistoryLimit}
+      />
+
+      {joinedSession && (
+        <div className="mb-4">
+          <ExpiryPicker expiry={expiry} onChange={setExpiry} />
+        </div>
+      )}
+
+      <div className="mb-4">
+        <p className="text-sm mb-2">Manual Input:</p>
+        <textarea
+          className="p-2 border rounded w-full h-20 font-mono"
+          placeholder="Type or paste text here to manually share across devices..."
+          value={manualText}
+          onChange={(e) => setManualText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+              sendManualText();
+            }
+          }}
+        ></textarea>
+        <div className="flex items-start gap-2 mt-2">
+          <button
+            onClick={sendManualText}
+            disabled={!joinedSession}
+            className="flex-1 p-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-gray-300 disabled:text-gray-500"
+          >
+            Send Text Manually
+          </button>
+          {joinedSession && channels.channels.length > 1 && (
+            <select
+              value={sendChannel}
+              onChange={(e) => setSendChannel(e.target.value)}
+              className="p-2 border rounded text-sm"
+              title="Channel to send to"
+            >
+              {channels.channels.map((channel) => (
+                <option key={channel} value={channel}>#{channel}</option>
+              ))}
+            </select>
+          )}
+          {joinedSession && (
+            <div className="pt-2">
+              <DevicePicker
+                members={members}
+                memberId={memberId}
+                selected={targets}
+                onChange={setTargets}
+              />
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="mb-4">
+        <p className="text-sm mb-2">Send Files:</p>
+        <FileDropZone onFiles={sendFiles} disabled={!joinedSession} />
+        <TransferList transfers={transfers} />
+      </div>
+
+      {outbox.pending > 0 && (
+        <p className="mt-2 text-xs text-yellow-700">
+          {outbox.pending} {outbox.pending === 1 ? "item" : "items"} waiting to be sent
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default Session;
@@ -0,0 +1,88 @@
+import { SENSITIVE_POLICIES } from "../utils/sensitive";
+
+const formatLastSeen = (lastSeen) => {
+  if (!lastSeen) return "never";
+
+  const seconds = Math.round((Date.now() - new Date(lastSeen)) / 1000);
+  if (seconds < 60) return "just now";
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+  return new Date(lastSeen).toLocaleDateString();
+};
+
+// Live roster of the devices in the session. The owner can remove devices,
+// change who may join and what happens to text that looks sensitive.
+function SessionMembers({ members, memberId, isOwner, settings, onRemove, onUpdateSettings }) {
+  const onlineCount = members.filter((member) => member.online).length;
+
+  return (
+    <div className="mt-3">
+      <p className="text-sm mb-2">
+        Devices ({onlineCount} of {members.length} online):
+      </p>
+      <ul className="mb-2 space-y-1">
+        {members.map((member) => (
+          <li key={member.memberId} className="flex justify-between items-center text-sm">
+            <span className="truncate mr-2">
+              <span className={member.online ? "text-green-500" : "text-gray-300"}>●</span>{" "}
+              {member.name || "Unnamed device"}
+              {member.platform && <span className="text-xs text-gray-500"> · {member.platform}</span>}
+              {member.role === "owner" && <span className="text-xs text-gray-500"> (owner)</span>}
+              {member.memberId === memberId && <span className="text-xs text-gray-500"> (this device)</span>}
+            </span>
+            <span className="flex items-center gap-2 shrink-0">
+              <span className="text-xs text-gray-400">
+                {member.online ? "online" : `last seen ${formatLastSeen(member.lastSeen)}`}
+              </span>
+              {isOwner && member.memberId !== memberId && (
+                <button
+                  onClick={() => onRemove(member.memberId)}
+                  className="text-xs text-red-500 hover:underline"
+                >
+                  Remove
+                </button>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {isOwner && settings && (
+        <div className="flex flex-col gap-1 text-sm">
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={settings.locked}
+              onChange={(e) => onUpdateSettings({ locked: e.target.checked })}
+              className="mr-2"
+            />
+            Lock session (refuse all new devices)
+          </label>
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={settings.requireApproval}
+              onChange={(e) => onUpdateSettings({ requireApproval: e.target.checked })}
+              className="mr-2"
+            />
+            Ask before new devices join
+          </label>
+          <label className="flex items-center gap-2">
+            Sensitive content (passwords, keys, cards):
+            <select
+              value={settings.sensitivePolicy}
+              onChange={(e) => onUpdateSettings({ sensitivePolicy: e.target.value })}
+              className="border rounded p-0.5 text-xs"
+            >
+              {SENSITIVE_POLICIES.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SessionMembers;
@@ -0,0 +1,48 @@
+import { shortSessionCode } from "../utils/sessionNames";
+
+const STATUS_DOT = {
+  joined: "text-green-500",
+  pending: "text-yellow-500",
+  joining: "text-gray-300",
+};
+
+// One tab per session this device is in, with the number of items that
+// arrived while another tab was shown, and a last tab for joining or
+// creating another session
+function SessionTabs({ sessions, activeCode, unread, onSelect, onAdd }) {
+  return (
+    <div className="flex flex-wrap gap-1 mb-4 border-b">
+      {sessions.map((session) => (
+        <button
+          key={session.sessionCode}
+          onClick={() => onSelect(session.sessionCode)}
+          title={session.sessionCode}
+          className={`px-3 py-1 text-sm rounded-t ${session.sessionCode === activeCode
+            ? "bg-blue-500 text-white"
+            : "bg-gray-100 hover:bg-gray-200"
+            }`}
+        >
+          <span className={session.sessionCode === activeCode ? "" : STATUS_DOT[session.status]}>●</span>{" "}
+          {session.name || <span className="font-mono">{shortSessionCode(session.sessionCode)}</span>}
+          {unread[session.sessionCode] > 0 && (
+            <span className="ml-1 px-1.5 text-xs bg-red-500 text-white rounded-full">
+              {unread[session.sessionCode]}
+            </span>
+          )}
+        </button>
+      ))}
+      <button
+        onClick={onAdd}
+        title="Join or create another session"
+        className={`px-3 py-1 text-sm rounded-t ${activeCode === null
+          ? "bg-blue-500 text-white"
+          : "bg-gray-100 hover:bg-gray-200"
+          }`}
+      >
+        +
+      </button>
+    </div>
+  );
+}
+
+export default SessionTabs;
@@ -0,0 +1,44 @@
+import { formatBytes } from "../utils/fileTransfer";
+
+const STATUS_LABELS = {
+  sending: "Sending",
+  incoming: "Incoming",
+  downloading: "Downloading",
+  paused: "Paused – waiting for connection",
+  done: "Done",
+  error: "Failed",
+};
+
+// Progress bars for file uploads and downloads in this session
+function TransferList({ transfers }) {
+  const active = Object.values(transfers);
+  if (active.length === 0) return null;
+
+  return (
+    <div className="mt-2 space-y-2">
+      {active.map((transfer) => (
+        <div key={transfer.id} className="text-xs">
+          <div className="flex justify-between mb-1">
+            <span className="truncate mr-2">
+              {transfer.direction === "send" ? "↑" : "↓"} {transfer.name}
+              {transfer.size != null && ` (${formatBytes(transfer.size)})`}
+            </span>
+            <span className={transfer.status === "error" ? "text-red-500" : "text-gray-500"}>
+              {transfer.status === "error" && transfer.error
+                ? transfer.error
+                : `${STATUS_LABELS[transfer.status]} ${Math.round(transfer.progress * 100)}%`}
+            </span>
+          </div>
+          <div className="h-1.5 bg-gray-200 rounded">
+            <div
+              className={`h-1.5 rounded ${transfer.status === "error" ? "bg-red-400" : "bg-blue-500"}`}
+              style={{ width: `${Math.round(transfer.progress * 100)}%` }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default TransferList;
@@ -0,0 +1,238 @@
+import { useState } from "react";
+import { SERVER_URL } from "../utils/server";
+import { DEFAULT_CHANNEL } from "../utils/channels";
+
+const EVENTS = ["clip.created", "device.joined", "device.left", "session.expired"];
+
+const STATE_STYLES = {
+  delivered: "text-green-600",
+  retrying: "text-amber-600",
+  failed: "text-red-600",
+};
+
+// Owner-only panel for webhooks: outgoing ones that get signed callbacks for
+// session events, incoming URLs that other services post clips to, and the
+// latest deliveries
+function Webhooks({
+  sessionCode,
+  channels,
+  webhooks,
+  incoming,
+  deliveries,
+  created,
+  error,
+  onCreate,
+  onCreateIncoming,
+  onDelete,
+  onDeleteIncoming,
+  onTest,
+  onRefresh,
+  onDismiss,
+}) {
+  const [url, setUrl] = useState("");
+  const [events, setEvents] = useState(EVENTS);
+  const [channel, setChannel] = useState("");
+  const [incomingName, setIncomingName] = useState("");
+  const [incomingChannel, setIncomingChannel] = useState(DEFAULT_CHANNEL);
+
+  const urlOf = (hookId) => webhooks.find((webhook) => webhook.webhookId === hookId)?.url || hookId;
+
+  const create = async () => {
+    if (await onCreate({ url: url.trim(), events, channel: channel || null })) {
+      setUrl("");
+    }
+  };
+
+  const createIncoming = async () => {
+    if (await onCreateIncoming({ name: incomingName.trim(), channel: incomingChannel })) {
+      setIncomingName("");
+    }
+  };
+
+  const toggleEvent = (event, checked) => {
+    setEvents(checked
+      ? EVENTS.filter((other) => other === event || events.includes(other))
+      : events.filter((other) => other !== event));
+  };
+
+  return (
+    <details className="mb-4 text-sm">
+      <summary className="cursor-pointer mb-2">
+        Webhooks ({webhooks.length + incoming.length})
+      </summary>
+
+      {created && (
+        <div className="mb-2 p-2 bg-green-50 border border-green-200 rounded-md">
+          <p className="text-xs text-green-800 mb-1">
+            {created.kind === "outgoing" ? (
+              <>Signing secret for <strong>{created.url}</strong>.</>
+            ) : (
+              <>URL for <strong>{created.name}</strong>; anyone with it can add clips.</>
+            )}{" "}
+            Copy it now &ndash; it won&apos;t be shown again.
+          </p>
+          <input
+            type="text"
+            readOnly
+            value={
+              created.kind === "outgoing"
+                ? created.secret
+                : `${SERVER_URL}/api/hooks/${sessionCode}/${created.token}`
+            }
+            onFocus={(e) => e.target.select()}
+            className="p-1 border rounded w-full font-mono text-xs mb-1"
+          />
+          <button onClick={onDismiss} className="text-xs text-gray-500 hover:underline">
+            Done
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-xs text-red-600 mb-2">{error}</p>}
+
+      <p className="text-xs text-gray-500 mb-1">Outgoing</p>
+      <ul className="mb-2 space-y-1">
+        {webhooks.map((webhook) => (
+          <li key={webhook.webhookId} className="flex justify-between items-center">
+            <span className="truncate mr-2" title={webhook.url}>
+              {webhook.url}
+              <span className="text-xs text-gray-400">
+                {" "}· {webhook.events.length === EVENTS.length ? "all events" : webhook.events.join(", ")}
+                {webhook.channel && ` · #${webhook.channel}`}
+              </span>
+            </span>
+            <span className="shrink-0 text-xs">
+              <button onClick={() => onTest(webhook.webhookId)} className="text-blue-500 hover:underline mr-2">
+                Test
+              </button>
+              <button onClick={() => onDelete(webhook.webhookId)} className="text-red-500 hover:underline">
+                Delete
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex mb-1">
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && url.trim() && create()}
+          className="p-1 border rounded w-full mr-2"
+          placeholder="https://example.com/clipboard-hook"
+        />
+        <button
+          onClick={create}
+          disabled={!url.trim() || events.length === 0}
+          className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50 shrink-0"
+        >
+          Add
+        </button>
+      </div>
+      <div className="flex flex-wrap items-center gap-x-3 mb-3 text-xs">
+        {EVENTS.map((event) => (
+          <label key={event} className="flex items-center">
+            <input
+              type="checkbox"
+              checked={events.includes(event)}
+              onChange={(e) => toggleEvent(event, e.target.checked)}
+              className="mr-1"
+            />
+            {event}
+          </label>
+        ))}
+        <select
+          value={channel}
+          onChange={(e) => setChannel(e.target.value)}
+          className="p-0.5 border rounded"
+          title="Only clips in this channel"
+        >
+          <option value="">Clips from any channel</option>
+          {channels.map((name) => (
+            <option key={name} value={name}>#{name} only</option>
+          ))}
+        </select>
+      </div>
+
+      <p className="text-xs text-gray-500 mb-1">Incoming</p>
+      <ul className="mb-2 space-y-1">
+        {incoming.map((hook) => (
+          <li key={hook.hookId} className="flex justify-between items-center">
+            <span className="truncate mr-2">
+              {hook.name}
+              <span className="text-xs text-gray-400">
+                {" "}· #{hook.channel} ·{" "}
+                {hook.lastUsed ? `used ${new Date(hook.lastUsed).toLocaleString()}` : "never used"}
+              </span>
+            </span>
+            <button
+              onClick={() => onDeleteIncoming(hook.hookId)}
+              className="text-xs text-red-500 hover:underline shrink-0"
+            >
+              Delete
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex mb-3">
+        <input
+          type="text"
+          value={incomingName}
+          onChange={(e) => setIncomingName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && createIncoming()}
+          maxLength={64}
+          className="p-1 border rounded w-full mr-2"
+          placeholder="Name, e.g. Zapier"
+        />
+        <select
+          value={incomingChannel}
+          onChange={(e) => setIncomingChannel(e.target.value)}
+          className="p-1 border rounded mr-2"
+        >
+          {channels.map((name) => (
+            <option key={name} value={name}>#{name}</option>
+          ))}
+        </select>
+        <button
+          onClick={createIncoming}
+          className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 shrink-0"
+        >
+          Create
+        </button>
+      </div>
+
+      <p className="text-xs text-gray-500 mb-1">
+        Recent deliveries{" "}
+        <button onClick={onRefresh} className="text-blue-500 hover:underline">
+          Refresh
+        </button>
+      </p>
+      {deliveries.length === 0 ? (
+        <p className="text-xs text-gray-400">None yet</p>
+      ) : (
+        <ul className="max-h-40 overflow-y-auto text-xs space-y-0.5">
+          {deliveries.map((delivery) => (
+            <li key={delivery.id} className="flex justify-between">
+              <span className="truncate mr-2">
+                {new Date(delivery.createdAt).toLocaleTimeString()} {delivery.event}
+                <span className="text-gray-400"> → {urlOf(delivery.webhookId)}</span>
+              </span>
+              <span
+                className={`shrink-0 ${STATE_STYLES[delivery.state] || ""}`}
+                title={delivery.nextAttemptAt ? `Next try ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}` : undefined}
+              >
+                {delivery.state}
+                {delivery.error && ` (${delivery.error})`}
+                {delivery.attempts > 1 && ` · ${delivery.attempts} tries`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+}
+
+export default Webhooks;
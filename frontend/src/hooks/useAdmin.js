@@ -0,0 +1,113 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { SERVER_URL } from "../utils/server";
+
+const TOKEN_KEY = "clipboard-sync:admin-token";
+const REFRESH_INTERVAL = 10000;
+
+// The server's admin API. The admin token is kept in sessionStorage, so it is
+// forgotten when the tab is closed.
+function useAdmin() {
+  const [token, setToken] = useState(() => sessionStorage.getItem(TOKEN_KEY) || "");
+  const [stats, setStats] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  // Devices of the sessions that are expanded, by session ref
+  const [devices, setDevices] = useState({});
+  const [error, setError] = useState("");
+
+  const signIn = (value) => {
+    sessionStorage.setItem(TOKEN_KEY, value);
+    setToken(value);
+  };
+
+  const signOut = useCallback(() => {
+    sessionStorage.removeItem(TOKEN_KEY);
+    setToken("");
+    setStats(null);
+    setSessions([]);
+    setDevices({});
+  }, []);
+
+  const request = useCallback(async (method, path) => {
+    try {
+      const res = await axios({
+        method,
+        url: `${SERVER_URL}/api/admin${path}`,
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setError("");
+      return res.data;
+    } catch (err) {
+      console.error("❌ Admin request failed:", err);
+      setError(err.response?.data?.error?.message || "Couldn't reach the server");
+      if (err.response?.status === 401) {
+        signOut();
+      }
+      return null;
+    }
+  }, [token, signOut]);
+
+  const refresh = useCallback(async () => {
+    const [statsData, sessionsData] = await Promise.all([
+      request("get", "/stats"),
+      request("get", "/sessions"),
+    ]);
+    if (statsData) setStats(statsData);
+    if (sessionsData) setSessions(sessionsData.sessions);
+  }, [request]);
+
+  const loadDevices = async (ref) => {
+    const data = await request("get", `/sessions/${ref}`);
+    if (data) {
+      setDevices((current) => ({ ...current, [ref]: data.session.devices }));
+    }
+  };
+
+  const hideDevices = (ref) => {
+    setDevices((current) => {
+      const next = { ...current };
+      delete next[ref];
+      return next;
+    });
+  };
+
+  const expireSession = async (ref) => {
+    if (await request("delete", `/sessions/${ref}`)) {
+      hideDevices(ref);
+      refresh();
+    }
+  };
+
+  const disconnectDevice = async (ref, memberId, { remove = false } = {}) => {
+    const query = remove ? "?remove=true" : "";
+    if (await request("delete", `/sessions/${ref}/devices/${memberId}${query}`)) {
+      loadDevices(ref);
+      refresh();
+    }
+  };
+
+  useEffect(() => {
+    if (!token) return;
+
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [token, refresh]);
+
+  return {
+    signedIn: !!token,
+    stats,
+    sessions,
+    devices,
+    error,
+    signIn,
+    signOut,
+    refresh,
+    loadDevices,
+    hideDevices,
+    expireSession,
+    disconnectDevice,
+  };
+}
+
+export default useAdmin;
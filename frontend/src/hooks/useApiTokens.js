@@ -0,0 +1,57 @@
+import { useCallback, useEffect, useState } from "react";
+
+// The session's HTTP API tokens, managed by the session owner. A new token is
+// only shown once, right after it was created.
+function useApiTokens({ socket, sessionCode, enabled }) {
+  const [tokens, setTokens] = useState([]);
+  const [createdToken, setCreatedToken] = useState(null);
+  const [error, setError] = useState("");
+
+  const refresh = useCallback(async () => {
+    const response = await socket.emitWithAck("list-api-tokens", { sessionCode });
+    if (response.error) {
+      setError(response.error);
+      return;
+    }
+    setTokens(response.tokens);
+  }, [socket, sessionCode]);
+
+  const createToken = async (name) => {
+    const response = await socket.emitWithAck("create-api-token", { sessionCode, name });
+    if (response.error) {
+      setError(response.error);
+      return;
+    }
+    setError("");
+    setCreatedToken(response);
+    refresh();
+  };
+
+  const revokeToken = async (tokenId) => {
+    const response = await socket.emitWithAck("revoke-api-token", { sessionCode, tokenId });
+    if (response.error) {
+      setError(response.error);
+      return;
+    }
+    if (createdToken?.tokenId === tokenId) {
+      setCreatedToken(null);
+    }
+    refresh();
+  };
+
+  useEffect(() => {
+    if (!socket || !enabled) return;
+    refresh();
+  }, [socket, enabled, refresh]);
+
+  return {
+    tokens,
+    createdToken,
+    error,
+    createToken,
+    revokeToken,
+    dismissCreatedToken: () => setCreatedToken(null),
+  };
+}
+
+export default useApiTokens;
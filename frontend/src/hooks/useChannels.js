@@ -0,0 +1,72 @@
+import { useEffect, useState } from "react";
+import {
+  DEFAULT_CHANNEL,
+  channelSettingsOf,
+  loadChannelSettings,
+  saveChannelSettings,
+} from "../utils/channels";
+
+// The session's channels, the ones this device subscribes to, and what
+// monitoring and auto-copy do with each on this device. The channel list
+// comes with the session settings and the subscription with the device
+// roster, so both stay current through session-update.
+function useChannels({ socket, sessionCode, memberId, members, settings }) {
+  const [local, setLocal] = useState({});
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setLocal(sessionCode ? loadChannelSettings(sessionCode) : {});
+  }, [sessionCode]);
+
+  const channels = settings?.channels || [DEFAULT_CHANNEL];
+  const subscribed =
+    members.find((member) => member.memberId === memberId)?.channels || channels;
+
+  const createChannel = async (name) => {
+    const response = await socket.emitWithAck("create-channel", { sessionCode, name });
+    if (response.error) {
+      setError(response.error);
+      return null;
+    }
+    setError("");
+    return response.channel;
+  };
+
+  const deleteChannel = (name) => {
+    socket.emit("delete-channel", { sessionCode, name });
+  };
+
+  // Resolves to true once the server has changed the subscription
+  const setSubscribed = async (list) => {
+    const response = await socket.emitWithAck("set-channels", { sessionCode, channels: list });
+    if (response.error) {
+      setError(response.error);
+      return false;
+    }
+    setError("");
+    return true;
+  };
+
+  // Change what monitoring ({ send }) or auto-copy ({ receive }) does with a
+  // channel on this device
+  const updateSettings = (channel, changes) => {
+    setLocal(prev => {
+      const next = { ...prev, [channel]: { ...channelSettingsOf(prev, channel), ...changes } };
+      saveChannelSettings(sessionCode, next);
+      return next;
+    });
+  };
+
+  return {
+    channels,
+    subscribed,
+    settings: local,
+    error,
+    createChannel,
+    deleteChannel,
+    setSubscribed,
+    updateSettings,
+  };
+}
+
+export default useChannels;
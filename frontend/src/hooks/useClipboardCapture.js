@@ -0,0 +1,155 @@
+import { useCallback, useEffect, useRef } from "react";
+import {
+  isEmptyItem,
+  itemHash,
+  itemSignature,
+  readClipboardItem,
+  readPasteEvent,
+} from "../utils/clipboardItem";
+
+// Polling slows down from MIN_POLL_MS to MAX_POLL_MS while the clipboard
+// stays the same, and speeds up again when it changes
+const MIN_POLL_MS = 1000;
+const MAX_POLL_MS = 15000;
+
+// How many items written to the clipboard here are remembered
+const MAX_WRITTEN = 20;
+
+const isEditable = (target) =>
+  !!target?.isContentEditable || ["INPUT", "TEXTAREA"].includes(target?.tagName);
+
+// Clipboard monitoring: calls onCapture(item) for each new copy while
+// `active`. Copies are noticed through copy, cut and paste events in the
+// page and by looking at the clipboard whenever the page gets focus back;
+// polling is the fallback for copies made in other applications while the
+// page has focus. onError(err) is called if the clipboard can't be read.
+//
+// Items written to the clipboard after noteWritten(), i.e. ones received
+// from other devices, are never captured: they would otherwise look like a
+// new copy and be sent straight back. They are told apart by their content
+// hash, as reading the clipboard back doesn't always give the same
+// representations that were written.
+function useClipboardCapture({ active, hashKey, onCapture, onError }) {
+  const written = useRef([]);
+  const handlers = useRef({ onCapture, onError });
+
+  useEffect(() => {
+    handlers.current = { onCapture, onError };
+  });
+
+  // Call before writing an item to the clipboard
+  const noteWritten = useCallback(async (item) => {
+    if (!hashKey.current) return;
+    const hash = await itemHash(hashKey.current, item);
+    written.current = [hash, ...written.current.filter((other) => other !== hash)]
+      .slice(0, MAX_WRITTEN);
+  }, [hashKey]);
+
+  useEffect(() => {
+    if (!active) return;
+
+    // Signature of what was last seen on the clipboard
+    let last = null;
+    let delay = MIN_POLL_MS;
+    let timer = null;
+    let stopped = false;
+    // Clipboard reads run one at a time
+    let queue = Promise.resolve(false);
+
+    // Resolves to true if the item was new and captured. The first item seen
+    // is what was on the clipboard before monitoring started.
+    const consider = async (item) => {
+      const signature = itemSignature(item);
+      if (signature === last) return false;
+      const isFirst = last === null;
+      last = signature;
+      if (isFirst || stopped || isEmptyItem(item)) return false;
+
+      if (hashKey.current && written.current.includes(await itemHash(hashKey.current, item))) {
+        console.log("📋 Clipboard holds an item received here, not sending it back");
+        return false;
+      }
+      console.log("📋 Clipboard content changed");
+      handlers.current.onCapture(item);
+      return true;
+    };
+
+    const enqueue = (read) => {
+      queue = queue.then(async () => {
+        try {
+          return await consider(await read());
+        } catch (err) {
+          // Don't stop monitoring on occasional errors
+          console.error("❌ Failed to read clipboard:", err);
+          return false;
+        }
+      });
+      return queue;
+    };
+
+    // Reading the clipboard needs focus
+    const poll = async () => {
+      const changed = document.hasFocus() && (await enqueue(readClipboardItem));
+      delay = changed ? MIN_POLL_MS : Math.min(delay * 2, MAX_POLL_MS);
+      if (!stopped) {
+        timer = setTimeout(poll, delay);
+      }
+    };
+
+    // The clipboard probably changed: look shortly (copy and cut update it
+    // after their handlers run) and poll quickly again
+    const checkSoon = () => {
+      clearTimeout(timer);
+      delay = MIN_POLL_MS;
+      timer = setTimeout(poll, 100);
+    };
+
+    const handleVisibility = () => {
+      if (document.visibilityState === "visible") checkSoon();
+    };
+
+    // Pastes into the page outside of text fields, which also works where
+    // the clipboard can't be read otherwise. clipboardData is only readable
+    // during the event, so it is read before waiting for anything else.
+    const handlePaste = (event) => {
+      if (isEditable(event.target)) return;
+      const pasted = readPasteEvent(event);
+      enqueue(() => pasted);
+    };
+
+    // Reading once asks for permission
+    enqueue(async () => {
+      try {
+        const item = await readClipboardItem();
+        console.log("✅ Clipboard permission granted");
+        return item;
+      } catch (err) {
+        console.error("❌ Clipboard permission denied:", err);
+        if (!stopped) handlers.current.onError(err);
+        throw err;
+      }
+    }).then(() => {
+      if (!stopped) timer = setTimeout(poll, delay);
+    });
+
+    document.addEventListener("copy", checkSoon);
+    document.addEventListener("cut", checkSoon);
+    document.addEventListener("paste", handlePaste);
+    document.addEventListener("visibilitychange", handleVisibility);
+    window.addEventListener("focus", checkSoon);
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      document.removeEventListener("copy", checkSoon);
+      document.removeEventListener("cut", checkSoon);
+      document.removeEventListener("paste", handlePaste);
+      document.removeEventListener("visibilitychange", handleVisibility);
+      window.removeEventListener("focus", checkSoon);
+    };
+  }, [active, hashKey]);
+
+  return { noteWritten };
+}
+
+export default useClipboardCapture;
@@ -0,0 +1,194 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  HISTORY_PAGE_SIZE,
+  decodeEntry,
+  expiredPlaceholder,
+  mergeEntries,
+} from "../utils/history";
+
+const noteSeq = (lastSeq, seq) => {
+  lastSeq.current = Math.max(lastSeq.current, seq || 0);
+};
+
+// Session history as stored on the server: loaded page by page after
+// joining and kept in sync with deletions, pins, clears and expiry from any
+// device.
+// lastSeq is the highest sequence number seen, used to catch up after a
+// reconnect and to tell whether an incoming item is the newest one.
+function useClipboardHistory({ socket, sessionCode, cryptoKey }) {
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [total, setTotal] = useState(0);
+  const lastSeq = useRef(0);
+
+  // Fetch a page of history. Passing reset replaces what is loaded.
+  const loadHistory = useCallback(async (code, { reset = false } = {}) => {
+    if (!socket) return;
+
+    const offset = reset ? 0 : entries.length;
+    const response = await socket.emitWithAck("get-history", {
+      sessionCode: code,
+      offset,
+      limit: HISTORY_PAGE_SIZE,
+    });
+    if (response.error) {
+      console.error("❌ Failed to load history:", response.error);
+      return;
+    }
+
+    const decoded = await Promise.all(
+      response.history.map((entry) => decodeEntry(cryptoKey.current, entry))
+    );
+    if (reset) {
+      lastSeq.current = 0;
+    }
+    noteSeq(lastSeq, response.lastSeq);
+    setEntries(prev => (reset ? decoded : mergeEntries(prev, decoded)));
+    setHasMore(response.hasMore);
+    setTotal(response.total);
+  }, [socket, cryptoKey, entries.length]);
+
+  // After a reconnect: fetch only what was added while we were away, and
+  // apply deletions and pins we missed
+  const catchUp = useCallback(async (code) => {
+    if (!socket) return;
+
+    const response = await socket.emitWithAck("get-history", {
+      sessionCode: code,
+      since: lastSeq.current,
+    });
+    if (response.error) {
+      console.error("❌ Failed to catch up on history:", response.error);
+      return;
+    }
+
+    const decoded = await Promise.all(
+      response.history.map((entry) => decodeEntry(cryptoKey.current, entry))
+    );
+    const pins = new Map(response.current.map(({ id, pinned }) => [id, pinned]));
+    noteSeq(lastSeq, response.lastSeq);
+    setEntries(prev => mergeEntries(
+      prev
+        .filter((entry) => pins.has(entry.id))
+        .map((entry) => ({ ...entry, pinned: !!pins.get(entry.id) })),
+      decoded
+    ));
+    setTotal(response.current.length);
+  }, [socket, cryptoKey]);
+
+  // Decode a newly stored entry and add it to the top of the list. Resolves
+  // to the decoded entry.
+  const addEntry = useCallback(async (entry) => {
+    noteSeq(lastSeq, entry.seq);
+    const decoded = await decodeEntry(cryptoKey.current, entry);
+    setEntries(prev => mergeEntries(prev, [decoded]));
+    setTotal(prev => prev + 1);
+    return decoded;
+  }, [cryptoKey]);
+
+  const resetHistory = useCallback(() => {
+    setEntries([]);
+    setHasMore(false);
+    setTotal(0);
+    lastSeq.current = 0;
+  }, []);
+
+  const deleteEntry = (id) => {
+    socket.emit("delete-history-item", { sessionCode, id });
+  };
+
+  // Fetch the contents of a read-limited entry, which counts as reading it,
+  // and show them. Resolves to the decoded entry, or null if it is gone.
+  const readEntry = useCallback(async (id) => {
+    const response = await socket.emitWithAck("item-read", { sessionCode, id });
+    if (response.error) {
+      console.error("❌ Couldn't read item:", response.error);
+      return null;
+    }
+
+    const decoded = await decodeEntry(cryptoKey.current, response.entry);
+    // The last read removes it everywhere; its placeholder stays
+    setEntries(prev =>
+      prev.map((entry) => (entry.id === id && !entry.expired ? decoded : entry))
+    );
+    return decoded;
+  }, [socket, sessionCode, cryptoKey]);
+
+  // Drop an expired item's placeholder; it is only kept on this device
+  const dismissEntry = (id) => {
+    setEntries(prev => prev.filter((entry) => entry.id !== id));
+  };
+
+  const pinEntry = (id, pinned) => {
+    socket.emit("pin-history-item", { sessionCode, id, pinned });
+  };
+
+  // Clear one channel's history, or all of it when none is given
+  const clearEntries = (channel) => {
+    socket.emit("clear-history", { sessionCode, ...(channel && { channel }) });
+  };
+
+  const setHistoryLimit = (limit) => {
+    socket.emit("set-history-limit", { sessionCode, limit });
+  };
+
+  useEffect(() => {
+    if (!socket) return;
+
+    // The socket may be in other sessions too
+    const isOurs = (payload) => payload.sessionCode === sessionCode;
+
+    // Expired items leave a placeholder so it's clear where they went
+    const handleRemoved = ({ id, reason, ...payload }) => {
+      if (!isOurs(payload)) return;
+      setEntries(prev =>
+        reason === "expired"
+          ? prev.map((entry) => (entry.id === id ? expiredPlaceholder(entry) : entry))
+          : prev.filter((entry) => entry.id !== id)
+      );
+      setTotal(prev => Math.max(0, prev - 1));
+    };
+
+    const handleUpdated = ({ id, changes, ...payload }) => {
+      if (!isOurs(payload)) return;
+      setEntries(prev =>
+        prev.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry))
+      );
+    };
+
+    // Bulk changes (clear, new history length): start over from the server
+    const handleChanged = (payload) => {
+      if (!isOurs(payload)) return;
+      loadHistory(sessionCode, { reset: true });
+    };
+
+    socket.on("history-removed", handleRemoved);
+    socket.on("history-updated", handleUpdated);
+    socket.on("history-changed", handleChanged);
+
+    return () => {
+      socket.off("history-removed", handleRemoved);
+      socket.off("history-updated", handleUpdated);
+      socket.off("history-changed", handleChanged);
+    };
+  }, [socket, sessionCode, loadHistory]);
+
+  return {
+    entries,
+    hasMore,
+    total,
+    lastSeq,
+    loadHistory,
+    catchUp,
+    addEntry,
+    resetHistory,
+    deleteEntry,
+    readEntry,
+    dismissEntry,
+    pinEntry,
+    clearEntries,
+    setHistoryLimit,
+  };
+}
+
+export default useClipboardHistory;
@@ -0,0 +1,176 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { DecryptionError } from "../utils/crypto";
+import {
+  TransferFailedError,
+  createTransferId,
+  decodeFileMeta,
+  receiveFile,
+  saveBlob,
+  sendFile,
+} from "../utils/fileTransfer";
+
+// Tracks file uploads and downloads for one joined session. Transfers that
+// are interrupted by a disconnect are paused and resumed automatically once
+// the device has rejoined the session.
+function useFileTransfers({ socket, sessionCode, joinedSession, cryptoKey, onFileAvailable }) {
+  const [transfers, setTransfers] = useState({});
+  const uploads = useRef(new Map());
+  const downloads = useRef(new Map());
+
+  const updateTransfer = useCallback((id, patch) => {
+    setTransfers(prev => ({ ...prev, [id]: { ...prev[id], id, ...patch } }));
+  }, []);
+
+  // Server-side rejections and bad data are final; anything else (timeouts
+  // while the socket is down) pauses the transfer until we reconnect
+  const handleFailure = useCallback((id, pending, err) => {
+    if (err instanceof TransferFailedError || err instanceof DecryptionError) {
+      pending.delete(id);
+      updateTransfer(id, { status: "error", error: err.message });
+    } else {
+      console.log(`⏸️ Transfer ${id} paused:`, err.message);
+      updateTransfer(id, { status: "paused" });
+    }
+  }, [updateTransfer]);
+
+  const runUpload = useCallback(async (upload) => {
+    if (upload.running) return;
+    upload.running = true;
+    updateTransfer(upload.id, { status: "sending", error: null });
+    try {
+      await sendFile({
+        socket,
+        key: cryptoKey.current,
+        sessionCode,
+        upload,
+        onProgress: (progress) => updateTransfer(upload.id, { progress }),
+      });
+
+      uploads.current.delete(upload.id);
+      updateTransfer(upload.id, { status: "done", progress: 1 });
+    } catch (err) {
+      handleFailure(upload.id, uploads.current, err);
+    } finally {
+      upload.running = false;
+    }
+  }, [socket, sessionCode, cryptoKey, updateTransfer, handleFailure]);
+
+  const runDownload = useCallback(async (download) => {
+    const { entry } = download;
+    if (download.running) return;
+    download.running = true;
+    updateTransfer(entry.transferId, { status: "downloading", error: null });
+    try {
+      const { blob, meta } = await receiveFile({
+        socket,
+        key: cryptoKey.current,
+        sessionCode,
+        entry,
+        chunks: download.chunks,
+        onProgress: (progress) => updateTransfer(entry.transferId, { progress }),
+      });
+
+      downloads.current.delete(entry.transferId);
+      updateTransfer(entry.transferId, { status: "done", progress: 1 });
+      saveBlob(blob, meta.name);
+    } catch (err) {
+      handleFailure(entry.transferId, downloads.current, err);
+    } finally {
+      download.running = false;
+    }
+  }, [socket, sessionCode, cryptoKey, updateTransfer, handleFailure]);
+
+  const sendFiles = useCallback((files) => {
+    files.forEach((file) => {
+      const upload = { id: createTransferId(), file };
+      uploads.current.set(upload.id, upload);
+      updateTransfer(upload.id, {
+        direction: "send",
+        name: file.name,
+        size: file.size,
+        progress: 0,
+        status: "sending",
+      });
+      runUpload(upload);
+    });
+  }, [runUpload, updateTransfer]);
+
+  const downloadFile = useCallback((entry) => {
+    let download = downloads.current.get(entry.transferId);
+    if (!download) {
+      download = { entry, chunks: [] };
+      downloads.current.set(entry.transferId, download);
+    }
+
+    updateTransfer(entry.transferId, {
+      direction: "receive",
+      name: entry.name,
+      size: entry.size,
+      progress: 0,
+    });
+    runDownload(download);
+  }, [runDownload, updateTransfer]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const describe = async (payload) => {
+      try {
+        return await decodeFileMeta(cryptoKey.current, payload.data ?? payload.meta);
+      } catch (err) {
+        if (!(err instanceof DecryptionError)) throw err;
+        return null;
+      }
+    };
+
+    // The socket may be in other sessions too
+    const isOurs = (payload) => payload.sessionCode === sessionCode;
+
+    const handleIncoming = async (transfer) => {
+      if (!isOurs(transfer)) return;
+      const meta = await describe(transfer);
+      updateTransfer(transfer.transferId, {
+        direction: "receive",
+        name: meta ? meta.name : "🔒 Encrypted file",
+        size: transfer.size,
+        progress: 0,
+        status: "incoming",
+      });
+    };
+
+    const handleProgress = ({ transferId, received, totalChunks, ...payload }) => {
+      if (!isOurs(payload)) return;
+      updateTransfer(transferId, { progress: received / totalChunks });
+    };
+
+    // Sent to every device including the sender, as the stored history entry
+    const handleComplete = (entry) => {
+      if (!isOurs(entry)) return;
+      updateTransfer(entry.transferId, { status: "done", progress: 1 });
+      onFileAvailable(entry);
+    };
+
+    socket.on("file-incoming", handleIncoming);
+    socket.on("file-progress", handleProgress);
+    socket.on("file-complete", handleComplete);
+
+    return () => {
+      socket.off("file-incoming", handleIncoming);
+      socket.off("file-progress", handleProgress);
+      socket.off("file-complete", handleComplete);
+    };
+  }, [socket, sessionCode, cryptoKey, onFileAvailable, updateTransfer]);
+
+  // Pick up where we left off once we're back in the session. The server
+  // only accepts transfer events from admitted members.
+  useEffect(() => {
+    if (!joinedSession) return;
+
+    uploads.current.forEach((upload) => runUpload(upload));
+    downloads.current.forEach((download) => runDownload(download));
+  }, [joinedSession, runUpload, runDownload]);
+
+  return { transfers, sendFiles, downloadFile };
+}
+
+export default useFileTransfers;
@@ -0,0 +1,19 @@
+import { useEffect, useState } from "react";
+
+// The current time, updated every `interval` ms while `active`, for
+// countdowns
+function useNow(active, interval = 1000) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!active) return;
+
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(timer);
+  }, [active, interval]);
+
+  return now;
+}
+
+export default useNow;
@@ -0,0 +1,78 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const ACK_TIMEOUT = 10000;
+
+// Clips waiting for the server to acknowledge them. Clips sent while offline,
+// or whose acknowledgement never arrived, stay queued and go out in order once
+// the device is back in the session. Each clip gets a clipId so the server
+// recognises a resend of something it already stored. A clip the server
+// refused for coming in too fast is sent again once the wait is over.
+function useOutbox({ socket, joinedSession }) {
+  const queue = useRef([]);
+  const flushing = useRef(false);
+  const [pending, setPending] = useState(0);
+  const [retryAt, setRetryAt] = useState(null);
+
+  const flush = useCallback(async () => {
+    if (!socket || !joinedSession || retryAt || flushing.current) return;
+    flushing.current = true;
+
+    try {
+      while (queue.current.length > 0 && socket.connected) {
+        const clip = queue.current[0];
+        let response;
+        try {
+          response = await socket
+            .timeout(ACK_TIMEOUT)
+            .emitWithAck("copy-text", clip.payload);
+        } catch {
+          // No ack in time; try again on the next reconnect or send
+          console.log("⏸️ Clip not acknowledged, keeping it queued");
+          break;
+        }
+
+        if (response.retryAfter) {
+          console.log(`⏸️ Sending too fast, retrying in ${response.retryAfter}s`);
+          setRetryAt(Date.now() + response.retryAfter * 1000);
+          break;
+        }
+
+        queue.current.shift();
+        setPending(queue.current.length);
+        clip.resolve(response);
+      }
+    } finally {
+      flushing.current = false;
+    }
+  }, [socket, joinedSession, retryAt]);
+
+  // Queue a copy-text payload. Resolves to the server's acknowledgement,
+  // { id, seq } or { error }, whenever it arrives.
+  const send = useCallback((payload) => new Promise((resolve) => {
+    queue.current.push({
+      payload: { ...payload, clipId: crypto.randomUUID() },
+      resolve,
+    });
+    setPending(queue.current.length);
+    flush();
+  }), [flush]);
+
+  // Flush whatever piled up while we were away
+  useEffect(() => {
+    if (joinedSession) {
+      flush();
+    }
+  }, [joinedSession, flush]);
+
+  // Clearing retryAt re-creates flush, which sends the queue again above
+  useEffect(() => {
+    if (!retryAt) return;
+
+    const timer = setTimeout(() => setRetryAt(null), retryAt - Date.now());
+    return () => clearTimeout(timer);
+  }, [retryAt]);
+
+  return { send, pending };
+}
+
+export default useOutbox;
@@ -0,0 +1,67 @@
+import { useCallback, useEffect, useState } from "react";
+
+// The pairing code this device shows so another one can join its session.
+// Codes work once and expire after a couple of minutes, so while we're in the
+// session a new one is fetched whenever the current one expires or another
+// device uses it.
+function usePairingCode({ socket, sessionCode, joinedSession }) {
+  const [pairing, setPairing] = useState(null);
+
+  const refresh = useCallback(async () => {
+    const response = await socket.emitWithAck("create-pairing-code", { sessionCode });
+    if (response.error) {
+      console.error("❌ Couldn't get a pairing code:", response.error);
+      return;
+    }
+    setPairing({ ...response, sessionCode });
+  }, [socket, sessionCode]);
+
+  useEffect(() => {
+    if (!socket || !joinedSession) return;
+    refresh();
+  }, [socket, joinedSession, refresh]);
+
+  // Replace the code when it expires, or mark it expired if we can't ask for
+  // a new one yet
+  useEffect(() => {
+    if (!pairing || pairing.expired) return;
+
+    const timer = setTimeout(() => {
+      if (joinedSession) {
+        refresh();
+      } else {
+        setPairing((current) => (current === pairing ? { ...pairing, expired: true } : current));
+      }
+    }, Math.max(0, new Date(pairing.expiresAt) - Date.now()));
+    return () => clearTimeout(timer);
+  }, [pairing, joinedSession, refresh]);
+
+  // Only a device in the session can ask for the next code
+  useEffect(() => {
+    if (!socket || !pairing || !joinedSession) return;
+
+    const handleUsed = ({ pairingCode }) => {
+      if (pairingCode === pairing.pairingCode) refresh();
+    };
+
+    socket.on("pairing-code-used", handleUsed);
+    return () => socket.off("pairing-code-used", handleUsed);
+  }, [socket, pairing, joinedSession, refresh]);
+
+  // Show a code that came with a newly created session
+  const show = useCallback(({ sessionCode: codeOf, pairingCode, expiresAt }) => {
+    setPairing({ sessionCode: codeOf, pairingCode, expiresAt });
+  }, []);
+
+  // A code only belongs to the session it was created for
+  const current = pairing?.sessionCode === sessionCode ? pairing : null;
+
+  return {
+    code: current?.pairingCode || null,
+    expiresAt: current?.expiresAt || null,
+    expired: !!current?.expired,
+    show,
+  };
+}
+
+export default usePairingCode;
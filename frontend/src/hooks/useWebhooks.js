@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useState } from "react";
+
+// The session's outgoing and incoming webhooks and the latest deliveries,
+// managed by the session owner. A new webhook's secret, or an incoming
+// webhook's token, is only shown once, right after it was created.
+function useWebhooks({ socket, sessionCode, enabled }) {
+  const [webhooks, setWebhooks] = useState([]);
+  const [incoming, setIncoming] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [created, setCreated] = useState(null);
+  const [error, setError] = useState("");
+
+  const refresh = useCallback(async () => {
+    const response = await socket.emitWithAck("list-webhooks", { sessionCode });
+    if (response.error) {
+      setError(response.error);
+      return;
+    }
+    setWebhooks(response.webhooks);
+    setIncoming(response.incoming);
+    setDeliveries(response.deliveries);
+  }, [socket, sessionCode]);
+
+  // Emit an owner request. Resolves to the reply, or null after an error.
+  const request = async (event, payload) => {
+    const response = await socket.emitWithAck(event, { sessionCode, ...payload });
+    if (response.error) {
+      setError(response.error);
+      return null;
+    }
+    setError("");
+    refresh();
+    return response;
+  };
+
+  const createWebhook = async ({ url, events, channel }) => {
+    const response = await request("create-webhook", { url, events, channel });
+    if (response) setCreated({ kind: "outgoing", url, secret: response.secret });
+    return !!response;
+  };
+
+  const createIncoming = async ({ name, channel }) => {
+    const response = await request("create-incoming-webhook", { name, channel });
+    if (response) setCreated({ kind: "incoming", ...response });
+    return !!response;
+  };
+
+  const deleteWebhook = (webhookId) => request("delete-webhook", { webhookId });
+
+  const deleteIncoming = (hookId) => request("delete-incoming-webhook", { hookId });
+
+  // The ping's delivery is logged once it has been tried
+  const testWebhook = async (webhookId) => {
+    if (await request("test-webhook", { webhookId })) {
+      setTimeout(refresh, 2000);
+    }
+  };
+
+  useEffect(() => {
+    if (!socket || !enabled) return;
+    refresh();
+  }, [socket, enabled, refresh]);
+
+  return {
+    webhooks,
+    incoming,
+    deliveries,
+    created,
+    error,
+    refresh,
+    createWebhook,
+    createIncoming,
+    deleteWebhook,
+    deleteIncoming,
+    testWebhook,
+    dismissCreated: () => setCreated(null),
+  };
+}
+
+export default useWebhooks;
@@ -0,0 +1,38 @@
+// Named channels within a session ("default", "links", "code", ...), each
+// with its own latest item and history. The server decides which channels
+// this device gets items from (its subscription); which of them monitoring
+// sends copies to and auto-copy pastes from is a choice kept on this device,
+// per session, in localStorage.
+
+export const DEFAULT_CHANNEL = "default";
+
+// Lower case letters, digits, - and _, as the server accepts
+export const CHANNEL_NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// What a channel does on this device when nothing was chosen: monitoring
+// sends to the default channel only, and every channel is auto-copied
+const defaultChannelSettings = (channel) => ({
+  send: channel === DEFAULT_CHANNEL,
+  receive: true,
+});
+
+const storageKey = (sessionCode) => `clipboard-sync:channels:${sessionCode}`;
+
+export const loadChannelSettings = (sessionCode) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(sessionCode))) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const saveChannelSettings = (sessionCode, settings) => {
+  localStorage.setItem(storageKey(sessionCode), JSON.stringify(settings));
+};
+
+export const channelSettingsOf = (settings, channel) => ({
+  ...defaultChannelSettings(channel),
+  ...settings[channel],
+});
+
+export const channelOf = (entry) => entry.channel || DEFAULT_CHANNEL;
@@ -0,0 +1,194 @@
+// Typed clipboard items.
+//
+// An item holds one or more representations of the same clipboard content,
+// e.g. a formatted snippet as both text/html and text/plain, or a screenshot
+// as image/png:
+//
+//   { representations: [{ type: "text/plain", encoding: "utf8", data: "..." }] }
+//
+// Binary representations are base64 encoded. On the wire the whole item is
+// encrypted into a single envelope and only the list of MIME types and the
+// envelope itself are visible to the server:
+//
+//   { types: ["text/html", "text/plain"], data: "e2e1:...", hash: "h1:..." }
+//
+// hash identifies the content without revealing it (see itemHash), so the
+// server and other devices can tell two encryptions of the same copy apart
+// from a new one.
+
+import { decryptText, encryptText, hmacHex } from "./crypto";
+
+// Representations we read from and write back to the system clipboard, in
+// order of preference
+export const SUPPORTED_TYPES = ["image/png", "text/html", "text/plain"];
+
+// The server's default per-item limit, until the session settings give the
+// configured one (maxItemBytes)
+export const MAX_ITEM_BYTES = 10e6; // 10 MB
+
+const isTextType = (type) => type.startsWith("text/");
+
+const blobToBase64 = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(",")[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+const base64ToBlob = (data, type) =>
+  new Blob([Uint8Array.from(atob(data), (c) => c.charCodeAt(0))], { type });
+
+export const createTextItem = (text) => ({
+  representations: [{ type: "text/plain", encoding: "utf8", data: text }],
+});
+
+export const getRepresentation = (item, type) =>
+  item?.representations?.find((r) => r.type === type);
+
+export const getPlainText = (item) =>
+  getRepresentation(item, "text/plain")?.data || "";
+
+export const getImageUrl = (item) => {
+  const image = item?.representations?.find((r) => r.type.startsWith("image/"));
+  return image ? `data:${image.type};base64,${image.data}` : null;
+};
+
+export const isEmptyItem = (item) =>
+  !item?.representations?.some((r) =>
+    isTextType(r.type) ? r.data.trim() !== "" : r.data.length > 0
+  );
+
+// Cheap identity for change detection while polling the clipboard
+export const itemSignature = (item) =>
+  (item?.representations || []).map((r) => `${r.type}:${r.data}`).join("\n");
+
+// What an item's hash covers: its plain text if it has any, otherwise its
+// image. Rich representations are left out since browsers rewrite HTML when
+// it goes through the clipboard, and line endings are normalized since some
+// systems change them.
+const hashedContent = (item) => {
+  const text = getPlainText(item);
+  if (text) return `text:${text.replace(/\r\n?/g, "\n")}`;
+  const image = item.representations.find((r) => r.type.startsWith("image/"));
+  return image ? `${image.type}:${image.data}` : itemSignature(item);
+};
+
+// Keyed hash of an item's content (hashKey comes from deriveHashKey). The
+// same content gives the same hash on every device in the session.
+export const itemHash = async (hashKey, item) =>
+  `h1:${await hmacHex(hashKey, hashedContent(item))}`;
+
+// Read everything we understand from the system clipboard. Falls back to
+// plain text on browsers without navigator.clipboard.read().
+export const readClipboardItem = async () => {
+  if (!navigator.clipboard.read) {
+    return createTextItem(await navigator.clipboard.readText());
+  }
+
+  const representations = [];
+  const [clipboardItem] = await navigator.clipboard.read();
+  if (!clipboardItem) {
+    return { representations };
+  }
+
+  for (const type of SUPPORTED_TYPES) {
+    if (!clipboardItem.types.includes(type)) continue;
+
+    const blob = await clipboardItem.getType(type);
+    representations.push(
+      isTextType(type)
+        ? { type, encoding: "utf8", data: await blob.text() }
+        : { type, encoding: "base64", data: await blobToBase64(blob) }
+    );
+  }
+
+  return { representations };
+};
+
+// What a paste event carries, for browsers that only hand over the
+// clipboard when the user pastes. Must be called during the event.
+export const readPasteEvent = (event) => {
+  const { clipboardData } = event;
+  const found = SUPPORTED_TYPES.map((type) =>
+    isTextType(type)
+      ? { type, text: clipboardData.getData(type) }
+      : { type, file: [...clipboardData.files].find((f) => f.type === type) }
+  ).filter(({ text, file }) => text || file);
+
+  return Promise.all(
+    found.map(async ({ type, text, file }) =>
+      file
+        ? { type, encoding: "base64", data: await blobToBase64(file) }
+        : { type, encoding: "utf8", data: text }
+    )
+  ).then((representations) => ({ representations }));
+};
+
+// Write all representations back with ClipboardItem so the receiving
+// application can pick the richest one it understands
+export const writeClipboardItem = async (item) => {
+  const representations = item.representations.filter((r) =>
+    SUPPORTED_TYPES.includes(r.type)
+  );
+  const textOnly = representations.every((r) => r.type === "text/plain");
+
+  if (textOnly || !navigator.clipboard.write || !window.ClipboardItem) {
+    await navigator.clipboard.writeText(getPlainText(item));
+    return;
+  }
+
+  const blobs = {};
+  representations.forEach((r) => {
+    blobs[r.type] =
+      r.encoding === "base64"
+        ? base64ToBlob(r.data, r.type)
+        : new Blob([r.data], { type: r.type });
+  });
+
+  await navigator.clipboard.write([new ClipboardItem(blobs)]);
+};
+
+export class ItemTooLargeError extends Error {
+  constructor(size, limit = MAX_ITEM_BYTES) {
+    super(
+      `Clipboard item is too large (${(size / 1e6).toFixed(1)} MB). The limit is ${
+        limit / 1e6
+      } MB per item.`
+    );
+    this.name = "ItemTooLargeError";
+    this.size = size;
+    this.limit = limit;
+  }
+}
+
+// Encrypt an item for sending, with its hash if given a hashKey. Throws
+// ItemTooLargeError before anything is sent if the encrypted payload is over
+// the server's limit, `maxBytes`.
+export const encodeItem = async (key, item, hashKey, maxBytes = MAX_ITEM_BYTES) => {
+  const data = await encryptText(key, JSON.stringify(item));
+  if (data.length > maxBytes) {
+    throw new ItemTooLargeError(data.length, maxBytes);
+  }
+
+  return {
+    types: item.representations.map((r) => r.type),
+    data,
+    ...(hashKey && { hash: await itemHash(hashKey, item) }),
+  };
+};
+
+// Items sent before the typed model existed are a bare envelope around plain
+// text; those decode to a text item.
+export const decodeItem = async (key, wireItem) => {
+  const payload = typeof wireItem === "string" ? wireItem : wireItem?.data;
+  const plaintext = await decryptText(key, payload);
+
+  try {
+    const item = JSON.parse(plaintext);
+    if (Array.isArray(item?.representations)) return item;
+  } catch {
+    // Not JSON, fall through
+  }
+  return createTextItem(plaintext);
+};
@@ -0,0 +1,135 @@
+// End-to-end encryption for clipboard contents.
+//
+// The key is derived in the browser from the session secret and never leaves
+// the device; the server only ever sees the opaque envelope produced by
+// encryptText: "e2e1:<base64 iv>:<base64 ciphertext>".
+
+const PREFIX = "e2e1";
+const PBKDF2_ITERATIONS = 200000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export const toBase64 = (bytes) => {
+  let binary = "";
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary);
+};
+
+export const fromBase64 = (value) =>
+  Uint8Array.from(atob(value), (c) => c.charCodeAt(0));
+
+export class DecryptionError extends Error {
+  constructor(message = "Cannot decrypt clipboard item") {
+    super(message);
+    this.name = "DecryptionError";
+  }
+}
+
+export const isCryptoSupported = () => !!window.crypto?.subtle;
+
+// Random secret to share alongside a newly generated session code
+export const generateSecret = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(12));
+  return toBase64(bytes).replace(/[+/=]/g, "").slice(0, 16);
+};
+
+const deriveFromSecret = async (secret, salt, algorithm, usages) => {
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+
+  return crypto.subtle.deriveKey(
+    {
+      name: "PBKDF2",
+      salt: encoder.encode(salt),
+      iterations: PBKDF2_ITERATIONS,
+      hash: "SHA-256",
+    },
+    baseKey,
+    algorithm,
+    false,
+    usages
+  );
+};
+
+// Derive an AES-GCM key from the session secret. The session code is used as
+// the salt so the same secret yields different keys for different sessions.
+export const deriveKey = (secret, sessionCode) =>
+  deriveFromSecret(
+    secret,
+    `clipboard-sync:${sessionCode}`,
+    { name: "AES-GCM", length: 256 },
+    ["encrypt", "decrypt"]
+  );
+
+// Derive the HMAC key content hashes are made with (see itemHash in
+// clipboardItem.js). Without the secret, a hash doesn't tell the server
+// what was copied, even for short texts it could otherwise guess.
+export const deriveHashKey = (secret, sessionCode) =>
+  deriveFromSecret(
+    secret,
+    `clipboard-sync:hash:${sessionCode}`,
+    { name: "HMAC", hash: "SHA-256" },
+    ["sign"]
+  );
+
+export const isEncrypted = (payload) =>
+  typeof payload === "string" && payload.startsWith(`${PREFIX}:`);
+
+export const encryptBytes = async (key, bytes) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    bytes
+  );
+
+  return `${PREFIX}:${toBase64(iv)}:${toBase64(new Uint8Array(ciphertext))}`;
+};
+
+// Throws DecryptionError when the payload isn't an envelope or was encrypted
+// with a different secret (AES-GCM authentication fails).
+export const decryptBytes = async (key, payload) => {
+  if (!key || !isEncrypted(payload)) {
+    throw new DecryptionError();
+  }
+
+  const [, iv, ciphertext] = payload.split(":");
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(iv) },
+      key,
+      fromBase64(ciphertext)
+    );
+    return new Uint8Array(plaintext);
+  } catch {
+    throw new DecryptionError();
+  }
+};
+
+export const encryptText = (key, text) => encryptBytes(key, encoder.encode(text));
+
+export const decryptText = async (key, payload) =>
+  decoder.decode(await decryptBytes(key, payload));
+
+const toHex = (buffer) =>
+  [...new Uint8Array(buffer)]
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+
+export const sha256Hex = async (data) => {
+  const bytes = typeof data === "string" ? encoder.encode(data) : data;
+  return toHex(await crypto.subtle.digest("SHA-256", bytes));
+};
+
+export const hmacHex = async (key, data) => {
+  const bytes = typeof data === "string" ? encoder.encode(data) : data;
+  return toHex(await crypto.subtle.sign("HMAC", key, bytes));
+};
@@ -0,0 +1,52 @@
+// Identity of this browser as shown to the other devices in a session. The
+// device ID and name are kept in localStorage so reconnects and reloads are
+// recognized as the same device.
+
+const DEVICE_ID_KEY = "clipboard-sync:device-id";
+const DEVICE_NAME_KEY = "clipboard-sync:device-name";
+
+const detectBrowser = (ua) =>
+  /Edg\//.test(ua) ? "Edge"
+    : /Firefox\//.test(ua) ? "Firefox"
+    : /Chrome\//.test(ua) ? "Chrome"
+    : /Safari\//.test(ua) ? "Safari"
+    : "Browser";
+
+// Operating system, e.g. "Android" or "macOS"
+export const getPlatform = () => {
+  const ua = navigator.userAgent;
+
+  return /Android/.test(ua) ? "Android"
+    : /iPhone|iPad|iPod/.test(ua) ? "iOS"
+    : /Windows/.test(ua) ? "Windows"
+    : /Mac OS X/.test(ua) ? "macOS"
+    : /Linux/.test(ua) ? "Linux"
+    : "Unknown";
+};
+
+// A readable default name for this device, e.g. "Chrome on Android"
+export const defaultDeviceName = () =>
+  `${detectBrowser(navigator.userAgent)} on ${getPlatform()}`;
+
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+export const getDeviceName = () =>
+  localStorage.getItem(DEVICE_NAME_KEY) || defaultDeviceName();
+
+export const saveDeviceName = (name) => {
+  localStorage.setItem(DEVICE_NAME_KEY, name);
+};
+
+// Details registered with the server when joining a session
+export const describeDevice = (name) => ({
+  id: getDeviceId(),
+  name: name || defaultDeviceName(),
+  platform: getPlatform(),
+});
@@ -0,0 +1,45 @@
+// Items can expire after a number of minutes or after a number of other
+// devices have copied them (burn after reading is one). The sender picks
+// when sending; the server removes expired items on every device.
+
+export const MAX_EXPIRY_MINUTES = 7 * 24 * 60; // a week
+export const MAX_READS = 100;
+
+export const EXPIRY_MODES = [
+  { value: "none", label: "Keep in history" },
+  { value: "minutes", label: "Expire after minutes" },
+  { value: "reads", label: "Expire after devices copy it" },
+  { value: "burn", label: "Burn after reading" },
+];
+
+export const DEFAULT_EXPIRY = { mode: "none", minutes: 10, reads: 2 };
+
+const clamp = (value, max) => Math.min(Math.max(1, Math.round(value) || 1), max);
+
+// The expiry copy-text sends for a choice, or undefined for none
+export const expiryPayload = ({ mode, minutes, reads }) => {
+  switch (mode) {
+    case "minutes":
+      return { minutes: clamp(minutes, MAX_EXPIRY_MINUTES) };
+    case "reads":
+      return { reads: clamp(reads, MAX_READS) };
+    case "burn":
+      return { reads: 1 };
+    default:
+      return undefined;
+  }
+};
+
+// Time left as "4:05", "1 h 20 min" or "2 d 3 h"
+export const formatRemaining = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  if (hours >= 24) return `${Math.floor(hours / 24)} d ${hours % 24} h`;
+  if (hours >= 1) return `${hours} h ${minutes % 60} min`;
+  return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+// Read-limited items from another device come without their contents, which
+// are only fetched (counting the read) when this device copies them
+export const isSealed = (entry) => !!entry.withheld;
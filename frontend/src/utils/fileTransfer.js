@@ -0,0 +1,178 @@
+// Chunked, resumable file transfers over the session socket.
+//
+// Files are split into CHUNK_SIZE pieces, each encrypted separately with the
+// session key and acknowledged by the server. The file name, type and a
+// SHA-256 of the whole plaintext travel in an encrypted metadata envelope so
+// receivers can verify the reassembled file.
+
+import {
+  decryptBytes,
+  decryptText,
+  encryptBytes,
+  encryptText,
+  sha256Hex,
+} from "./crypto";
+
+export const CHUNK_SIZE = 512 * 1024; // 512 KB
+const ACK_TIMEOUT = 15000;
+const MAX_RETRIES = 3;
+
+export class TransferFailedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TransferFailedError";
+  }
+}
+
+// Emit and wait for the server's acknowledgement. Rejects if the server
+// reports an error or doesn't answer in time (e.g. the socket dropped), and
+// waits and sends again when the server says it's sending too fast.
+const request = async (socket, event, payload) => {
+  const response = await socket.timeout(ACK_TIMEOUT).emitWithAck(event, payload);
+  if (response?.retryAfter) {
+    await new Promise((resolve) => setTimeout(resolve, response.retryAfter * 1000));
+    return request(socket, event, payload);
+  }
+  if (response?.error) {
+    throw new TransferFailedError(response.error);
+  }
+  return response;
+};
+
+// Retry a step a few times when the server rejects it (e.g. a hash mismatch
+// from a corrupted chunk). Timeouts are not retried here; the caller pauses
+// and resumes the whole transfer once the socket reconnects.
+const withRetries = async (fn) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!(err instanceof TransferFailedError) || attempt >= MAX_RETRIES) {
+        throw err;
+      }
+    }
+  }
+};
+
+export const createTransferId = () => crypto.randomUUID();
+
+export const decodeFileMeta = async (key, metaEnvelope) =>
+  JSON.parse(await decryptText(key, metaEnvelope));
+
+// Upload a file, skipping chunks the server already has. `upload` is
+// { id, file } and is reused across attempts so a resumed transfer keeps its
+// ID and doesn't hash the file again.
+export const sendFile = async ({ socket, key, sessionCode, upload, onProgress }) => {
+  const { file } = upload;
+  const totalChunks = Math.max(1, Math.ceil(file.size / CHUNK_SIZE));
+
+  if (!upload.meta) {
+    upload.meta = await encryptText(
+      key,
+      JSON.stringify({
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        sha256: await sha256Hex(await file.arrayBuffer()),
+      })
+    );
+  }
+
+  const { received } = await request(socket, "file-start", {
+    sessionCode,
+    transferId: upload.id,
+    meta: upload.meta,
+    size: file.size,
+    totalChunks,
+  });
+
+  const done = new Set(received);
+  onProgress?.(done.size / totalChunks);
+
+  for (let index = 0; index < totalChunks; index++) {
+    if (done.has(index)) continue;
+
+    const slice = file.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+    const data = await encryptBytes(key, new Uint8Array(await slice.arrayBuffer()));
+    const hash = await sha256Hex(data);
+
+    await withRetries(() =>
+      request(socket, "file-chunk", {
+        sessionCode,
+        transferId: upload.id,
+        index,
+        data,
+        hash,
+      })
+    );
+
+    done.add(index);
+    onProgress?.(done.size / totalChunks);
+  }
+
+  return {
+    kind: "file",
+    transferId: upload.id,
+    data: upload.meta,
+    size: file.size,
+    totalChunks,
+  };
+};
+
+// Download and verify a completed file. `chunks` collects decrypted chunks
+// and is kept by the caller, so an interrupted download resumes where it
+// stopped.
+export const receiveFile = async ({
+  socket,
+  key,
+  sessionCode,
+  entry,
+  chunks,
+  onProgress,
+}) => {
+  const meta = await decodeFileMeta(key, entry.data);
+  const countDone = () => chunks.filter(Boolean).length;
+
+  for (let index = 0; index < entry.totalChunks; index++) {
+    if (chunks[index]) continue;
+
+    chunks[index] = await withRetries(async () => {
+      const { data, hash } = await request(socket, "file-get-chunk", {
+        sessionCode,
+        transferId: entry.transferId,
+        index,
+      });
+
+      if ((await sha256Hex(data)) !== hash) {
+        throw new TransferFailedError("Chunk hash mismatch");
+      }
+      return decryptBytes(key, data);
+    });
+
+    onProgress?.(countDone() / entry.totalChunks);
+  }
+
+  const blob = new Blob(chunks, { type: meta.type || "application/octet-stream" });
+  if ((await sha256Hex(await blob.arrayBuffer())) !== meta.sha256) {
+    chunks.length = 0;
+    throw new TransferFailedError("File failed its integrity check");
+  }
+
+  return { blob, meta };
+};
+
+// Hand a downloaded file to the browser
+export const saveBlob = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name || "download";
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,94 @@
+// Client-side view of the session history kept by the server.
+//
+// Entries arrive encrypted; decodeEntry turns them into what the history list
+// renders: { id, seq, origin, createdAt, size, pinned } plus one of
+//   item         - a decoded clipboard item
+//   file         - file entry with its decrypted name and type
+//   undecryptable - true when the session secret doesn't match
+// Clips pushed as plain text through the HTTP API are marked unencrypted.
+// Expiring items also carry expiresAt, or maxReads and readBy (see
+// utils/expiry.js); once expired they are replaced by a placeholder.
+// Read-limited items from other devices come withheld, without an item,
+// until this device reads them.
+// Items the sender's device found sensitive are marked sensitive (see
+// utils/sensitive.js). Items sent to particular devices list their member
+// IDs in recipients; other devices never get them. Items in a channel
+// other than the default one carry its name (see utils/channels.js).
+
+import { DecryptionError, isEncrypted } from "./crypto";
+import { createTextItem, decodeItem, getPlainText } from "./clipboardItem";
+import { decodeFileMeta } from "./fileTransfer";
+
+export const HISTORY_PAGE_SIZE = 20;
+
+export const decodeEntry = async (key, entry) => {
+  const base = {
+    id: entry.id,
+    seq: entry.seq,
+    origin: entry.origin,
+    createdAt: entry.createdAt,
+    size: entry.size,
+    pinned: !!entry.pinned,
+    expiresAt: entry.expiresAt,
+    maxReads: entry.maxReads,
+    readBy: entry.readBy,
+    sensitive: !!entry.sensitive,
+    recipients: entry.recipients,
+    channel: entry.channel,
+  };
+
+  if (entry.withheld) {
+    return { ...base, withheld: true };
+  }
+
+  try {
+    if (entry.kind === "file") {
+      const meta = await decodeFileMeta(key, entry.data);
+      return { ...base, file: { ...entry, name: meta.name, type: meta.type } };
+    }
+    if (typeof entry.data === "string" && !isEncrypted(entry.data)) {
+      return { ...base, item: createTextItem(entry.data), unencrypted: true };
+    }
+    return { ...base, item: await decodeItem(key, entry) };
+  } catch (err) {
+    if (!(err instanceof DecryptionError)) throw err;
+    return { ...base, undecryptable: true };
+  }
+};
+
+// What the history shows in place of an item once it has expired
+export const expiredPlaceholder = (entry) => ({
+  id: entry.id,
+  seq: entry.seq,
+  origin: entry.origin,
+  createdAt: entry.createdAt,
+  expired: true,
+});
+
+// Merge entries into the list without duplicates, newest first. The server's
+// sequence numbers decide the order, so every device lists items the same way
+// even when two of them copied at the same moment.
+export const mergeEntries = (existing, incoming) => {
+  const byId = new Map(existing.map((entry) => [entry.id, entry]));
+  incoming.forEach((entry) => byId.set(entry.id, entry));
+
+  return [...byId.values()].sort(
+    (a, b) =>
+      (b.seq || 0) - (a.seq || 0) || new Date(b.createdAt) - new Date(a.createdAt)
+  );
+};
+
+// Search runs on the decrypted entries in the browser; the server only holds
+// ciphertext and can't search for us
+export const entryMatches = (entry, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return true;
+
+  const haystack = [
+    entry.item ? getPlainText(entry.item) : "",
+    entry.file?.name || "",
+    entry.origin?.name || "",
+  ].join("\n").toLowerCase();
+
+  return haystack.includes(needle);
+};
@@ -0,0 +1,23 @@
+// Shareable join links: /s/<session>#secret=...&pair=...
+//
+// The session secret and the optional one-time pairing token go in the URL
+// fragment, which browsers never send to the server, so following a link
+// doesn't leak either of them into request logs.
+
+export const buildJoinLink = ({ sessionCode, secret, pairingToken }) => {
+  const fragment = new URLSearchParams();
+  if (secret) fragment.set("secret", secret);
+  if (pairingToken) fragment.set("pair", pairingToken);
+
+  const hash = fragment.toString();
+  return `${window.location.origin}/s/${encodeURIComponent(sessionCode)}${hash ? `#${hash}` : ""}`;
+};
+
+// Read what a join link carried in its fragment
+export const parseJoinFragment = (hash) => {
+  const fragment = new URLSearchParams(hash.replace(/^#/, ""));
+  return {
+    secret: fragment.get("secret") || "",
+    pairingToken: fragment.get("pair") || null,
+  };
+};
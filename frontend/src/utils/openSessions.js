@@ -0,0 +1,26 @@
+// Sessions open in this browser tab, so a reload rejoins them instead of
+// starting over. They include each session's secret, so they are kept in
+// sessionStorage, which the browser clears when the tab is closed.
+
+const STORAGE_KEY = "clipboard-sync:open-sessions";
+
+// [{ sessionCode, secret }]
+export const getOpenSessions = () => {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.filter((s) => s?.sessionCode && s?.secret) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveOpenSessions = (sessions) => {
+  if (sessions.length > 0) {
+    sessionStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify(sessions.map(({ sessionCode, secret }) => ({ sessionCode, secret })))
+    );
+  } else {
+    sessionStorage.removeItem(STORAGE_KEY);
+  }
+};
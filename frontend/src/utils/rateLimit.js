@@ -0,0 +1,14 @@
+// The server refuses requests that come in too fast and says how many
+// seconds to wait: as a 429 response over HTTP, or a rate-limited event on
+// the socket.
+
+export const rateLimitMessage = (message, retryAfter) =>
+  `${message}. Try again in ${retryAfter} second${retryAfter === 1 ? "" : "s"}.`;
+
+// What to show for a failed axios request the server rate limited, or null
+// for any other failure
+export const rateLimitedRequest = (err) => {
+  if (err.response?.status !== 429) return null;
+  const { error, retryAfter } = err.response.data;
+  return rateLimitMessage(error, retryAfter);
+};
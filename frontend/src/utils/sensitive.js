@@ -0,0 +1,123 @@
+// Spotting sensitive text before it leaves this device: card numbers,
+// private keys, API tokens and password-like strings. The server only sees
+// ciphertext, so this can only happen here. What happens to a match is up to
+// the session owner:
+//   ask   - ask before sending, then send it marked as sensitive
+//   mark  - send it marked as sensitive without asking
+//   block - don't send it
+// Sensitive items are masked in the history until revealed, and the server
+// makes them expire after a few minutes.
+
+import { getPlainText } from "./clipboardItem";
+
+export const SENSITIVE_POLICIES = [
+  { value: "ask", label: "Ask before sending" },
+  { value: "mark", label: "Send marked as sensitive" },
+  { value: "block", label: "Don't send" },
+];
+
+export const DEFAULT_SENSITIVE_POLICY = "ask";
+
+// Only the start of very large items is scanned, to keep monitoring cheap
+const MAX_SCANNED_LENGTH = 100e3;
+// Single words are checked for randomness only in short texts; long ones
+// are documents or code, where random-looking words are common
+const MAX_WORD_SCAN_LENGTH = 200;
+
+const PRIVATE_KEY = /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/;
+
+const TOKEN_PATTERNS = [
+  ["AWS access key", /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/],
+  ["GitHub token", /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{50,})/],
+  ["GitLab token", /\bglpat-[A-Za-z0-9_-]{20,}/],
+  ["Slack token", /\bxox[abposr]-[A-Za-z0-9-]{10,}/],
+  ["Stripe key", /\b[rs]k_live_[A-Za-z0-9]{20,}/],
+  ["Google API key", /\bAIza[0-9A-Za-z_-]{35}/],
+  ["API key", /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/],
+  ["JSON Web Token", /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/],
+];
+
+// 13 to 19 digits, optionally grouped with spaces or dashes
+const CARD_CANDIDATE = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+const passesLuhn = (digits) => {
+  let sum = 0;
+  [...digits].reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return sum % 10 === 0;
+};
+
+const hasCardNumber = (text) =>
+  [...text.matchAll(CARD_CANDIDATE)].some(([match]) => {
+    const digits = match.replace(/\D/g, "");
+    // Runs of one digit pass the Luhn check but aren't cards
+    return !/^(\d)\1+$/.test(digits) && passesLuhn(digits);
+  });
+
+// Shannon entropy in bits per character
+const entropy = (word) => {
+  const counts = new Map();
+  [...word].forEach((char) => counts.set(char, (counts.get(char) || 0) + 1));
+  return [...counts.values()].reduce((bits, count) => {
+    const p = count / word.length;
+    return bits - p * Math.log2(p);
+  }, 0);
+};
+
+const CHAR_CLASSES = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z\d]/];
+const charClass = (char) => CHAR_CLASSES.findIndex((re) => re.test(char));
+
+// A long word mixing lower case, upper case, digits and symbols with few
+// repeats, as generated passwords and secrets do. Switching between them
+// every few characters tells it apart from camelCase names. URLs, e-mail
+// addresses, paths and hex strings (hashes, UUIDs) don't count.
+const looksRandom = (word) => {
+  if (word.length < 16 || word.length > 256) return false;
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(word) || /^[^@\s]+@[^@\s]+\.\w+$/.test(word)) return false;
+  if (/^[./~]|^[A-Za-z]:\\/.test(word) || /^[0-9a-f-]+$/i.test(word)) return false;
+
+  const classes = [...word].map(charClass);
+  const switches = classes.filter((cls, index) => index > 0 && cls !== classes[index - 1]).length;
+  return (
+    new Set(classes).size >= 3 &&
+    switches / word.length >= 0.5 &&
+    entropy(word) >= 3.5
+  );
+};
+
+// What sensitive content the text looks like it contains, e.g.
+// ["card number", "GitHub token"]; empty if nothing
+export const classifyText = (text) => {
+  if (!text) return [];
+  const scanned = text.slice(0, MAX_SCANNED_LENGTH);
+
+  const found = [];
+  if (PRIVATE_KEY.test(scanned)) found.push("private key");
+  if (hasCardNumber(scanned)) found.push("card number");
+  TOKEN_PATTERNS.forEach(([label, pattern]) => {
+    if (pattern.test(scanned)) found.push(label);
+  });
+  if (
+    found.length === 0 &&
+    scanned.length <= MAX_WORD_SCAN_LENGTH &&
+    scanned.split(/\s+/).some(looksRandom)
+  ) {
+    found.push("password or secret");
+  }
+  return found;
+};
+
+// classifyText for a clipboard item's text; images aren't checked
+export const classifyItem = (item) => classifyText(getPlainText(item));
+
+// "card number", "private key and API key"
+export const describeFindings = (found) =>
+  found.length > 1
+    ? `${found.slice(0, -1).join(", ")} and ${found[found.length - 1]}`
+    : found[0] || "";
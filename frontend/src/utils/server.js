@@ -0,0 +1,13 @@
+// Where the backend lives, first of:
+//   1. serverUrl in /config.js (public/config.js), which can be edited in a
+//      built app without rebuilding it
+//   2. VITE_SERVER_URL when the app was built
+//   3. the origin the page was loaded from, for a backend that serves the
+//      app itself (FRONTEND_DIR) or sits behind the same reverse proxy
+const runtimeConfig = window.CLIPBOARD_SYNC_CONFIG || {};
+
+export const SERVER_URL = (
+  runtimeConfig.serverUrl ||
+  import.meta.env.VITE_SERVER_URL ||
+  window.location.origin
+).replace(/\/$/, "");
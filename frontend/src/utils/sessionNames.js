@@ -0,0 +1,19 @@
+// Names given to sessions on this device, such as "Work" or "Home", shown on
+// their tabs. They are kept per session code in localStorage and never sent
+// to the server.
+
+const storageKey = (sessionCode) => `clipboard-sync:session-name:${sessionCode}`;
+
+export const getSessionName = (sessionCode) =>
+  localStorage.getItem(storageKey(sessionCode)) || "";
+
+export const saveSessionName = (sessionCode, name) => {
+  if (name) {
+    localStorage.setItem(storageKey(sessionCode), name);
+  } else {
+    localStorage.removeItem(storageKey(sessionCode));
+  }
+};
+
+// What a tab shows for a session without a name
+export const shortSessionCode = (sessionCode) => sessionCode.slice(0, 6);
@@ -0,0 +1,16 @@
+// Member tokens prove to the server that this device was already admitted to
+// a session, so rejoining doesn't need the passphrase or approval again.
+// They are kept per session code in localStorage.
+
+const storageKey = (sessionCode) => `clipboard-sync:member-token:${sessionCode}`;
+
+export const getMemberToken = (sessionCode) =>
+  localStorage.getItem(storageKey(sessionCode));
+
+export const saveMemberToken = (sessionCode, token) => {
+  localStorage.setItem(storageKey(sessionCode), token);
+};
+
+export const clearMemberToken = (sessionCode) => {
+  localStorage.removeItem(storageKey(sessionCode));
+};
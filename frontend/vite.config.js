@@ -1,8 +1,22 @@
+import process from "node:process";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
 
+// In development the app talks to its own origin (see src/utils/server.js),
+// so the dev server passes backend requests on to BACKEND_URL
+const backend = process.env.BACKEND_URL || "http://localhost:5000";
+const proxy = Object.fromEntries(
+  ["/api", "/new-session", "/check-session", "/pair", "/metrics"].map((path) => [
+    path,
+    backend,
+  ])
+);
+proxy["/socket.io"] = { target: backend, ws: true };
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [tailwindcss(), react()],
+  server: { proxy },
+  preview: { proxy },
 });